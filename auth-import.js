@@ -0,0 +1,163 @@
+/**
+ * Firebase Authentication import
+ * Creates an Authentication account for every SQL user, with the uid of the user's migrated
+ * users document and the legacy password hash, and reports the users that failed to import
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const logger = require('./utils/logger');
+const { initializeAuth } = require('./utils/firestore-service');
+const { createDataSource } = require('./utils/data-source');
+const { CONNECTION_OPTIONS, resolveConnection } = require('./utils/connection-settings');
+const { describeTarget, checkConfirmation, acquireLock, releaseLock } = require('./utils/production-guard');
+const { loadMappingsFromFile } = require('./utils/uuid-mapper');
+const { importAuthUsers } = require('./utils/auth-import');
+const { FILE_PATHS, AUTH_IMPORT, SOURCE_DATA } = require('./config/migration-config');
+
+// Failures and warnings logged per kind (the report lists all of them)
+const LOGGED_ENTRIES = 20;
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .options(CONNECTION_OPTIONS)
+  .option('confirm', {
+    description: 'Project id of the Firebase project the users are imported into, required for anything but the Auth emulator',
+    type: 'string'
+  })
+  .option('limit', {
+    alias: 'l',
+    description: 'Import only this many users',
+    type: 'number'
+  })
+  .option('dryRun', {
+    alias: 'd',
+    description: 'Build the accounts and report them without importing',
+    type: 'boolean',
+    default: false
+  })
+  .option('chunkSize', {
+    description: 'Users per importUsers call',
+    type: 'number',
+    default: AUTH_IMPORT.CHUNK_SIZE
+  })
+  .option('timezone', {
+    description: 'Timezone the SQL DATETIME values were written in',
+    type: 'string',
+    default: SOURCE_DATA.TIMEZONE
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Path of the JSON report',
+    type: 'string',
+    default: path.resolve(__dirname, 'config', FILE_PATHS.AUTH_IMPORT_REPORT)
+  })
+  .check((args) => {
+    if (args.chunkSize < 1 || args.chunkSize > AUTH_IMPORT.CHUNK_SIZE) {
+      throw new Error(`--chunk-size must be between 1 and ${AUTH_IMPORT.CHUNK_SIZE}`);
+    }
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+/**
+ * Log the first entries of a list
+ * @param {string} title - What the entries are
+ * @param {Array<Object>} entries - Entries
+ * @param {Function} format - Formats an entry
+ */
+function logEntries(title, entries, format) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  logger.warn(`${title}: ${entries.length}`);
+  entries.slice(0, LOGGED_ENTRIES).forEach(entry => logger.warn(`  ${format(entry)}`));
+  if (entries.length > LOGGED_ENTRIES) {
+    logger.warn(`  ... ${entries.length - LOGGED_ENTRIES} more in ${argv.output}`);
+  }
+}
+
+// Main import function
+async function runAuthImport() {
+  let source = null;
+
+  try {
+    logger.info('Starting Authentication import');
+
+    const connection = resolveConnection(argv);
+
+    // The guard treats the run as an emulator run only when Authentication itself is emulated
+    if (connection.firestore.emulatorHost && !connection.firestore.authEmulatorHost) {
+      throw new Error('Firestore points at its emulator but Authentication does not, set --auth-emulator-host');
+    }
+    const authConnection = {
+      ...connection,
+      firestore: { ...connection.firestore, emulatorHost: connection.firestore.authEmulatorHost }
+    };
+    logger.info(`Importing users into Authentication of ${describeTarget(authConnection)}`);
+
+    source = createDataSource(connection.source, connection.sourceOptions);
+    const { users = [] } = await source.loadTables({ tables: ['users'] });
+    const usersToImport = argv.limit ? users.slice(0, argv.limit) : users;
+
+    // Accounts get the uids the users migration mapped
+    loadMappingsFromFile(path.resolve(__dirname, 'config', FILE_PATHS.ID_MAPPINGS));
+
+    let auth = null;
+    if (!argv.dryRun) {
+      checkConfirmation(authConnection, argv.confirm);
+      acquireLock(connection);
+      auth = initializeAuth(connection.firestore);
+    }
+
+    const result = await importAuthUsers(auth, usersToImport, {
+      chunkSize: argv.chunkSize,
+      dryRun: argv.dryRun
+    });
+
+    const algorithms = Object.entries(result.byAlgorithm).map(([algorithm, count]) => `${algorithm} ${count}`).join(', ');
+    logger.info(`Password hashes: ${algorithms || 'none'}`);
+    logEntries('Users imported with changes', result.warnings, entry => `${entry.sourceId} (${entry.uid}): ${entry.warning}`);
+    logEntries('Users that failed to import', result.failures, entry => (
+      `${entry.sourceId} (${entry.uid}${entry.email ? `, ${entry.email}` : ''}): ${entry.code ? `${entry.code} ` : ''}${entry.message}`
+    ));
+
+    fs.mkdirSync(path.dirname(argv.output), { recursive: true });
+    fs.writeFileSync(argv.output, JSON.stringify({
+      importedAt: new Date().toISOString(),
+      dryRun: argv.dryRun,
+      ...result
+    }, null, 2));
+    logger.info(`Authentication import report written to ${argv.output}`);
+
+    const summary = argv.dryRun
+      ? `Authentication dry run completed: ${result.total} users would be imported`
+      : `Authentication import completed: ${result.imported} of ${result.total} users imported, ${result.failed} failed`;
+    if (result.failed > 0) {
+      logger.error(summary);
+      process.exitCode = 1;
+    } else {
+      logger.success(summary);
+    }
+  } catch (error) {
+    logger.error(`Authentication import failed: ${error.message}`);
+    if (error.stack) {
+      logger.error(error.stack);
+    }
+    process.exitCode = 1;
+  } finally {
+    if (source) {
+      await source.close();
+    }
+    releaseLock();
+  }
+}
+
+// Run the import
+runAuthImport();
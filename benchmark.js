@@ -0,0 +1,245 @@
+/**
+ * Benchmark of the related-row lookups of the messages migration
+ * Writes a synthetic dump, streams its messages and looks up each message's chatroom, sender,
+ * recipient and file, once with the indexes of utils/related-index and once with the table scans
+ * they replaced. Scans are quadratic, so they are timed on a sample and projected to all messages
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const logger = require('./utils/logger');
+const { createDataSource } = require('./utils/data-source');
+const { findRelated } = require('./utils/related-index');
+
+// Messages looked up per timed chunk (the stream is never held in memory as a whole)
+const CHUNK_SIZE = 10000;
+
+// Rows per INSERT statement of the synthetic dump
+const ROWS_PER_INSERT = 1000;
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .option('messages', {
+    description: 'Messages in the synthetic dump',
+    type: 'number',
+    default: 1000000
+  })
+  .option('users', {
+    description: 'Users in the synthetic dump',
+    type: 'number',
+    default: 50000
+  })
+  .option('chatrooms', {
+    description: 'Chatrooms in the synthetic dump',
+    type: 'number',
+    default: 100000
+  })
+  .option('files', {
+    description: 'Chat files in the synthetic dump (every tenth message has one)',
+    type: 'number',
+    default: 20000
+  })
+  .option('scanSample', {
+    description: 'Messages looked up with table scans (projected to all messages)',
+    type: 'number',
+    default: 2000
+  })
+  .option('dump', {
+    description: 'Path of the synthetic dump (a temporary file by default, removed afterwards)',
+    type: 'string'
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+/**
+ * Write an INSERT-based table to a dump
+ * @param {fs.WriteStream} out - Dump stream
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Column definitions
+ * @param {number} count - Number of rows
+ * @param {Function} row - Returns the SQL values of row n (1-based)
+ * @returns {Promise<void>}
+ */
+async function writeTable(out, table, columns, count, row) {
+  const write = (text) => (out.write(text) ? null : new Promise(resolve => out.once('drain', resolve)));
+
+  await write(`CREATE TABLE \`${table}\` (\n  ${columns.join(',\n  ')}\n);\n\n`);
+
+  for (let start = 1; start <= count; start += ROWS_PER_INSERT) {
+    const end = Math.min(start + ROWS_PER_INSERT - 1, count);
+    const values = [];
+    for (let n = start; n <= end; n++) {
+      values.push(`(${row(n)})`);
+    }
+    await write(`INSERT INTO \`${table}\` VALUES\n${values.join(',\n')};\n\n`);
+  }
+}
+
+/**
+ * Write the synthetic dump
+ * @param {string} filePath - Path of the dump
+ * @param {Object} counts - Row counts (messages, users, chatrooms, files)
+ * @returns {Promise<void>}
+ */
+async function writeSyntheticDump(filePath, counts) {
+  const { messages, users, chatrooms, files } = counts;
+  const out = fs.createWriteStream(filePath);
+  const pick = (n, max) => ((n * 7919) % max) + 1;
+
+  await writeTable(out, 'users', [
+    '`id` int(11) NOT NULL',
+    '`full_name` varchar(100) DEFAULT NULL',
+    '`email` varchar(100) NOT NULL'
+  ], users, n => `${n},'User ${n}','user${n}@example.com'`);
+
+  await writeTable(out, 'userchat', [
+    '`id` int(11) NOT NULL',
+    '`chat_owner` int(11) NOT NULL',
+    '`chat_partner` int(11) NOT NULL',
+    '`type_id` int(11) DEFAULT NULL'
+  ], chatrooms, n => `${n},${pick(n, users)},${pick(n + 1, users)},NULL`);
+
+  await writeTable(out, 'chat_files', [
+    '`id` int(11) NOT NULL',
+    '`filename` varchar(255) NOT NULL',
+    '`ext` varchar(10) DEFAULT NULL'
+  ], files, n => `${n},'file${n}.pdf','.pdf'`);
+
+  await writeTable(out, 'userchat_msg', [
+    '`id` int(11) NOT NULL',
+    '`chat_id` int(11) NOT NULL',
+    '`sender` int(11) NOT NULL',
+    '`recipient` int(11) NOT NULL',
+    '`msg_text` text',
+    '`msg_file` int(11) DEFAULT NULL',
+    '`msg_date` datetime NOT NULL'
+  ], messages, n => (
+    `${n},${pick(n, chatrooms)},${pick(n, users)},${pick(n + 3, users)},'Message ${n}',` +
+    `${n % 10 === 0 ? pick(n, files) : 'NULL'},'2023-06-01 09:00:00'`
+  ));
+
+  await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+}
+
+/**
+ * Look up the related rows of a message like transformMessage does
+ * @param {Object} message - userchat_msg row
+ * @param {Object} tables - users, userchat and chat_files rows
+ * @param {boolean} indexed - Use the indexes instead of table scans
+ * @returns {number} - Number of rows found (keeps the lookups from being optimized away)
+ */
+function lookUpRelated(message, tables, indexed) {
+  const { users, userchat, chat_files } = tables;
+  const related = indexed
+    ? [
+      findRelated(userchat, 'id', message.chat_id),
+      findRelated(users, 'id', message.sender),
+      findRelated(users, 'id', message.recipient),
+      message.msg_file ? findRelated(chat_files, 'id', message.msg_file) : null
+    ]
+    : [
+      userchat.find(chat => chat.id === message.chat_id),
+      users.find(user => user.id === message.sender),
+      users.find(user => user.id === message.recipient),
+      message.msg_file ? chat_files.find(file => file.id === message.msg_file) : null
+    ];
+
+  return related.filter(Boolean).length;
+}
+
+/**
+ * Time the lookups of a chunk of messages
+ * @param {Array<Object>} chunk - Messages
+ * @param {Object} tables - Related tables
+ * @param {boolean} indexed - Use the indexes
+ * @returns {{ms: number, found: number}} - Lookup time and rows found
+ */
+function timeChunk(chunk, tables, indexed) {
+  const start = process.hrtime.bigint();
+  let found = 0;
+  for (const message of chunk) {
+    found += lookUpRelated(message, tables, indexed);
+  }
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, found };
+}
+
+/**
+ * Format a duration
+ * @param {number} ms - Milliseconds
+ * @returns {string} - Duration in ms or s
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms.toFixed(1)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+/**
+ * Run the benchmark
+ */
+async function runBenchmark() {
+  const dumpPath = argv.dump || path.join(os.tmpdir(), `related-index-benchmark-${process.pid}.sql`);
+
+  try {
+    logger.info(`Writing a synthetic dump with ${argv.messages} messages, ${argv.users} users, ` +
+      `${argv.chatrooms} chatrooms and ${argv.files} files to ${dumpPath}`);
+    await writeSyntheticDump(dumpPath, argv);
+
+    const source = createDataSource(dumpPath);
+    const tables = await source.loadTables({ tables: ['users', 'userchat', 'chat_files'] });
+
+    let scanned = 0;
+    let scanMs = 0;
+    let indexedMs = 0;
+    let messages = 0;
+    let chunk = [];
+
+    const timeLookups = () => {
+      const sample = chunk.slice(0, Math.max(0, argv.scanSample - scanned));
+      const indexed = timeChunk(chunk, tables, true);
+      indexedMs += indexed.ms;
+
+      if (sample.length > 0) {
+        const scan = timeChunk(sample, tables, false);
+        const check = timeChunk(sample, tables, true);
+        if (scan.found !== check.found) {
+          throw new Error(`Indexed lookups found ${check.found} rows, table scans ${scan.found}`);
+        }
+        scanMs += scan.ms;
+        scanned += sample.length;
+      }
+
+      messages += chunk.length;
+      chunk = [];
+    };
+
+    for await (const message of source.streamTable('userchat_msg')) {
+      chunk.push(message);
+      if (chunk.length === CHUNK_SIZE) {
+        timeLookups();
+      }
+    }
+    timeLookups();
+    await source.close();
+
+    const projectedScanMs = scanned > 0 ? (scanMs / scanned) * messages : 0;
+    logger.info(`Related-row lookups of ${messages} messages (chatroom, sender, recipient, file):`);
+    logger.info(`  table scans:     ${formatDuration(projectedScanMs)} (${formatDuration(scanMs)} measured on ${scanned} messages)`);
+    logger.info(`  indexed lookups: ${formatDuration(indexedMs)} (including building the indexes)`);
+    if (indexedMs > 0) {
+      logger.success(`  speedup: ${Math.round(projectedScanMs / indexedMs)}x`);
+    }
+  } catch (error) {
+    logger.error(`Benchmark failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (!argv.dump) {
+      fs.rmSync(dumpPath, { force: true });
+    }
+  }
+}
+
+// Run the benchmark
+runBenchmark();
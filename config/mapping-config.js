@@ -3,19 +3,33 @@
  */
 
 // Define the collection mappings
+// dependsOn lists the collections whose UUID mappings a collection references; they are migrated first
+// timestampFields lists the document fields (dot paths) that must be written as Firestore Timestamps
+// sourceTables lists the tables with one row per document (defaults to the primaryTable)
+// scannedTables lists related tables read once from start to end, which stay streamed in two-pass mode
+// writeMode overrides WRITE_MODE.DEFAULT, and mergeFields limits the 'merge' write mode to the
+// listed fields (dot paths) of documents that already exist
+// onDelete overrides DELTA_SYNC.ON_DELETE for documents whose rows are gone from a newer dump
+// volatileFields lists top-level fields set from the time of the run; content hashes and verify
+// checksums leave them out, so rerunning an unchanged dump does not rewrite the documents
 const COLLECTION_MAPPINGS = {
     users: {
       collection: 'users',
       primaryTable: 'users',
       requiredTables: ['users', 'login_history', 'user_plans'],
+      dependsOn: [],
       idField: 'id',
-      timestampFields: ['joining_date', 'activate_date', 'block_date'],
+      timestampFields: [
+        'createdAt', 'updatedAt', 'lastLogin', 'emailVerifiedAt', 'phoneVerifiedAt', 'suspendedAt',
+        'profileImage.uploadedAt', 'currentPlan.startDate', 'analytics.lastActive'
+      ],
       description: 'User profiles and account information'
     },
     
     listings: {
       collection: 'listings',
       primaryTable: null, // Special case, combines multiple tables
+      sourceTables: ['businesses', 'franchise', 'investors'],
       requiredTables: [
         'businesses', 
         'business_media', 
@@ -30,6 +44,8 @@ const COLLECTION_MAPPINGS = {
         'cities',
         'states'
       ],
+      dependsOn: ['users'],
+      timestampFields: ['createdAt', 'updatedAt', 'publishedAt'],
       description: 'All listing types (business, franchise, startup, investor, digital asset)'
     },
     
@@ -37,8 +53,9 @@ const COLLECTION_MAPPINGS = {
       collection: 'reviews',
       primaryTable: 'comments',
       requiredTables: ['comments'],
+      dependsOn: ['listings'],
       idField: 'id',
-      timestampFields: ['doc'],
+      timestampFields: ['createdAt', 'updatedAt', 'visibility.moderatedAt'],
       description: 'Reviews for listings'
     },
     
@@ -46,7 +63,12 @@ const COLLECTION_MAPPINGS = {
       collection: 'subscriptions',
       primaryTable: 'user_plans',
       requiredTables: ['user_plans', 'plans', 'users'],
+      dependsOn: ['users', 'plans'],
       idField: 'id',
+      timestampFields: [
+        'createdAt', 'updatedAt', 'startDate', 'endDate', 'cancelledDate', 'renewalDate',
+        'payment.nextBillingDate'
+      ],
       description: 'User subscription details'
     },
     
@@ -54,34 +76,52 @@ const COLLECTION_MAPPINGS = {
       collection: 'plans',
       primaryTable: 'plans',
       requiredTables: ['plans', 'plan_features'],
+      dependsOn: [],
       idField: 'id',
+      timestampFields: ['createdAt', 'updatedAt'],
+      // Plans have no source timestamps
+      volatileFields: ['createdAt', 'updatedAt'],
       description: 'Subscription plan definitions'
     },
     
     transactions: {
       collection: 'transactions',
       primaryTable: 'invoice',
-      requiredTables: ['invoice', 'payment', 'users', 'user_plans'],
+      requiredTables: ['invoice', 'payment', 'users', 'user_plans', 'businesses', 'franchise', 'investors'],
+      dependsOn: ['users', 'plans', 'subscriptions', 'listings'],
       idField: 'id',
-      timestampFields: ['date_time', 'order_date'],
+      timestampFields: [
+        'createdAt', 'updatedAt', 'completedAt', 'refundedAt', 'payment.paymentDate', 'receipt.generatedAt'
+      ],
       description: 'Payment and connect usage transactions'
     },
     
     messages: {
       collection: 'messages',
       primaryTable: 'userchat_msg',
-      requiredTables: ['userchat_msg', 'userchat', 'users', 'chat_files'],
+      requiredTables: ['userchat_msg', 'userchat', 'users', 'chat_files', 'businesses', 'franchise', 'investors'],
+      dependsOn: ['users', 'chatrooms', 'listings'],
       idField: 'id',
-      timestampFields: ['msg_date'],
+      timestampFields: ['createdAt', 'updatedAt', 'status.readAt', 'status.deliveredAt'],
       description: 'User-to-user messages'
     },
     
     chatrooms: {
       collection: 'chatrooms',
       primaryTable: 'userchat',
-      requiredTables: ['userchat', 'users'],
+      requiredTables: ['userchat', 'userchat_msg', 'chat_files', 'users', 'businesses', 'franchise', 'investors'],
+      scannedTables: ['userchat_msg'],
+      dependsOn: ['users', 'listings'],
       idField: 'id',
-      timestampFields: ['last_action', 'created_at'],
+      timestampFields: [
+        'createdAt', 'updatedAt', 'lastMessage.timestamp', 'activity.lastActive',
+        'lifecycle.connectionInitiated', 'lifecycle.lastEngagement'
+      ],
+      // lastMessage, counters and activity are kept up to date by the app once it is live
+      mergeFields: [
+        'id', 'participants', 'participantDetails', 'listing', 'status', 'isDeleted',
+        'lifecycle', 'metadata', 'createdAt'
+      ],
       description: 'Message groupings between users'
     },
     
@@ -89,17 +129,22 @@ const COLLECTION_MAPPINGS = {
       collection: 'notifications',
       primaryTable: 'inbox',
       requiredTables: ['inbox'],
+      dependsOn: ['users'],
       idField: 'id',
-      timestampFields: ['date_of_message'],
+      timestampFields: ['createdAt', 'updatedAt', 'readAt'],
+      onDelete: 'delete',
       description: 'User notifications'
     },
     
     activities: {
       collection: 'activities',
       primaryTable: 'user_history',
+      sourceTables: ['user_history', 'post_activities'],
       requiredTables: ['user_history', 'post_activities'],
+      dependsOn: ['users', 'listings'],
       idField: 'id',
-      timestampFields: ['date_of_click', 'date_of_update'],
+      timestampFields: ['createdAt', 'updatedAt'],
+      onDelete: 'delete',
       description: 'User activity logs'
     },
     
@@ -107,8 +152,9 @@ const COLLECTION_MAPPINGS = {
       collection: 'contentPages',
       primaryTable: 'articles',
       requiredTables: ['articles'],
+      dependsOn: [],
       idField: 'id',
-      timestampFields: ['date_of_creation', 'date_of_action'],
+      timestampFields: ['createdAt', 'updatedAt', 'publishedAt'],
       description: 'CMS content pages'
     }
   };
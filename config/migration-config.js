@@ -78,18 +78,144 @@ const LISTING_TYPES = {
   // File paths
   const FILE_PATHS = {
     SQL_DUMP: '../data/u485278146_backup.sql',
+    SERVICE_ACCOUNT: '../serviceAccount.json',
     ID_MAPPINGS: '../data/id-mappings.json',
+    CHECKPOINTS_DIR: '../data/checkpoints',
+    VERIFICATION_REPORT: '../data/verification-report.json',
+    OUTPUT_DIR: '../data/output',
+    DRY_RUN_REPORT: '../data/dry-run-report.md',
+    SYNC_MANIFEST: '../data/sync-manifest.json',
+    LISTING_COLLISIONS_REPORT: '../data/listing-collisions.json',
+    LOCKS_DIR: '../data/locks',
+    AUTH_IMPORT_REPORT: '../data/auth-import-report.json',
+    LEGACY_UPLOADS_DIR: process.env.LEGACY_UPLOADS_DIR || '../data/uploads',
+    MEDIA_REPORT: '../data/media-report.json',
     MIGRATION_LOG: '../logs/migration.log',
     ERROR_LOG: '../logs/error.log'
   };
   
+  // Where migrated documents are written: 'firestore', 'emulator', 'jsonl' or 'ndjson'
+  // (the last two write one file per collection to FILE_PATHS.OUTPUT_DIR)
+  const OUTPUT = {
+    SINK: process.env.OUTPUT_SINK || 'firestore'
+  };
+  
+  // Firestore project the migrated documents are written to (profiles in profiles-config take precedence)
+  // CREDENTIALS is a service account key file; named databases are selected with DATABASE_ID
+  const FIRESTORE = {
+    PROJECT_ID: process.env.FIRESTORE_PROJECT_ID || process.env.GCLOUD_PROJECT || null,
+    CREDENTIALS: process.env.GOOGLE_APPLICATION_CREDENTIALS || null, // FILE_PATHS.SERVICE_ACCOUNT when not set
+    DATABASE_ID: process.env.FIRESTORE_DATABASE_ID || '(default)',
+    EMULATOR_HOST: process.env.FIRESTORE_EMULATOR_HOST || null,
+    AUTH_EMULATOR_HOST: process.env.FIREBASE_AUTH_EMULATOR_HOST || null, // Auth emulator for auth-import.js
+    STORAGE_EMULATOR_HOST: process.env.FIREBASE_STORAGE_EMULATOR_HOST || null, // Storage emulator for media-migration.js
+    EMULATOR_PROJECT_ID: 'demo-sql-migration' // Project id used against the emulator when none is set
+  };
+  
+  // Import of the migrated users into Firebase Authentication (auth-import.js)
+  // The legacy hash of each user is detected from its format: bcrypt hashes ($2a$, $2b$, $2y$ from
+  // PHP password_hash) or hex MD5, SHA1, SHA256 and SHA512 digests; ROUNDS are the Admin SDK rounds
+  // of each digest algorithm (0 for a single MD5 pass, 1 for a single SHA pass)
+  const AUTH_IMPORT = {
+    CHUNK_SIZE: 1000, // Users per importUsers call (the Admin SDK limit)
+    PASSWORD_COLUMN: process.env.AUTH_PASSWORD_COLUMN || 'password',
+    SALT_COLUMN: process.env.AUTH_SALT_COLUMN || null, // Column of per-user salts of salted digests
+    ROUNDS: {
+      MD5: Number(process.env.AUTH_MD5_ROUNDS || 0),
+      SHA1: Number(process.env.AUTH_SHA_ROUNDS || 1),
+      SHA256: Number(process.env.AUTH_SHA_ROUNDS || 1),
+      SHA512: Number(process.env.AUTH_SHA_ROUNDS || 1)
+    }
+  };
+  
+  // Media migration into Cloud Storage (media-migration.js)
+  // Files are read from FILE_PATHS.LEGACY_UPLOADS_DIR at the path of their legacy URL (without the
+  // host and without one of LEGACY_PREFIXES) and uploaded to the path their document records
+  const MEDIA = {
+    BUCKET: process.env.STORAGE_BUCKET || null, // <project id>.appspot.com when not set
+    LEGACY_PREFIXES: ['uploads/'],
+    PAGE_SIZE: 200, // Documents read per query
+    // Media fields by collection: objects or arrays of objects with url and path
+    FIELDS: {
+      users: ['profileImage'],
+      listings: ['media.featuredImage', 'media.galleryImages', 'media.documents'],
+      messages: ['attachments'],
+      contentPages: ['content.featuredImage']
+    }
+  };
+  
+  // How documents are written to Firestore
+  // 'overwrite' replaces documents, 'create-only' skips documents that already exist, 'merge' merges
+  // into existing documents (only the collection's mergeFields when it declares them) and
+  // 'update-if-unchanged-since-migration' only replaces documents whose content still matches the
+  // hash stored in HASH_FIELD by the previous migration run
+  const WRITE_MODE = {
+    DEFAULT: process.env.WRITE_MODE || 'overwrite',
+    HASH_FIELD: '_migrationHash'
+  };
+  
+  // Delta sync (--sync): what happens to documents whose source rows are gone from the newer dump
+  // 'delete' deletes them, 'soft-delete' sets isDeleted: true and deletedAt (collections may override
+  // this with onDelete)
+  const DELTA_SYNC = {
+    ON_DELETE: process.env.SYNC_ON_DELETE || 'soft-delete'
+  };
+  
+  // Contents of the report written by --dryRun
+  const DRY_RUN_REPORT = {
+    SAMPLE_SIZE: 3, // Sample documents per collection
+    ENUM_FIELDS: ['status', 'type', 'role', 'planType', 'billingCycle', 'moderationStatus'], // Field names whose values are counted
+    CONSOLE_ERRORS: 5 // Errors per collection printed to the console (the file lists all of them)
+  };
+  
+  // Large tables streamed from the dump in two-pass mode instead of being held in memory
+  const STREAMED_TABLES = ['userchat_msg', 'user_history'];
+  
+  // How values in the SQL dump are interpreted (MySQL DATETIME values carry no timezone)
+  const SOURCE_DATA = {
+    TIMEZONE: process.env.SOURCE_TIMEZONE || 'UTC', // IANA name or offset such as '+05:30'
+    BIGINT_MODE: process.env.SOURCE_BIGINT_MODE || 'string' // 'string' or 'bigint'
+  };
+  
+  // Where source rows are read from: 'dump' (FILE_PATHS.SQL_DUMP), the path of another dump, 'mysql'
+  // (a live MySQL/MariaDB database) or a mysql://user@host:port/database URL
+  // The password is only read from the environment
+  const SOURCE = {
+    DEFAULT: process.env.MIGRATION_SOURCE || 'dump',
+    MYSQL: {
+      HOST: process.env.MYSQL_HOST || 'localhost',
+      PORT: parseInt(process.env.MYSQL_PORT, 10) || 3306,
+      USER: process.env.MYSQL_USER || 'root',
+      PASSWORD: process.env.MYSQL_PASSWORD || '',
+      DATABASE: process.env.MYSQL_DATABASE || '',
+      PAGE_SIZE: parseInt(process.env.MYSQL_PAGE_SIZE, 10) || 1000 // Rows per keyset page
+    }
+  };
+  
+  // Handling of MySQL zero dates ('0000-00-00 00:00:00') and other invalid dates in source rows
+  // Policies: 'null' writes null, 'sentinel' writes SENTINEL, 'fallback' uses another column of
+  // the same row (null if that is invalid too), 'reject' fails the row (and leaves a related row out)
+  const DATE_POLICY = {
+    DEFAULT: process.env.ZERO_DATE_POLICY || 'null',
+    SENTINEL: new Date('1970-01-01T00:00:00Z'),
+    // Per collection and source column overrides; columns of related tables are "<table>.<column>"
+    FIELDS: {
+      users: {
+        joining_date: { policy: 'fallback', fallback: 'activate_date' }
+      },
+      chatrooms: {
+        created_at: { policy: 'fallback', fallback: 'last_action' }
+      }
+    }
+  };
+  
   // SQL to Firestore type mappings
   const TYPE_MAPPINGS = {
     // SQL types to Firestore types
     tinyint: 'boolean',
     int: 'number',
     float: 'number',
-    decimal: 'number',
+    decimal: 'string',
     varchar: 'string',
     text: 'string',
     mediumtext: 'string',
@@ -100,9 +226,20 @@ const LISTING_TYPES = {
     year: 'number'
   };
   
+  // Handling of foreign keys that point at rows missing from the UUID mapping store:
+  // 'drop' the document, write 'null', write a 'tombstone' reference, or 'abort' the migration
+  const ORPHAN_POLICY = {
+    DEFAULT: process.env.ORPHAN_POLICY || 'null',
+    // Tombstone references keep the original SQL id, e.g. 'deleted-42'
+    TOMBSTONE_PREFIX: 'deleted-'
+  };
+  
   // Entity relationship mappings
   const RELATIONSHIPS = {
     // Maps entity relationships for maintaining referential integrity
+    // Many-to-one relationships are checked before writing: foreignKey is the source column,
+    // collection the referenced collection (defaults to the key), field the document path
+    // holding the reference and onOrphan the orphan policy (defaults to ORPHAN_POLICY.DEFAULT)
     users: {
       listings: { type: 'one-to-many', foreignKey: 'user_id' },
       plans: { type: 'many-to-many', joinTable: 'user_plans' }
@@ -113,6 +250,37 @@ const LISTING_TYPES = {
     },
     plans: {
       users: { type: 'many-to-many', joinTable: 'user_plans' }
+    },
+    reviews: {
+      listing: { type: 'many-to-one', collection: 'listings', foreignKey: 'article_id', field: 'listingId' }
+    },
+    subscriptions: {
+      user: { type: 'many-to-one', collection: 'users', foreignKey: 'user_id', field: 'userId' },
+      plan: { type: 'many-to-one', collection: 'plans', foreignKey: 'plan_id', field: 'planId' }
+    },
+    transactions: {
+      user: { type: 'many-to-one', collection: 'users', foreignKey: 'user_id', field: 'userId' },
+      subscription: { type: 'many-to-one', collection: 'subscriptions', foreignKey: 'user_plan_id', field: 'subscription.id' },
+      listing: { type: 'many-to-one', collection: 'listings', foreignKey: 'type_id', field: 'listing.id' }
+    },
+    chatrooms: {
+      // Missing participants are left out of the participants list
+      owner: { type: 'many-to-one', collection: 'users', foreignKey: 'chat_owner' },
+      partner: { type: 'many-to-one', collection: 'users', foreignKey: 'chat_partner' },
+      listing: { type: 'many-to-one', collection: 'listings', foreignKey: 'type_id', field: 'listing.id' }
+    },
+    messages: {
+      chatroom: { type: 'many-to-one', collection: 'chatrooms', foreignKey: 'chat_id', field: 'chatroomId', onOrphan: 'drop' },
+      sender: { type: 'many-to-one', collection: 'users', foreignKey: 'sender', field: 'sender', onOrphan: 'tombstone' },
+      recipient: { type: 'many-to-one', collection: 'users', foreignKey: 'recipient', field: 'recipient', onOrphan: 'tombstone' }
+    },
+    notifications: {
+      user: { type: 'many-to-one', collection: 'users', foreignKey: 'user_id', field: 'userId', onOrphan: 'drop' },
+      sender: { type: 'many-to-one', collection: 'users', foreignKey: 'from_id', field: 'sender.id' }
+    },
+    activities: {
+      user: { type: 'many-to-one', collection: 'users', foreignKey: 'user_id', field: 'userId', onOrphan: 'drop' },
+      listing: { type: 'many-to-one', collection: 'listings', foreignKey: 'post_id', field: 'target.id' }
     }
   };
   
@@ -143,6 +311,18 @@ const LISTING_TYPES = {
     BATCH_SIZES,
     DEFAULTS,
     FILE_PATHS,
+    OUTPUT,
+    FIRESTORE,
+    AUTH_IMPORT,
+    MEDIA,
+    WRITE_MODE,
+    DELTA_SYNC,
+    DRY_RUN_REPORT,
+    STREAMED_TABLES,
+    SOURCE_DATA,
+    SOURCE,
+    DATE_POLICY,
+    ORPHAN_POLICY,
     TYPE_MAPPINGS,
     RELATIONSHIPS,
     TABLE_TO_COLLECTION
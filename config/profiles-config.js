@@ -0,0 +1,51 @@
+/**
+ * Named connection profiles selected with --profile (or MIGRATION_PROFILE)
+ * A profile pins the Firestore project a run writes to. Settings given on the command line
+ * may not point a run at another project, and the projects of protected profiles can only be
+ * reached by selecting that profile
+ */
+
+// Profile settings: source, project, credentials, database and the emulatorHost, authEmulatorHost and storageEmulatorHost (paths are relative to the repository root)
+// Replace the staging and prod project ids with the ids of your Firebase projects
+const PROFILES = {
+  dev: {
+    description: 'Local Firestore emulator',
+    project: 'demo-sql-migration',
+    emulatorHost: 'localhost:8080',
+    authEmulatorHost: 'localhost:9099',
+    storageEmulatorHost: 'localhost:9199'
+  },
+  staging: {
+    description: 'Staging project',
+    project: 'sql-migration-staging',
+    credentials: 'serviceAccount.staging.json'
+  },
+  prod: {
+    description: 'Production project',
+    project: 'sql-migration-prod',
+    credentials: 'serviceAccount.json',
+    protected: true
+  }
+};
+
+// Profile used when none is selected (none: settings come from the command line and .env only)
+const DEFAULT_PROFILE = process.env.MIGRATION_PROFILE || null;
+
+/**
+ * Get a profile by name
+ * @param {string} name - Profile name
+ * @returns {Object} - Profile settings
+ * @throws {Error} - If there is no such profile
+ */
+function getProfile(name) {
+  if (!PROFILES[name]) {
+    throw new Error(`Unknown profile "${name}", expected one of ${Object.keys(PROFILES).join(', ')}`);
+  }
+  return PROFILES[name];
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  getProfile
+};
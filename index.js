@@ -3,14 +3,60 @@
  * Orchestrates the entire migration process
  */
 require('dotenv').config();
-const fs = require('fs');
 const path = require('path');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
-const { initializeFirestore } = require('./utils/firestore-service');
-const { parseSQLFile } = require('./utils/sql-parser');
-const { getCollectionConfig } = require('./config/mapping-config');
+const { createDataSource } = require('./utils/data-source');
+const { CONNECTION_OPTIONS, resolveConnection } = require('./utils/connection-settings');
+const {
+  describeTarget,
+  planRun,
+  logRunPlan,
+  checkConfirmation,
+  acquireLock,
+  releaseLock
+} = require('./utils/production-guard');
+const { loadMigrationData } = require('./utils/migration-data');
+const { getCollectionConfig, getAllCollectionConfigs } = require('./config/mapping-config');
+const { FILE_PATHS, OUTPUT, STREAMED_TABLES, SOURCE_DATA } = require('./config/migration-config');
+const {
+  loadMappingsFromFile,
+  saveMappingsToFile,
+  getEntityMappingsCount,
+  getMappingStats
+} = require('./utils/uuid-mapper');
+const {
+  clearCheckpoint,
+  hasIncompleteTasks,
+  isCollectionComplete,
+  markCollectionComplete
+} = require('./utils/checkpoint-journal');
+const { collectDependencies, runInDependencyOrder } = require('./utils/migration-graph');
+const { logDatePolicyReport } = require('./utils/date-policy');
+const { logIntegrityReport } = require('./utils/referential-integrity');
+const { logListingCollisionReport } = require('./utils/listing-references');
+const { SINK_TYPES, createOutputSink, setOutputSink } = require('./utils/output-sink');
+const { WRITE_MODES, logWriteModeReport } = require('./utils/write-modes');
+const {
+  hashTables,
+  diffTables,
+  loadManifest,
+  startDeltaSync,
+  isCollectionUnchanged,
+  trackOperations,
+  createDeltaSink,
+  completeCollection,
+  saveManifest,
+  logTableChanges
+} = require('./utils/delta-sync');
+const {
+  recordOperations,
+  recordErrors,
+  recordFailure,
+  logDryRunReport,
+  writeDryRunReport
+} = require('./utils/dry-run-report');
 
 // Import all migration modules
 const usersMigration = require('./migrations/users-migration');
@@ -21,6 +67,9 @@ const subscriptionsMigration = require('./migrations/subscriptions-migration');
 const transactionsMigration = require('./migrations/transactions-migration');
 const messagesMigration = require('./migrations/messages-migration');
 const chatroomsMigration = require('./migrations/chatrooms-migration');
+const notificationsMigration = require('./migrations/notifications-migration');
+const activitiesMigration = require('./migrations/activities-migration');
+const contentPagesMigration = require('./migrations/content-pages-migration');
 
 // Migration collection mapping
 const migrations = {
@@ -31,23 +80,15 @@ const migrations = {
   subscriptions: subscriptionsMigration,
   transactions: transactionsMigration,
   messages: messagesMigration,
-  chatrooms: chatroomsMigration
+  chatrooms: chatroomsMigration,
+  notifications: notificationsMigration,
+  activities: activitiesMigration,
+  contentPages: contentPagesMigration
 };
 
-// Define the migration order to respect dependencies
-const MIGRATION_ORDER = [
-  'users',
-  'plans',
-  'listings',
-  'reviews',
-  'subscriptions',
-  'transactions',
-  'chatrooms',
-  'messages'
-];
-
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
+  .options(CONNECTION_OPTIONS)
   .option('collection', {
     alias: 'c',
     description: 'Specify collection to migrate',
@@ -60,7 +101,7 @@ const argv = yargs(hideBin(process.argv))
   })
   .option('dryRun', {
     alias: 'd',
-    description: 'Run migration without writing to Firestore',
+    description: 'Run migration without writing anything and write a dry run report instead',
     type: 'boolean',
     default: false
   })
@@ -69,6 +110,72 @@ const argv = yargs(hideBin(process.argv))
     description: 'Limit number of documents to migrate per collection',
     type: 'number'
   })
+  .option('stream', {
+    alias: 's',
+    description: 'Two-pass mode: stream large tables from the source instead of loading them into memory',
+    type: 'boolean',
+    default: false
+  })
+  .option('resume', {
+    alias: 'r',
+    description: 'Resume from the last committed batch of an interrupted run',
+    type: 'boolean',
+    default: false
+  })
+  .option('timezone', {
+    description: 'Timezone the SQL DATETIME values were written in (IANA name or offset such as +05:30)',
+    type: 'string',
+    default: SOURCE_DATA.TIMEZONE
+  })
+  .option('withDependencies', {
+    description: 'Also re-run dependencies of --collection that already have persisted mappings',
+    type: 'boolean',
+    default: false
+  })
+  .option('concurrency', {
+    description: 'Maximum number of independent collections migrated at the same time',
+    type: 'number',
+    default: 2
+  })
+  .option('allowMissingMappings', {
+    description: 'Warn instead of failing when upstream UUID mappings are missing',
+    type: 'boolean',
+    default: false
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Where to write migrated documents (jsonl and ndjson write one file per collection)',
+    choices: SINK_TYPES,
+    default: OUTPUT.SINK
+  })
+  .option('outputDir', {
+    description: 'Directory for the jsonl and ndjson outputs',
+    type: 'string',
+    default: path.resolve(__dirname, 'config', FILE_PATHS.OUTPUT_DIR)
+  })
+  .option('writeMode', {
+    description: 'Write mode for every collection instead of the configured ones (Firestore and emulator outputs)',
+    choices: WRITE_MODES
+  })
+  .option('sync', {
+    description: 'Delta sync: only migrate what changed since the manifest of the previous run, deleting documents whose rows are gone',
+    type: 'boolean',
+    default: false
+  })
+  .option('manifest', {
+    description: 'Sync manifest written by every full run and read by --sync',
+    type: 'string',
+    default: path.resolve(__dirname, 'config', FILE_PATHS.SYNC_MANIFEST)
+  })
+  .option('confirm', {
+    description: 'Project id of the Firestore project a run writes to, required for anything but the emulator',
+    type: 'string'
+  })
+  .option('report', {
+    description: 'Dry run report file (HTML for .html paths, Markdown otherwise)',
+    type: 'string',
+    default: path.resolve(__dirname, 'config', FILE_PATHS.DRY_RUN_REPORT)
+  })
   .help()
   .alias('help', 'h')
   .argv;
@@ -98,85 +205,320 @@ const logger = {
   }
 };
 
+// UUID mappings file (FILE_PATHS are relative to the config directory)
+const ID_MAPPINGS_PATH = path.resolve(__dirname, 'config', FILE_PATHS.ID_MAPPINGS);
+
+/**
+ * Find upstream collections that have no UUID mappings yet
+ * Dependencies migrated in this run are left out: the scheduler only starts a
+ * collection once they completed, even if their tables were empty
+ * @param {Object} config - Collection configuration
+ * @param {Array<string>} collectionsInRun - Collections migrated in this run
+ * @returns {Array<string>} - Collections without any mappings
+ */
+function findMissingMappings(config, collectionsInRun = []) {
+  const dependsOn = config.dependsOn || [];
+  return dependsOn.filter(entity => !collectionsInRun.includes(entity) && getEntityMappingsCount(entity) === 0);
+}
+
+/**
+ * Determine which collections to migrate
+ * A single --collection brings along the dependencies that have no persisted mappings
+ * @returns {Array<string>} - Collections to migrate
+ */
+function resolveCollections() {
+  const allCollections = Object.keys(getAllCollectionConfigs()).filter(name => migrations[name]);
+  
+  if (argv.all || !argv.collection) {
+    return allCollections;
+  }
+  
+  if (!migrations[argv.collection]) {
+    throw new Error(`Invalid collection: ${argv.collection}`);
+  }
+  
+  const collections = collectDependencies([argv.collection], {
+    isSatisfied: (collection) => !argv.withDependencies && getEntityMappingsCount(collection) > 0
+  });
+  
+  const dependencies = collections.filter(collection => collection !== argv.collection);
+  if (dependencies.length > 0) {
+    logger.info(`Including dependencies of ${argv.collection} without persisted mappings: ${dependencies.join(', ')}`);
+  }
+  
+  return collections;
+}
+
 // Main migration function
 async function runMigration() {
   try {
     colorLog.blue('=== SQL to Firestore Migration Tool ===');
     logger.info('Starting migration process');
     
-    // Initialize Firestore
-    const db = initializeFirestore();
+    // A sync compares every document with the manifest, so it has to see all of them
+    if (argv.sync && (argv.limit || argv.resume)) {
+      throw new Error('--sync cannot be combined with --limit or --resume');
+    }
     
-    // Check if SQL file exists
-    const sqlFilePath = path.join(__dirname, 'data', 'u485278146_backup.sql');
-    if (!fs.existsSync(sqlFilePath)) {
-      throw new Error(`SQL file not found at ${sqlFilePath}`);
+    // Resolve the source and the Firestore project (file outputs reach no project)
+    const connection = resolveConnection(argv, { checkTarget: !['jsonl', 'ndjson'].includes(argv.output) });
+    if (connection.profile) {
+      logger.info(`Using profile ${connection.profile}`);
     }
     
-    // Parse SQL file into tables data
-    logger.info('Parsing SQL file...');
-    const tablesData = await parseSQLFile(sqlFilePath);
-    logger.info(`Parsed ${Object.keys(tablesData).length} tables from SQL file`);
+    // Initialize the output sink (file sinks need no Firestore connection, so db is null)
+    const sink = createOutputSink(argv.output, {
+      firestore: connection.firestore,
+      directory: argv.outputDir,
+      // Resumed runs and syncs add to the files of the previous run
+      append: argv.resume || argv.sync,
+      writeMode: argv.writeMode
+    });
+    setOutputSink(createDeltaSink(sink));
+    const db = sink.db;
+    logger.info(`Writing migrated documents to ${sink.type}${sink.db ? '' : ` files in ${argv.outputDir}`}`);
     
-    // Determine which collections to migrate
-    let collectionsToMigrate = [];
-    if (argv.all) {
-      collectionsToMigrate = MIGRATION_ORDER;
-    } else if (argv.collection) {
-      if (!migrations[argv.collection]) {
-        throw new Error(`Invalid collection: ${argv.collection}`);
+    // Open the source of the SQL rows
+    const source = createDataSource(connection.source, connection.sourceOptions);
+    
+    // Load the source tables (in two-pass mode large tables are left for streaming)
+    const streamedTables = argv.stream ? STREAMED_TABLES : [];
+    logger.info(`Reading SQL data from ${source.description}...`);
+    if (streamedTables.length > 0) {
+      logger.info(`Streaming mode: ${streamedTables.join(', ')} will be read from the source on demand`);
+    }
+    const tablesData = await source.loadTables({ excludeTables: streamedTables });
+    logger.info(`Loaded ${Object.keys(tablesData).length} tables from the ${source.type} source`);
+    
+    // Hash the source rows to compare them with the manifest of the previous run
+    const previousManifest = loadManifest(argv.manifest);
+    const tableHashes = await hashTables({ tablesData, source, streamedTables });
+    startDeltaSync({ previous: previousManifest, tables: tableHashes, sync: argv.sync });
+    if (argv.sync) {
+      if (previousManifest) {
+        logTableChanges(diffTables(previousManifest.tables, tableHashes));
+      } else {
+        colorLog.yellow(`No sync manifest found at ${argv.manifest}, every collection will be migrated in full`);
       }
-      collectionsToMigrate = [argv.collection];
+    }
+    
+    // Load UUID mappings persisted by previous runs
+    if (loadMappingsFromFile(ID_MAPPINGS_PATH)) {
+      const stats = getMappingStats();
+      logger.info(`Loaded ${stats.totalMappings} UUID mappings from previous runs`);
     } else {
-      collectionsToMigrate = MIGRATION_ORDER;
+      logger.info('No persisted UUID mappings found, starting with an empty mapping store');
     }
+    
+    // Determine which collections to migrate
+    const collectionsToMigrate = resolveCollections();
 
     colorLog.yellow(`Will migrate the following collections: ${collectionsToMigrate.join(', ')}`);
     if (argv.dryRun) {
       colorLog.yellow('DRY RUN MODE: No data will be written to Firestore');
     }
+    if (argv.resume) {
+      colorLog.yellow('RESUME MODE: Already committed batches will not be written again');
+    }
     
-    // Run migrations in the specified order
-    for (const collectionName of collectionsToMigrate) {
+    // Runs against Firestore show their plan; writing to a real project needs --confirm, and
+    // the lock keeps a second migration away from the same project
+    if (db) {
+      const plan = await planRun(db, collectionsToMigrate, {
+        tablesData,
+        streamedTables,
+        writeMode: argv.writeMode,
+        limit: argv.limit
+      });
+      logRunPlan(describeTarget(connection), plan);
+      
+      if (!argv.dryRun) {
+        checkConfirmation(connection, argv.confirm);
+        acquireLock(connection);
+      }
+    }
+    
+    // Problems that make a dry run fail once every collection has been checked
+    const dryRunFailures = [];
+    
+    /**
+     * Migrate a single collection
+     * @param {string} collectionName - Collection name
+     * @returns {Promise<string>} - 'completed', 'skipped' or 'failed'
+     */
+    const migrateCollection = async (collectionName) => {
       const migration = migrations[collectionName];
       const config = getCollectionConfig(collectionName);
       
       colorLog.green(`\nMigrating ${collectionName}...`);
       
-      try {
-        // Prepare the required tables data for this migration
-        const requiredTables = config.requiredTables || [];
-        const migrationData = {};
+      if (argv.resume && isCollectionComplete(collectionName)) {
+        colorLog.yellow(`Skipping ${collectionName}: already completed by a previous run`);
+        logger.info(`Skipping ${collectionName}: checkpoint marks it as complete`);
+        return 'completed';
+      }
+      
+      if (argv.sync && isCollectionUnchanged(collectionName, config)) {
+        colorLog.yellow(`Skipping ${collectionName}: none of its tables changed since the previous run`);
+        logger.info(`Skipping ${collectionName}: tables unchanged since the sync manifest`);
+        return 'completed';
+      }
+      
+      // Upstream collections must be migrated, either earlier in this run or by a previous one
+      const missingMappings = findMissingMappings(config, collectionsToMigrate);
+      if (missingMappings.length > 0) {
+        const message = `${collectionName} references ${missingMappings.join(', ')} but no UUID mappings exist for them. ` +
+          `Migrate ${missingMappings.join(', ')} first or run with --allowMissingMappings`;
         
-        for (const table of requiredTables) {
-          if (!tablesData[table]) {
-            logger.warn(`Required table "${table}" not found in SQL data`);
-            migrationData[table] = [];
-          } else {
-            migrationData[table] = tablesData[table];
-          }
+        if (!argv.allowMissingMappings) {
+          colorLog.red(`✗ Skipping ${collectionName}: ${message}`);
+          logger.error(`Skipping ${collectionName}: ${message}`);
+          return 'skipped';
         }
         
+        colorLog.yellow(`! ${message}`);
+        logger.warn(`References from ${collectionName} to ${missingMappings.join(', ')} will be handled by their orphan policies`);
+      }
+      
+      // A fresh (non-resumed) run starts every collection from row zero
+      if (!argv.resume && !argv.dryRun) {
+        clearCheckpoint(collectionName);
+      }
+      
+      try {
+        // Prepare the required tables data for this migration
+        const migrationData = await loadMigrationData(collectionName, config, {
+          source,
+          tablesData,
+          streamedTables
+        });
+        
         // Apply document limit if specified
         const limit = argv.limit || null;
         
         // Run the migration
         const result = await migration.migrate(db, migrationData, { 
           dryRun: argv.dryRun,
-          limit
+          resume: argv.resume,
+          limit,
+          onOperations: (operations) => {
+            // Document hashes for the sync manifest
+            trackOperations(operations);
+            
+            // A dry run collects the documents it would write for the dry run report
+            if (argv.dryRun) {
+              recordOperations(operations);
+            }
+          }
         });
         
+        if (argv.dryRun) {
+          recordErrors(collectionName, result.errors);
+        }
+        
+        // A dry run fails when documents would be written with string timestamps
+        const timestampErrors = (result.errors || []).filter(error => error.type === 'timestamp');
+        if (argv.dryRun && timestampErrors.length > 0) {
+          dryRunFailures.push(`${collectionName}: ${timestampErrors.length} documents with invalid timestamps`);
+        }
+        
         colorLog.green(`✓ Successfully migrated ${result.count} ${collectionName} documents`);
         logger.info(`Migrated ${result.count} ${collectionName} documents`);
+        
+        // A collection with uncommitted batches stays out of the sync manifest, so the next
+        // sync writes its documents again
+        const uncommitted = !argv.dryRun && hasIncompleteTasks(collectionName);
+        
+        // A sync removes documents whose rows are gone from the dump; rows that failed to
+        // transform would look gone too, so nothing is removed from a collection with errors
+        const deleteMissing = argv.sync && result.errors.length === 0;
+        const delta = uncommitted ? null : completeCollection(collectionName, config, { deleteMissing });
+        if (argv.sync && delta) {
+          const { inserted, updated, unchanged, missing } = delta.stats;
+          logger.info(`${collectionName} sync: ${inserted} inserted, ${updated} updated, ${unchanged} unchanged, ${missing} gone from the dump`);
+          
+          if (missing > 0 && !deleteMissing) {
+            logger.warn(`Not removing ${missing} ${collectionName} documents: the collection had ${result.errors.length} errors`);
+          } else if (delta.operations.length > 0 && !argv.dryRun) {
+            await sink.write(delta.operations);
+          }
+        }
+        
+        // Persist mappings so later single-collection runs can resolve references
+        if (!argv.dryRun) {
+          saveMappingsToFile(ID_MAPPINGS_PATH);
+          
+          // Only a collection whose batches all committed can be skipped on resume
+          if (uncommitted) {
+            logger.warn(`${collectionName} has uncommitted batches, rerun with --resume to retry them`);
+          } else {
+            markCollectionComplete(collectionName);
+          }
+        }
+        
+        return 'completed';
       } catch (error) {
+        if (argv.dryRun) {
+          recordFailure(collectionName, error);
+        }
+        
         colorLog.red(`✗ Error migrating ${collectionName}: ${error.message}`);
         logger.error(`Error migrating ${collectionName}: ${error.message}`);
         if (error.stack) {
           logger.error(error.stack);
         }
+        return 'failed';
       }
+    };
+    
+    // Run migrations in dependency order, independent collections concurrently
+    const statuses = await runInDependencyOrder(collectionsToMigrate, migrateCollection, {
+      concurrency: argv.concurrency,
+      onSkip: (collectionName, dependency) => {
+        colorLog.red(`✗ Skipping ${collectionName}: dependency ${dependency} did not complete`);
+        logger.error(`Skipping ${collectionName}: dependency ${dependency} did not complete`);
+      }
+    });
+    
+    const incomplete = Object.keys(statuses).filter(name => statuses[name] !== 'completed');
+    if (incomplete.length > 0) {
+      colorLog.yellow(`\nCollections not completed: ${incomplete.map(name => `${name} (${statuses[name]})`).join(', ')}`);
+      process.exitCode = 1;
     }
     
+    // Report how zero and invalid dates were resolved
+    logDatePolicyReport();
+    
+    // Report foreign keys that referenced rows missing from the mapping store
+    logIntegrityReport();
+    
+    // Report listing ids that several listing tables use and how their references were resolved
+    logListingCollisionReport(path.resolve(__dirname, 'config', FILE_PATHS.LISTING_COLLISIONS_REPORT));
+    
+    // The next --sync compares its dump with this run (a limited run saw only part of the rows)
+    if (!argv.dryRun && !argv.limit) {
+      saveManifest(argv.manifest);
+    }
+    
+    // Report documents the write modes skipped or merged
+    logWriteModeReport();
+    
+    // Summarise the documents a dry run would have written
+    if (argv.dryRun) {
+      logDryRunReport();
+      writeDryRunReport(argv.report);
+    }
+    
+    if (dryRunFailures.length > 0) {
+      colorLog.red('\nDry run failed:');
+      dryRunFailures.forEach(failure => colorLog.red(`  ${failure}`));
+      process.exitCode = 1;
+    }
+    
+    await sink.close();
+    await source.close();
+    releaseLock();
+    
     colorLog.blue('\n=== Migration Complete ===');
     logger.info('Migration process completed');
     
@@ -0,0 +1,149 @@
+/**
+ * Media migration into Cloud Storage
+ * Uploads the legacy files referenced by migrated documents to the Storage paths the documents
+ * record and fills in their size, type and dimensions. Run it after the collections were
+ * migrated, and again after migrating them again (a migration writes the legacy metadata back)
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const logger = require('./utils/logger');
+const { initializeFirestore, initializeStorage } = require('./utils/firestore-service');
+const { CONNECTION_OPTIONS, resolveConnection } = require('./utils/connection-settings');
+const { describeTarget, checkConfirmation, acquireLock, releaseLock } = require('./utils/production-guard');
+const { migrateMedia } = require('./utils/media-migration');
+const { FILE_PATHS, MEDIA } = require('./config/migration-config');
+
+// Problems logged per kind (the report lists all of them)
+const LOGGED_ENTRIES = 20;
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .options(CONNECTION_OPTIONS)
+  .option('collection', {
+    alias: 'c',
+    description: 'Only migrate the media of this collection',
+    choices: Object.keys(MEDIA.FIELDS)
+  })
+  .option('uploadsDir', {
+    description: 'Legacy uploads directory',
+    type: 'string',
+    default: path.resolve(__dirname, 'config', FILE_PATHS.LEGACY_UPLOADS_DIR)
+  })
+  .option('bucket', {
+    description: 'Cloud Storage bucket (<project id>.appspot.com by default)',
+    type: 'string',
+    default: MEDIA.BUCKET || undefined
+  })
+  .option('confirm', {
+    description: 'Project id of the Firebase project the files are uploaded to, required for anything but the emulators',
+    type: 'string'
+  })
+  .option('dryRun', {
+    alias: 'd',
+    description: 'Inspect the files and report them without uploading them or updating documents',
+    type: 'boolean',
+    default: false
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Path of the JSON report',
+    type: 'string',
+    default: path.resolve(__dirname, 'config', FILE_PATHS.MEDIA_REPORT)
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+/**
+ * Log the first problems of a kind
+ * @param {string} title - Kind of problem
+ * @param {Array<Object>} entries - Problems
+ */
+function logProblems(title, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  logger.warn(`${title}: ${entries.length}`);
+  entries.slice(0, LOGGED_ENTRIES).forEach(entry => (
+    logger.warn(`  ${entry.collection}/${entry.docId} ${entry.field}: ${entry.url} - ${entry.reason}`)
+  ));
+  if (entries.length > LOGGED_ENTRIES) {
+    logger.warn(`  ... ${entries.length - LOGGED_ENTRIES} more in ${argv.output}`);
+  }
+}
+
+// Main media migration function
+async function runMediaMigration() {
+  try {
+    logger.info('Starting media migration');
+
+    const connection = resolveConnection(argv);
+    const { emulatorHost, storageEmulatorHost } = connection.firestore;
+
+    // Documents and files go to the emulators together or to the project together
+    if (Boolean(emulatorHost) !== Boolean(storageEmulatorHost)) {
+      throw new Error(emulatorHost
+        ? 'Firestore points at its emulator but Storage does not, set --storage-emulator-host'
+        : 'Storage points at its emulator but Firestore does not, set --emulator-host');
+    }
+
+    if (!fs.existsSync(argv.uploadsDir)) {
+      throw new Error(`Legacy uploads directory not found at ${argv.uploadsDir}`);
+    }
+
+    logger.info(`Uploading media from ${argv.uploadsDir} for ${describeTarget(connection)}`);
+
+    if (!argv.dryRun) {
+      checkConfirmation(connection, argv.confirm);
+      acquireLock(connection);
+    }
+
+    const db = initializeFirestore(connection.firestore);
+    const bucket = argv.dryRun ? null : initializeStorage({ ...connection.firestore, bucket: argv.bucket });
+
+    const report = await migrateMedia(db, bucket, {
+      collections: argv.collection ? [argv.collection] : undefined,
+      uploadsDir: argv.uploadsDir,
+      dryRun: argv.dryRun
+    });
+
+    logProblems('Missing files', report.missing);
+    logProblems('Corrupt files', report.corrupt);
+    logProblems('Failed uploads', report.failed);
+
+    fs.mkdirSync(path.dirname(argv.output), { recursive: true });
+    fs.writeFileSync(argv.output, JSON.stringify({
+      migratedAt: new Date().toISOString(),
+      dryRun: argv.dryRun,
+      uploadsDir: argv.uploadsDir,
+      ...report
+    }, null, 2));
+    logger.info(`Media report written to ${argv.output}`);
+
+    const summary = `${report.uploaded} of ${report.files} files ${argv.dryRun ? 'would be uploaded' : 'uploaded'} ` +
+      `(${report.bytes} bytes, ${report.documents} documents), ${report.missing.length} missing, ` +
+      `${report.corrupt.length} corrupt, ${report.failed.length} failed`;
+    if (report.failed.length > 0) {
+      logger.error(`Media migration completed: ${summary}`);
+      process.exitCode = 1;
+    } else {
+      logger.success(`Media migration completed: ${summary}`);
+    }
+  } catch (error) {
+    logger.error(`Media migration failed: ${error.message}`);
+    if (error.stack) {
+      logger.error(error.stack);
+    }
+    process.exitCode = 1;
+  } finally {
+    releaseLock();
+  }
+}
+
+// Run the media migration
+runMediaMigration();
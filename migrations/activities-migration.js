@@ -0,0 +1,126 @@
+/**
+ * Migration module for activities collection
+ * Combines listing views (user_history) and listing interactions (post_activities)
+ */
+const { getUUID } = require('../utils/uuid-mapper');
+const { processBatch, takeItems } = require('../utils/batch-processor');
+const { createListingResolver } = require('../utils/listing-references');
+const MigrationStrategy = require('../utils/migration-strategy');
+const MigrationTransformer = require('../utils/migration-transformer');
+const { BATCH_SIZES } = require('../config/migration-config');
+const logger = require('../utils/logger');
+
+/**
+ * Migrate activities from SQL to Firestore
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} data - SQL data containing user_history and post_activities tables
+ * @param {Object} options - Migration options
+ * @returns {Promise<Object>} - Migration result
+ */
+async function migrate(db, data, options = {}) {
+  logger.info('Starting activities migration');
+
+  // user_history may be streamed from the dump
+  const { user_history = [], post_activities = [] } = data;
+  const resolveListing = createListingResolver();
+
+  const tasks = [
+    { name: 'user_history', items: takeItems(user_history, options.limit), source: 'view' },
+    { name: 'post_activities', items: takeItems(post_activities, options.limit), source: 'interaction' }
+  ];
+
+  let processedCount = 0;
+  const errors = [];
+
+  for (const task of tasks) {
+    const result = await processBatch(
+      task.items,
+      async (activity) => transformActivity(activity, task.name, task.source, resolveListing),
+      {
+        collection: 'activities',
+        dryRun: options.dryRun,
+        resume: options.resume,
+        onOperations: options.onOperations,
+        checkpointTask: task.name,
+        label: `Migrating ${task.name} activities`,
+        batchSize: BATCH_SIZES.ACTIVITIES
+      }
+    );
+
+    processedCount += result.processedCount;
+    errors.push(...result.errors);
+  }
+
+  logger.info(`Activities migration completed: ${processedCount} activities processed`);
+
+  return {
+    collection: 'activities',
+    count: processedCount,
+    errors
+  };
+}
+
+/**
+ * Transform SQL activity row to Firestore activity document
+ * @param {Object} activity - SQL user_history or post_activities record (user_id, post_id, activity_type,
+ *   date_of_click, date_of_update)
+ * @param {string} table - Source table name
+ * @param {string} source - Kind of activity the table records ('view' or 'interaction')
+ * @param {Function} resolveListing - Listing reference resolver (from createListingResolver)
+ * @returns {Object} - Firestore document operation
+ */
+function transformActivity(activity, table, source, resolveListing) {
+  const validationResult = MigrationStrategy.validate.activity(activity);
+  if (!validationResult.isValid) {
+    throw new Error(`Invalid ${table} activity ${activity.id}: ${validationResult.errors.join(', ')}`);
+  }
+
+  // Activities are never referenced by other collections, so their IDs are derived
+  // deterministically instead of being kept in the UUID mapping store
+  const activityId = MigrationTransformer.uuid(`${table}:${activity.id}`, 'activities');
+
+  // Unknown users and listings are handled by the orphan policies of RELATIONSHIPS.activities
+  const userId = getUUID('users', activity.user_id);
+  // post_id carries no listing type, so ids used by several listing tables stay unresolved
+  const listingId = resolveListing(
+    activity.post_id,
+    {},
+    { collection: 'activities', field: 'post_id', sourceId: `${table}:${activity.id}` }
+  ) || null;
+  const type = source === 'view'
+    ? 'listing_view'
+    : MigrationTransformer.text(activity.activity_type, { lowercase: true, defaultValue: 'interaction', allowEmpty: false });
+
+  // Transform activity data to match Firestore schema
+  const firestoreActivity = {
+    id: activityId,
+    userId: userId,
+    type: type,
+
+    // Target of the activity
+    target: {
+      type: 'listing',
+      id: listingId,
+      sourceId: activity.post_id || null
+    },
+
+    // Source tracking
+    source: {
+      table: table,
+      id: activity.id
+    },
+
+    // Timestamps
+    createdAt: activity.date_of_click,
+    updatedAt: activity.date_of_update || activity.date_of_click
+  };
+
+  return {
+    docId: activityId,
+    data: firestoreActivity
+  };
+}
+
+module.exports = {
+  migrate
+};
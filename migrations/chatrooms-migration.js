@@ -3,20 +3,26 @@
  */
 const { getOrCreateUUID, getUUID } = require('../utils/uuid-mapper');
 const { processBatch } = require('../utils/batch-processor');
-const { DEFAULTS } = require('../config/migration-config');
+const { getKey, findRelated } = require('../utils/related-index');
+const { createListingResolver } = require('../utils/listing-references');
+const { summarizeChatrooms } = require('../utils/chat-summary');
 const logger = require('../utils/logger');
 
 /**
  * Migrate chatrooms from SQL to Firestore
  * @param {FirebaseFirestore.Firestore} db - Firestore instance
- * @param {Object} data - SQL data containing userchat and users tables
+ * @param {Object} data - SQL data containing userchat, userchat_msg, chat_files, users and listing tables
  * @param {Object} options - Migration options
  * @returns {Promise<Object>} - Migration result
  */
 async function migrate(db, data, options = {}) {
   logger.info('Starting chatrooms migration');
   
-  const { userchat = [], users = [] } = data;
+  const { userchat = [], userchat_msg = [], chat_files = [], users = [] } = data;
+  const resolveListing = createListingResolver(data);
+  
+  // Last message and counters of every chatroom, from one pass over the messages
+  const summaries = await summarizeChatrooms(userchat_msg, chat_files);
   
   // Apply limit if specified
   const chatroomsToMigrate = options.limit ? userchat.slice(0, options.limit) : userchat;
@@ -24,10 +30,12 @@ async function migrate(db, data, options = {}) {
   // Process chatrooms in batches
   const result = await processBatch(
     chatroomsToMigrate,
-    async (chatroom) => transformChatroom(chatroom, { users }),
+    async (chatroom) => transformChatroom(chatroom, { users, resolveListing, summary: summaries.get(getKey(chatroom.id)) }),
     {
       collection: 'chatrooms',
       dryRun: options.dryRun,
+      resume: options.resume,
+      onOperations: options.onOperations,
       label: 'Migrating chatrooms',
       batchSize: 100
     }
@@ -45,11 +53,11 @@ async function migrate(db, data, options = {}) {
 /**
  * Transform SQL chat to Firestore chatroom document
  * @param {Object} chatroom - SQL chat record
- * @param {Object} relatedData - Related data (users)
+ * @param {Object} relatedData - Related data (users, resolveListing, summary of the chatroom's messages)
  * @returns {Object} - Firestore document operation
  */
 function transformChatroom(chatroom, relatedData) {
-  const { users = [] } = relatedData;
+  const { users = [], resolveListing, summary = null } = relatedData;
   
   // Generate a UUID for the chatroom
   const chatroomId = getOrCreateUUID('chatrooms', chatroom.id);
@@ -59,19 +67,23 @@ function transformChatroom(chatroom, relatedData) {
   const partnerUuid = getUUID('users', chatroom.chat_partner);
   
   // Find related users
-  const owner = users.find(user => user.id === chatroom.chat_owner);
-  const partner = users.find(user => user.id === chatroom.chat_partner);
+  const owner = findRelated(users, 'id', chatroom.chat_owner);
+  const partner = findRelated(users, 'id', chatroom.chat_partner);
   
   // Determine chatroom status
   let status = 'active';
-  if (chatroom.status === 0) {
+  if (Number(chatroom.status) === 0) {
     status = 'archived';
-  } else if (chatroom.status === 2) {
+  } else if (Number(chatroom.status) === 2) {
     status = 'blocked';
   }
   
   // Get listing reference if available
-  const listingId = getUUID('listings', chatroom.type_id);
+  const listingId = resolveListing(
+    chatroom.type_id,
+    { urlType: chatroom.url_type, typeName: chatroom.type_name },
+    { collection: 'chatrooms', field: 'type_id', sourceId: chatroom.id }
+  );
   
   // Transform chatroom data to match Firestore schema
   const firestoreChatroom = {
@@ -105,38 +117,47 @@ function transformChatroom(chatroom, relatedData) {
     // Chatroom status
     status: status,
     
-    // Last message
-    lastMessage: {
+    // Last message (chatrooms without messages, or whose last message has no valid date, keep their last action)
+    lastMessage: summary ? {
+      id: getOrCreateUUID('messages', summary.lastMessage.id),
+      text: summary.lastMessage.msg_text || '',
+      sender: getUUID('users', summary.lastMessage.sender) || '',
+      timestamp: summary.lastMessage.msg_date || chatroom.last_action,
+      type: summary.lastMessageType
+    } : {
       id: '',
       text: '',
       sender: '',
-      timestamp: chatroom.last_action || DEFAULTS.CREATED_AT,
+      timestamp: chatroom.last_action,
       type: 'text'
     },
     
-    // Counters
+    // Counters (every participant has an unread count)
     counters: {
-      messageCount: 0,
-      unreadCount: {},
-      mediaCount: 0,
+      messageCount: summary ? summary.messageCount : 0,
+      unreadCount: {
+        ...Object.fromEntries([ownerUuid, partnerUuid].filter(Boolean).map(userId => [userId, 0])),
+        ...(summary && summary.unreadCount)
+      },
+      mediaCount: summary ? summary.mediaCount : 0,
       offerCount: 0
     },
     
     // Activity
     activity: {
-      lastActive: chatroom.last_action || DEFAULTS.CREATED_AT,
+      lastActive: chatroom.last_action,
       createdBy: ownerUuid,
       pinnedBy: []
     },
     
     // Connection lifecycle
     lifecycle: {
-      connectionInitiated: chatroom.created_at || DEFAULTS.CREATED_AT,
+      connectionInitiated: chatroom.created_at,
       initialResponseTime: 0,
       responseRate: 0,
       averageResponseTime: 0,
       dealStage: '',
-      lastEngagement: chatroom.last_action || DEFAULTS.CREATED_AT
+      lastEngagement: chatroom.last_action
     },
     
     // Metadata
@@ -148,9 +169,9 @@ function transformChatroom(chatroom, relatedData) {
     },
     
     // Timestamps
-    createdAt: chatroom.created_at || DEFAULTS.CREATED_AT,
-    updatedAt: chatroom.last_action || DEFAULTS.UPDATED_AT,
-    isDeleted: chatroom.status === 2
+    createdAt: chatroom.created_at,
+    updatedAt: chatroom.last_action,
+    isDeleted: Number(chatroom.status) === 2
   };
   
   return {
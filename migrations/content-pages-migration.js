@@ -0,0 +1,109 @@
+/**
+ * Migration module for contentPages collection
+ */
+const { getOrCreateUUID } = require('../utils/uuid-mapper');
+const { processBatch } = require('../utils/batch-processor');
+const MigrationStrategy = require('../utils/migration-strategy');
+const MigrationTransformer = require('../utils/migration-transformer');
+const { BATCH_SIZES } = require('../config/migration-config');
+const logger = require('../utils/logger');
+
+/**
+ * Migrate content pages from SQL to Firestore
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} data - SQL data containing articles table
+ * @param {Object} options - Migration options
+ * @returns {Promise<Object>} - Migration result
+ */
+async function migrate(db, data, options = {}) {
+  logger.info('Starting content pages migration');
+
+  const { articles = [] } = data;
+
+  // Apply limit if specified
+  const pagesToMigrate = options.limit ? articles.slice(0, options.limit) : articles;
+
+  // Process content pages in batches
+  const result = await processBatch(
+    pagesToMigrate,
+    async (article) => transformContentPage(article),
+    {
+      collection: 'contentPages',
+      dryRun: options.dryRun,
+      resume: options.resume,
+      onOperations: options.onOperations,
+      label: 'Migrating content pages',
+      batchSize: BATCH_SIZES.CONTENT_PAGES
+    }
+  );
+
+  logger.info(`Content pages migration completed: ${result.processedCount} content pages processed`);
+
+  return {
+    collection: 'contentPages',
+    count: result.processedCount,
+    errors: result.errors
+  };
+}
+
+/**
+ * Transform SQL article to Firestore content page document
+ * @param {Object} article - SQL articles record (title, slug, content, short_description, image,
+ *   meta_title, meta_description, meta_keywords, status, date_of_creation, date_of_action)
+ * @returns {Object} - Firestore document operation
+ */
+function transformContentPage(article) {
+  const validationResult = MigrationStrategy.validate.contentPage(article);
+  if (!validationResult.isValid) {
+    throw new Error(`Invalid content page ${article.id}: ${validationResult.errors.join(', ')}`);
+  }
+
+  // Generate a UUID for the content page
+  const pageId = getOrCreateUUID('contentPages', article.id);
+
+  const title = MigrationTransformer.text(article.title, { maxLength: 255 });
+  const published = MigrationTransformer.boolean(article.status);
+
+  // Transform article data to match Firestore schema
+  const firestoreContentPage = {
+    id: pageId,
+    title: title,
+    slug: MigrationTransformer.slug(article.slug, { sourceField: title, defaultValue: `page-${article.id}` }),
+
+    // Content (the body keeps its HTML)
+    content: {
+      body: MigrationTransformer.text(article.content, { removeHtml: false, maxLength: null }),
+      excerpt: MigrationTransformer.text(article.short_description, { maxLength: 500 }),
+      featuredImage: article.image ? {
+        url: article.image,
+        path: `contentPages/${pageId}/featured_image`
+      } : null
+    },
+
+    // SEO
+    seo: {
+      metaTitle: MigrationTransformer.text(article.meta_title, { maxLength: 255 }) || title,
+      metaDescription: MigrationTransformer.text(article.meta_description, { maxLength: 500 }),
+      keywords: MigrationTransformer.array(article.meta_keywords, { delimiter: ',' }).filter(Boolean)
+    },
+
+    // Publishing
+    status: published ? 'published' : 'draft',
+    publishedAt: published ? article.date_of_creation : null,
+    author: 'admin',
+
+    // Timestamps
+    createdAt: article.date_of_creation,
+    updatedAt: article.date_of_action || article.date_of_creation,
+    isDeleted: false
+  };
+
+  return {
+    docId: pageId,
+    data: firestoreContentPage
+  };
+}
+
+module.exports = {
+  migrate
+};
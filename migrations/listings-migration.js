@@ -55,7 +55,7 @@ async function migrate(db, data, options = {}) {
         sourceData: businesses,
         type: 'business',
         relatedData: {
-          media: business_media,
+          business_media,
           industryMap: industryMap.industries,
           subIndustryMap: industryMap.subIndustries,
           industryRelationships: industryMap.relationships,
@@ -68,7 +68,7 @@ async function migrate(db, data, options = {}) {
         sourceData: franchise,
         type: 'franchise',
         relatedData: {
-          media: franchise_media,
+          franchise_media,
           formats: franchise_formats,
           industryMap: industryMap.industries,
           subIndustryMap: industryMap.subIndustries,
@@ -112,6 +112,9 @@ async function migrate(db, data, options = {}) {
           {
             collection: 'listings',
             dryRun: options.dryRun,
+            resume: options.resume,
+            onOperations: options.onOperations,
+            checkpointTask: task.name,
             label: `Migrating ${task.name}`,
             batchSize: 50,
             showProgress: true
@@ -131,6 +134,11 @@ async function migrate(db, data, options = {}) {
     
     return combinedResult;
   } catch (error) {
+    // Orphans with the 'abort' policy fail the collection instead of being reported as errors
+    if (error.abort) {
+      throw error;
+    }
+    
     logger.error(`Fatal error in listings migration: ${error.message}`);
     if (error.stack) {
       logger.error(error.stack);
@@ -162,7 +170,7 @@ async function prepareIndustryMap(industries, subIndustries) {
         name: MigrationTransformer.text(industry.name),
         slug: MigrationTransformer.slug(industry.slug, { sourceField: industry.name }),
         sourceId: industry.id,
-        status: industry.status === 1
+        status: MigrationTransformer.boolean(industry.status)
       })
     }
   );
@@ -186,7 +194,7 @@ async function prepareIndustryMap(industries, subIndustries) {
           sourceId: subIndustry.id,
           industryId: subIndustry.industry_id,
           parentId: parentId, // Industry UUID reference
-          status: subIndustry.status === 1
+          status: MigrationTransformer.boolean(subIndustry.status)
         };
       }
     }
@@ -242,7 +250,7 @@ async function prepareLocationMap(cities, states) {
           sourceId: city.id,
           stateId: city.state_id,
           parentId: stateId, // State UUID reference
-          isState: city.is_state === 1
+          isState: MigrationTransformer.boolean(city.is_state)
         };
       }
     }
@@ -2,8 +2,10 @@
  * Migration module for messages collection
  */
 const { getOrCreateUUID, getUUID } = require('../utils/uuid-mapper');
-const { processBatch } = require('../utils/batch-processor');
-const { DEFAULTS } = require('../config/migration-config');
+const { processBatch, takeItems } = require('../utils/batch-processor');
+const { findRelated } = require('../utils/related-index');
+const { createListingResolver } = require('../utils/listing-references');
+const { getMessageType } = require('../utils/chat-summary');
 const logger = require('../utils/logger');
 
 /**
@@ -18,16 +20,32 @@ async function migrate(db, data, options = {}) {
   
   const { userchat_msg = [], userchat = [], users = [], chat_files = [] } = data;
   
-  // Apply limit if specified
-  const messagesToMigrate = options.limit ? userchat_msg.slice(0, options.limit) : userchat_msg;
+  // Messages share the listing of their chatroom, so each chatroom's listing is resolved once
+  const resolveListing = createListingResolver(data);
+  const chatroomListings = new Map();
+  const resolveChatroomListing = (chatroom) => {
+    if (!chatroomListings.has(chatroom.id)) {
+      chatroomListings.set(chatroom.id, resolveListing(
+        chatroom.type_id,
+        { urlType: chatroom.url_type, typeName: chatroom.type_name },
+        { collection: 'messages', field: 'userchat.type_id', sourceId: chatroom.id }
+      ));
+    }
+    return chatroomListings.get(chatroom.id);
+  };
+  
+  // Apply limit if specified (userchat_msg may be streamed from the dump)
+  const messagesToMigrate = takeItems(userchat_msg, options.limit);
   
   // Process messages in batches
   const result = await processBatch(
     messagesToMigrate,
-    async (message) => transformMessage(message, { userchat, users, chat_files }),
+    async (message) => transformMessage(message, { userchat, users, chat_files, resolveChatroomListing }),
     {
       collection: 'messages',
       dryRun: options.dryRun,
+      resume: options.resume,
+      onOperations: options.onOperations,
       label: 'Migrating messages',
       batchSize: 100
     }
@@ -45,17 +63,17 @@ async function migrate(db, data, options = {}) {
 /**
  * Transform SQL message to Firestore message document
  * @param {Object} message - SQL message record
- * @param {Object} relatedData - Related data (chats, users, files)
+ * @param {Object} relatedData - Related data (chats, users, files, resolveChatroomListing)
  * @returns {Object} - Firestore document operation
  */
 function transformMessage(message, relatedData) {
-  const { userchat = [], users = [], chat_files = [] } = relatedData;
+  const { userchat = [], users = [], chat_files = [], resolveChatroomListing } = relatedData;
   
   // Generate a UUID for the message
   const messageId = getOrCreateUUID('messages', message.id);
   
   // Find chatroom
-  const chatroom = userchat.find(chat => chat.id === message.chat_id);
+  const chatroom = findRelated(userchat, 'id', message.chat_id);
   const chatroomId = getUUID('chatrooms', message.chat_id);
   
   // Get sender and recipient UUIDs
@@ -63,40 +81,21 @@ function transformMessage(message, relatedData) {
   const recipientId = getUUID('users', message.recipient);
   
   // Find related users
-  const sender = users.find(user => user.id === message.sender);
-  const recipient = users.find(user => user.id === message.recipient);
+  const sender = findRelated(users, 'id', message.sender);
+  const recipient = findRelated(users, 'id', message.recipient);
   
   // Find related file if message has one
-  const file = message.msg_file ? chat_files.find(file => file.id === message.msg_file) : null;
+  const file = message.msg_file ? findRelated(chat_files, 'id', message.msg_file) : null;
   
   // Determine message type
-  let messageType = 'text';
-  if (message.msg_type && message.msg_type !== 'text') {
-    messageType = message.msg_type;
-  } else if (file) {
-    // Determine file type from extension
-    if (file.ext) {
-      const ext = file.ext.toLowerCase();
-      if (['.jpg', '.jpeg', '.png', '.gif', '.webp'].includes(ext)) {
-        messageType = 'image';
-      } else if (['.doc', '.docx', '.pdf', '.xls', '.xlsx', '.ppt', '.pptx', '.txt'].includes(ext)) {
-        messageType = 'document';
-      } else if (['.mp4', '.avi', '.mov', '.wmv'].includes(ext)) {
-        messageType = 'video';
-      } else {
-        messageType = 'file';
-      }
-    } else {
-      messageType = 'file';
-    }
-  }
+  const messageType = getMessageType(message, file);
   
   // Determine message status
   let messageStatus = {
     sent: true,
-    delivered: message.msg_status !== 2, // Not deleted
-    read: message.msg_status === 0, // Read
-    readAt: message.msg_status === 0 ? message.msg_date : null,
+    delivered: Number(message.msg_status) !== 2, // Not deleted
+    read: Number(message.msg_status) === 0, // Read
+    readAt: Number(message.msg_status) === 0 ? message.msg_date : null,
     deliveredAt: message.msg_date
   };
   
@@ -109,7 +108,7 @@ function transformMessage(message, relatedData) {
   
   if (chatroom && chatroom.type_id && chatroom.type_name) {
     listingRef = {
-      id: getUUID('listings', chatroom.type_id) || null,
+      id: resolveChatroomListing(chatroom) || null,
       name: chatroom.type_name || '',
       type: chatroom.url_type || ''
     };
@@ -141,6 +140,7 @@ function transformMessage(message, relatedData) {
     attachments: file ? [{
       type: messageType,
       url: file.path || '',
+      path: `messages/${messageId}/attachments/${file.id}`,
       name: file.filename || '',
       size: parseInt(file.size, 10) || 0,
       mimeType: '',
@@ -168,9 +168,9 @@ function transformMessage(message, relatedData) {
     },
     
     // Timestamps
-    createdAt: message.msg_date || DEFAULTS.CREATED_AT,
-    updatedAt: message.msg_date || DEFAULTS.CREATED_AT,
-    isDeleted: message.msg_status === 2 // Deleted
+    createdAt: message.msg_date,
+    updatedAt: message.msg_date,
+    isDeleted: Number(message.msg_status) === 2 // Deleted
   };
   
   return {
@@ -0,0 +1,109 @@
+/**
+ * Migration module for notifications collection
+ */
+const { getOrCreateUUID, getUUID } = require('../utils/uuid-mapper');
+const { processBatch } = require('../utils/batch-processor');
+const MigrationStrategy = require('../utils/migration-strategy');
+const MigrationTransformer = require('../utils/migration-transformer');
+const { BATCH_SIZES } = require('../config/migration-config');
+const logger = require('../utils/logger');
+
+/**
+ * Migrate notifications from SQL to Firestore
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} data - SQL data containing inbox table
+ * @param {Object} options - Migration options
+ * @returns {Promise<Object>} - Migration result
+ */
+async function migrate(db, data, options = {}) {
+  logger.info('Starting notifications migration');
+
+  const { inbox = [] } = data;
+
+  // Apply limit if specified
+  const notificationsToMigrate = options.limit ? inbox.slice(0, options.limit) : inbox;
+
+  // Process notifications in batches
+  const result = await processBatch(
+    notificationsToMigrate,
+    async (notification) => transformNotification(notification),
+    {
+      collection: 'notifications',
+      dryRun: options.dryRun,
+      resume: options.resume,
+      onOperations: options.onOperations,
+      label: 'Migrating notifications',
+      batchSize: BATCH_SIZES.NOTIFICATIONS
+    }
+  );
+
+  logger.info(`Notifications migration completed: ${result.processedCount} notifications processed`);
+
+  return {
+    collection: 'notifications',
+    count: result.processedCount,
+    errors: result.errors
+  };
+}
+
+/**
+ * Transform SQL inbox message to Firestore notification document
+ * @param {Object} notification - SQL inbox record (user_id, from_id, subject, message, is_read, date_of_message)
+ * @returns {Object} - Firestore document operation
+ */
+function transformNotification(notification) {
+  const validationResult = MigrationStrategy.validate.notification(notification);
+  if (!validationResult.isValid) {
+    throw new Error(`Invalid notification ${notification.id}: ${validationResult.errors.join(', ')}`);
+  }
+
+  // Generate a UUID for the notification
+  const notificationId = getOrCreateUUID('notifications', notification.id);
+
+  // Unknown recipients and senders are handled by the orphan policies of RELATIONSHIPS.notifications
+  const userId = getUUID('users', notification.user_id);
+  const senderId = getUUID('users', notification.from_id) || null;
+  const read = MigrationTransformer.boolean(notification.is_read);
+  const sentAt = MigrationTransformer.date(notification.date_of_message);
+
+  // Transform notification data to match Firestore schema
+  const firestoreNotification = {
+    id: notificationId,
+    userId: userId,
+
+    // Content
+    type: senderId ? 'message' : 'system',
+    title: MigrationTransformer.text(notification.subject, { maxLength: 255 }),
+    body: MigrationTransformer.text(notification.message, { maxLength: 2000 }),
+    link: '',
+
+    // Sender
+    sender: {
+      id: senderId,
+      type: senderId ? 'user' : 'system'
+    },
+
+    // Delivery
+    read: read,
+    readAt: read ? sentAt : null,
+    channels: {
+      inApp: true,
+      email: false,
+      push: false
+    },
+
+    // Timestamps
+    createdAt: sentAt,
+    updatedAt: sentAt,
+    isDeleted: false
+  };
+
+  return {
+    docId: notificationId,
+    data: firestoreNotification
+  };
+}
+
+module.exports = {
+  migrate
+};
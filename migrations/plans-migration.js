@@ -5,6 +5,7 @@
 const _ = require('lodash');
 const { getOrCreateUUID } = require('../utils/uuid-mapper');
 const { processBatch } = require('../utils/batch-processor');
+const { filterRelated } = require('../utils/related-index');
 const MigrationStrategy = require('../utils/migration-strategy');
 const MigrationTransformer = require('../utils/migration-transformer');
 const ValidationConfig = require('../utils/migration-validation-config');
@@ -36,6 +37,8 @@ async function migrate(db, data, options = {}) {
       {
         collection: 'plans',
         dryRun: options.dryRun,
+        resume: options.resume,
+        onOperations: options.onOperations,
         label: 'Migrating plans',
         batchSize: 100,
         showProgress: true
@@ -113,8 +116,7 @@ function enhancePlanData(plan, sourcePlan, relatedData) {
   const { plan_features = [] } = relatedData;
   
   // Format features more nicely
-  const features = plan_features
-    .filter(feature => feature.plan_id === sourcePlan.id)
+  const features = filterRelated(plan_features, 'plan_id', sourcePlan.id)
     .map(feature => MigrationTransformer.text(feature.features_name))
     .filter(text => text.length > 0);
   
@@ -1,9 +1,10 @@
 /**
  * Migration module for reviews collection
  */
-const { getOrCreateUUID, getUUID } = require('../utils/uuid-mapper');
+const { getOrCreateUUID } = require('../utils/uuid-mapper');
 const { processBatch } = require('../utils/batch-processor');
-const { DEFAULTS } = require('../config/migration-config');
+const { createListingResolver } = require('../utils/listing-references');
+const MigrationTransformer = require('../utils/migration-transformer');
 const logger = require('../utils/logger');
 
 /**
@@ -17,6 +18,7 @@ async function migrate(db, data, options = {}) {
   logger.info('Starting reviews migration');
   
   const { comments = [] } = data;
+  const resolveListing = createListingResolver();
   
   // Apply limit if specified
   const reviewsToMigrate = options.limit ? comments.slice(0, options.limit) : comments;
@@ -24,10 +26,12 @@ async function migrate(db, data, options = {}) {
   // Process reviews in batches
   const result = await processBatch(
     reviewsToMigrate,
-    async (review) => transformReview(review),
+    async (review) => transformReview(review, resolveListing),
     {
       collection: 'reviews',
       dryRun: options.dryRun,
+      resume: options.resume,
+      onOperations: options.onOperations,
       label: 'Migrating reviews',
       batchSize: 100
     }
@@ -45,14 +49,19 @@ async function migrate(db, data, options = {}) {
 /**
  * Transform SQL comment/review to Firestore review document
  * @param {Object} review - SQL review record
+ * @param {Function} resolveListing - Listing reference resolver (from createListingResolver)
  * @returns {Object} - Firestore document operation
  */
-function transformReview(review) {
+function transformReview(review, resolveListing) {
   // Generate a UUID for the review
   const reviewId = getOrCreateUUID('reviews', review.id);
   
   // Get listing UUID if available (article_id in comments maps to listing ID)
-  const listingId = getUUID('listings', review.article_id) || null;
+  const listingId = resolveListing(
+    review.article_id,
+    {},
+    { collection: 'reviews', field: 'article_id', sourceId: review.id }
+  ) || null;
   
   // If no listing ID is found, this might be a comment on an article, not a review
   if (!listingId) {
@@ -103,12 +112,12 @@ function transformReview(review) {
     
     // Visibility & moderation
     visibility: {
-      isPublic: review.status === 1,
+      isPublic: MigrationTransformer.boolean(review.status),
       featured: false,
-      status: review.status === 1 ? 'live' : 'pending',
+      status: MigrationTransformer.boolean(review.status) ? 'live' : 'pending',
       moderationNotes: '',
       moderatedBy: 'system',
-      moderatedAt: review.doc || DEFAULTS.CREATED_AT
+      moderatedAt: review.doc
     },
     
     // Community engagement
@@ -138,8 +147,8 @@ function transformReview(review) {
     },
     
     // Timestamps
-    createdAt: review.doc || DEFAULTS.CREATED_AT,
-    updatedAt: review.doc || DEFAULTS.CREATED_AT,
+    createdAt: review.doc,
+    updatedAt: review.doc,
     isDeleted: false
   };
   
@@ -5,6 +5,7 @@
 const _ = require('lodash');
 const { getOrCreateUUID, getUUID } = require('../utils/uuid-mapper');
 const { processBatch } = require('../utils/batch-processor');
+const { findRelated, filterRelated } = require('../utils/related-index');
 const MigrationStrategy = require('../utils/migration-strategy');
 const MigrationTransformer = require('../utils/migration-transformer');
 const ValidationConfig = require('../utils/migration-validation-config');
@@ -47,6 +48,8 @@ async function migrate(db, data, options = {}) {
       {
         collection: 'subscriptions',
         dryRun: options.dryRun,
+        resume: options.resume,
+        onOperations: options.onOperations,
         label: 'Migrating subscriptions',
         batchSize: 100,
         showProgress: true
@@ -61,6 +64,11 @@ async function migrate(db, data, options = {}) {
       errors: result.errors
     };
   } catch (error) {
+    // Orphans with the 'abort' policy fail the collection instead of being reported as errors
+    if (error.abort) {
+      throw error;
+    }
+    
     logger.error(`Fatal error in subscriptions migration: ${error.message}`);
     if (error.stack) {
       logger.error(error.stack);
@@ -91,18 +99,16 @@ async function transformSubscription(subscription, relatedData) {
     // Get user
     const userId = MigrationTransformer.number(subscription.user_id);
     const userUUID = getUUID('users', userId);
-    const user = users.find(u => u.id === userId);
+    const user = findRelated(users, 'id', userId);
     
     // Get plan
     const planId = MigrationTransformer.number(subscription.plan_id);
     const planUUID = getUUID('plans', planId);
-    const plan = plans.find(p => p.id === planId);
+    const plan = findRelated(plans, 'id', planId);
     
     // Get related invoices
-    const relatedInvoices = invoice.filter(inv => 
-      inv.user_plan_id === subscription.id && 
-      inv.user_id === subscription.user_id
-    );
+    const relatedInvoices = filterRelated(invoice, 'user_plan_id', subscription.id)
+      .filter(inv => String(inv.user_id) === String(subscription.user_id));
     
     // Get latest invoice
     const latestInvoice = relatedInvoices.length > 0 
@@ -261,14 +267,13 @@ function enhanceSubscriptionData(subscription, sourceSubscription, relatedData)
   const { plans = [], invoice = [] } = relatedData;
   
   // Get plan
-  const plan = plans.find(p => getUUID('plans', p.id) === subscription.planId);
+  const plan = findRelated(plans, 'id', sourceSubscription.plan_id);
   
   // Enhance plan features
   if (plan) {
     const planFeatures = relatedData.plan_features || [];
     
-    const features = planFeatures
-      .filter(feature => feature.plan_id === plan.id)
+    const features = filterRelated(planFeatures, 'plan_id', plan.id)
       .map(feature => MigrationTransformer.text(feature.features_name))
       .filter(text => text.length > 0);
     
@@ -285,10 +290,8 @@ function enhanceSubscriptionData(subscription, sourceSubscription, relatedData)
   }
   
   // Enhance history with renewals
-  const relatedInvoices = invoice.filter(inv => 
-    inv.user_plan_id === sourceSubscription.id && 
-    inv.user_id === sourceSubscription.user_id
-  );
+  const relatedInvoices = filterRelated(invoice, 'user_plan_id', sourceSubscription.id)
+    .filter(inv => String(inv.user_id) === String(sourceSubscription.user_id));
   
   if (relatedInvoices.length > 0) {
     const renewals = relatedInvoices.map(inv => ({
@@ -315,14 +318,12 @@ function enhanceSubscriptionData(subscription, sourceSubscription, relatedData)
     }
   });
   
-  // Add usage logs based on sent_count
+  // Add usage logs based on sent_count (the dump has no usage times, so counts are logged
+  // at the start of the subscription)
   if (sourceSubscription.sent_count > 0) {
     usageLogs.push({
       action: 'connects_used',
-      timestamp: new Date(
-        subscription.startDate.getTime() + 
-        Math.random() * (new Date() - subscription.startDate)
-      ),
+      timestamp: subscription.startDate,
       details: {
         count: sourceSubscription.sent_count,
         remaining: subscription.usage.connectsRemaining
@@ -334,10 +335,7 @@ function enhanceSubscriptionData(subscription, sourceSubscription, relatedData)
   if (sourceSubscription.revealed_count > 0) {
     usageLogs.push({
       action: 'contacts_revealed',
-      timestamp: new Date(
-        subscription.startDate.getTime() + 
-        Math.random() * (new Date() - subscription.startDate)
-      ),
+      timestamp: subscription.startDate,
       details: {
         count: sourceSubscription.revealed_count
       }
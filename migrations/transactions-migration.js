@@ -5,6 +5,8 @@
 const _ = require('lodash');
 const { getOrCreateUUID, getUUID } = require('../utils/uuid-mapper');
 const { processBatch } = require('../utils/batch-processor');
+const { findRelated } = require('../utils/related-index');
+const { createListingResolver } = require('../utils/listing-references');
 const MigrationStrategy = require('../utils/migration-strategy');
 const MigrationTransformer = require('../utils/migration-transformer');
 const ValidationConfig = require('../utils/migration-validation-config');
@@ -29,6 +31,7 @@ async function migrate(db, data, options = {}) {
       user_plans = [],
       plans = []
     } = data;
+    const resolveListing = createListingResolver(data);
     
     // Step 1: Merge invoice and payment data for comprehensive transactions
     logger.info('Preparing transaction data...');
@@ -47,11 +50,14 @@ async function migrate(db, data, options = {}) {
       async (transaction) => transformTransaction(transaction, { 
         users, 
         user_plans,
-        plans 
+        plans,
+        resolveListing
       }),
       {
         collection: 'transactions',
         dryRun: options.dryRun,
+        resume: options.resume,
+        onOperations: options.onOperations,
         label: 'Migrating transactions',
         batchSize: 100,
         showProgress: true
@@ -66,6 +72,11 @@ async function migrate(db, data, options = {}) {
       errors: result.errors
     };
   } catch (error) {
+    // Orphans with the 'abort' policy fail the collection instead of being reported as errors
+    if (error.abort) {
+      throw error;
+    }
+    
     logger.error(`Fatal error in transactions migration: ${error.message}`);
     if (error.stack) {
       logger.error(error.stack);
@@ -143,16 +154,16 @@ async function transformTransaction(transaction, relatedData) {
     const transactionId = getOrCreateUUID('transactions', transaction.id);
     
     // Step 2: Extract related entities
-    const { users = [], user_plans = [], plans = [] } = relatedData;
+    const { users = [], user_plans = [], plans = [], resolveListing } = relatedData;
     
     // Get user
     const userId = MigrationTransformer.number(transaction.user_id);
     const userUUID = getUUID('users', userId);
-    const user = users.find(u => u.id === userId);
+    const user = findRelated(users, 'id', userId);
     
     // Get user plan
     const planId = MigrationTransformer.number(transaction.user_plan_id);
-    const userPlan = user_plans.find(up => up.id === planId);
+    const userPlan = findRelated(user_plans, 'id', planId);
     
     // Get plan details
     let planUUID = null;
@@ -161,7 +172,7 @@ async function transformTransaction(transaction, relatedData) {
     
     if (userPlan) {
       planUUID = getUUID('plans', userPlan.plan_id);
-      const plan = plans.find(p => p.id === userPlan.plan_id);
+      const plan = findRelated(plans, 'id', userPlan.plan_id);
       
       if (plan) {
         planName = plan.name || '';
@@ -171,7 +182,11 @@ async function transformTransaction(transaction, relatedData) {
     
     // Get listing details
     const listingId = MigrationTransformer.number(transaction.type_id);
-    const listingUUID = getUUID('listings', listingId);
+    const listingUUID = resolveListing(
+      listingId,
+      { typeName: transaction.type_name },
+      { collection: 'transactions', field: 'type_id', sourceId: transaction.id }
+    );
     
     // Get transaction status
     let status = 'pending';
@@ -3,7 +3,9 @@
  */
 const { getOrCreateUUID } = require('../utils/uuid-mapper');
 const { processBatch } = require('../utils/batch-processor');
-const { DEFAULTS, USER_ROLES } = require('../config/migration-config');
+const { filterRelated } = require('../utils/related-index');
+const { USER_ROLES } = require('../config/migration-config');
+const MigrationTransformer = require('../utils/migration-transformer');
 const logger = require('../utils/logger');
 
 /**
@@ -28,6 +30,8 @@ async function migrate(db, data, options = {}) {
     {
       collection: 'users',
       dryRun: options.dryRun,
+      resume: options.resume,
+      onOperations: options.onOperations,
       label: 'Migrating users',
       batchSize: 100
     }
@@ -55,10 +59,10 @@ function transformUser(user, relatedData) {
   const userId = getOrCreateUUID('users', user.id);
   
   // Find user's login history
-  const userLoginHistory = login_history.filter(log => log.user_id === user.id);
+  const userLoginHistory = filterRelated(login_history, 'user_id', user.id);
   
   // Find user's subscription plans
-  const userSubscriptionPlans = user_plans.filter(plan => plan.user_id === user.id);
+  const userSubscriptionPlans = filterRelated(user_plans, 'user_id', user.id);
   
   // Determine user role
   let userRole = USER_ROLES.USER;
@@ -84,7 +88,7 @@ function transformUser(user, relatedData) {
   // Determine current plan if any
   let currentPlan = null;
   if (userSubscriptionPlans.length > 0) {
-    const activePlans = userSubscriptionPlans.filter(plan => plan.status === 1);
+    const activePlans = userSubscriptionPlans.filter(plan => MigrationTransformer.boolean(plan.status));
     if (activePlans.length > 0) {
       const mostRecentPlan = activePlans.sort((a, b) => {
         return new Date(b.plan_activate_date) - new Date(a.plan_activate_date);
@@ -94,10 +98,10 @@ function transformUser(user, relatedData) {
         id: getOrCreateUUID('plans', mostRecentPlan.plan_id),
         name: '', // Will be filled in by the plans migration
         type: '', // Will be filled in by the plans migration
-        startDate: mostRecentPlan.plan_activate_date,
+        startDate: MigrationTransformer.date(mostRecentPlan.plan_activate_date),
         endDate: null, // Calculate or will be filled later
         autoRenew: false,
-        status: mostRecentPlan.status === 1 ? 'active' : 'expired'
+        status: MigrationTransformer.boolean(mostRecentPlan.status) ? 'active' : 'expired'
       };
     }
   }
@@ -107,9 +111,9 @@ function transformUser(user, relatedData) {
     // Auth Info
     uid: userId,
     email: user.email || '',
-    emailVerified: user.is_email_verified === 1,
+    emailVerified: MigrationTransformer.boolean(user.is_email_verified),
     phoneNumber: user.mobile || '',
-    phoneVerified: user.is_mobile_verified === 1,
+    phoneVerified: MigrationTransformer.boolean(user.is_mobile_verified),
     
     // Profile
     displayName: user.full_name || `${user.f_name || ''} ${user.l_name || ''}`.trim(),
@@ -118,7 +122,7 @@ function transformUser(user, relatedData) {
     profileImage: user.profile_image ? {
       url: user.profile_image,
       path: `users/${userId}/profile_image`,
-      uploadedAt: user.joining_date || DEFAULTS.CREATED_AT
+      uploadedAt: user.joining_date
     } : null,
     bio: '',
     
@@ -134,8 +138,8 @@ function transformUser(user, relatedData) {
     
     // Account status
     status: status,
-    lastLogin: lastLogin || user.joining_date || DEFAULTS.CREATED_AT,
-    accountCompleteness: user.signup_complete === 1 ? 100 : 50,
+    lastLogin: lastLogin || user.joining_date,
+    accountCompleteness: MigrationTransformer.boolean(user.signup_complete) ? 100 : 50,
     
     // Role & permissions
     role: userRole,
@@ -174,7 +178,7 @@ function transformUser(user, relatedData) {
       signupSource: (user.fb_uid ? 'facebook' : (user.ga_uid ? 'google' : 'direct')),
       acquisitionChannel: '',
       deviceTokens: [],
-      lastActive: lastLogin || user.joining_date || DEFAULTS.CREATED_AT,
+      lastActive: lastLogin || user.joining_date,
       sessionCount: userLoginHistory.length
     },
     
@@ -203,10 +207,10 @@ function transformUser(user, relatedData) {
     },
     
     // Timestamps
-    createdAt: user.joining_date || DEFAULTS.CREATED_AT,
-    updatedAt: user.activate_date || DEFAULTS.UPDATED_AT,
-    emailVerifiedAt: user.is_email_verified === 1 ? (user.activate_date || DEFAULTS.CREATED_AT) : null,
-    phoneVerifiedAt: user.is_mobile_verified === 1 ? (user.activate_date || DEFAULTS.CREATED_AT) : null,
+    createdAt: user.joining_date,
+    updatedAt: user.activate_date,
+    emailVerifiedAt: MigrationTransformer.boolean(user.is_email_verified) ? user.activate_date : null,
+    phoneVerifiedAt: MigrationTransformer.boolean(user.is_mobile_verified) ? user.activate_date : null,
     suspendedAt: user.block_date || null,
     suspensionReason: ''
   };
@@ -0,0 +1,425 @@
+-- Small fixture dump covering every table the migrations read
+-- Rows are chosen to exercise flags, zero dates, references and orphaned foreign keys
+
+CREATE TABLE `users` (
+  `id` int(11) NOT NULL,
+  `f_name` varchar(50) DEFAULT NULL,
+  `l_name` varchar(50) DEFAULT NULL,
+  `full_name` varchar(100) DEFAULT NULL,
+  `email` varchar(100) NOT NULL,
+  `mobile` varchar(20) DEFAULT NULL,
+  `profile_image` varchar(255) DEFAULT NULL,
+  `address` varchar(255) DEFAULT NULL,
+  `city_name` varchar(100) DEFAULT NULL,
+  `state` varchar(100) DEFAULT NULL,
+  `pincode` varchar(10) DEFAULT NULL,
+  `country` varchar(50) DEFAULT NULL,
+  `user_role` varchar(20) DEFAULT NULL,
+  `user_status` varchar(20) DEFAULT NULL,
+  `signup_complete` tinyint(1) NOT NULL DEFAULT 0,
+  `is_email_verified` tinyint(1) NOT NULL DEFAULT 0,
+  `is_mobile_verified` tinyint(1) NOT NULL DEFAULT 0,
+  `fb_uid` varchar(50) DEFAULT NULL,
+  `ga_uid` varchar(50) DEFAULT NULL,
+  `joining_date` datetime NOT NULL,
+  `activate_date` datetime NOT NULL,
+  `block_date` datetime DEFAULT NULL
+);
+
+INSERT INTO `users` VALUES
+(1,'Asha','Rao','Asha Rao','asha@example.com','+919800000001','https://cdn.example.com/u/1.jpg','12 MG Road','Bengaluru','Karnataka','560001','India','admin','active',1,1,1,NULL,NULL,'2022-01-10 09:30:00','2022-01-11 10:00:00',NULL),
+(2,'Vikram','Shah',NULL,'vikram@example.com','+919800000002',NULL,'',NULL,NULL,NULL,NULL,NULL,'Blocked',0,1,0,'fb-2',NULL,'2022-03-05 14:00:00','2022-03-05 14:00:00','2023-06-01 00:00:00'),
+(3,'Meera','Iyer','Meera Iyer','meera@example.com',NULL,NULL,NULL,NULL,NULL,NULL,NULL,'user',NULL,1,0,0,NULL,'ga-3','0000-00-00 00:00:00','2022-05-20 08:15:00',NULL);
+
+CREATE TABLE `login_history` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `date_login` datetime NOT NULL
+);
+
+INSERT INTO `login_history` VALUES
+(1,1,'2023-01-01 08:00:00'),
+(2,1,'2023-02-01 08:00:00'),
+(3,2,'2023-01-15 12:00:00');
+
+CREATE TABLE `plans` (
+  `id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `plan_type` varchar(20) NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `duration_months` int(11) NOT NULL,
+  `send_limit` int(11) NOT NULL,
+  `reveal_limit` int(11) NOT NULL,
+  `show_stats` tinyint(1) NOT NULL,
+  `promotion_priority` int(11) NOT NULL,
+  `status` tinyint(1) NOT NULL
+);
+
+INSERT INTO `plans` VALUES
+(1,'Starter','basic',999.00,3,10,20,0,0,1),
+(2,'Gold','premium',4999.00,12,100,200,1,2,1);
+
+CREATE TABLE `plan_features` (
+  `id` int(11) NOT NULL,
+  `plan_id` int(11) NOT NULL,
+  `features_name` varchar(255) NOT NULL
+);
+
+INSERT INTO `plan_features` VALUES
+(1,2,'Priority support'),
+(2,2,'Featured listings'),
+(3,1,'Email alerts');
+
+CREATE TABLE `user_plans` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `plan_id` int(11) NOT NULL,
+  `plan_activate_date` datetime NOT NULL,
+  `status` tinyint(1) NOT NULL,
+  `sent_count` int(11) NOT NULL DEFAULT 0,
+  `revealed_count` int(11) NOT NULL DEFAULT 0,
+  `respond_count` int(11) NOT NULL DEFAULT 0,
+  `type_id` int(11) DEFAULT NULL,
+  `type_name` varchar(50) DEFAULT NULL
+);
+
+INSERT INTO `user_plans` VALUES
+(1,1,2,'2020-01-01 00:00:00',1,0,0,4,NULL,NULL),
+(2,2,1,'2020-06-01 00:00:00',0,0,0,0,NULL,NULL),
+(3,42,1,'2020-07-01 00:00:00',1,0,0,0,NULL,NULL);
+
+CREATE TABLE `industries` (
+  `id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `slug` varchar(100) DEFAULT NULL,
+  `status` tinyint(1) NOT NULL
+);
+
+INSERT INTO `industries` VALUES
+(1,'Food & Beverage','food-beverage',1);
+
+CREATE TABLE `sub_industries` (
+  `id` int(11) NOT NULL,
+  `industry_id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `slug` varchar(100) DEFAULT NULL,
+  `status` tinyint(1) NOT NULL
+);
+
+INSERT INTO `sub_industries` VALUES
+(1,1,'Cafes','cafes',1);
+
+CREATE TABLE `states` (
+  `id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `country_id` int(11) DEFAULT NULL
+);
+
+INSERT INTO `states` VALUES
+(1,'Karnataka',1);
+
+CREATE TABLE `cities` (
+  `id` int(11) NOT NULL,
+  `state_id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `is_state` tinyint(1) NOT NULL DEFAULT 0
+);
+
+INSERT INTO `cities` VALUES
+(1,1,'Bengaluru',0);
+
+CREATE TABLE `businesses` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `company_name` varchar(255) NOT NULL,
+  `slug` varchar(255) DEFAULT NULL,
+  `headline` varchar(255) DEFAULT NULL,
+  `introduction` text,
+  `status` tinyint(1) NOT NULL,
+  `date_posted` datetime NOT NULL,
+  `date_updated` datetime NOT NULL,
+  `sub_industry_id` int(11) DEFAULT NULL,
+  `city_id` int(11) DEFAULT NULL,
+  `address` varchar(255) DEFAULT NULL,
+  `pincode` varchar(10) DEFAULT NULL,
+  `cover_image` varchar(255) DEFAULT NULL,
+  `website` varchar(255) DEFAULT NULL,
+  `contact_user_name` varchar(100) DEFAULT NULL,
+  `contact_user_email` varchar(100) DEFAULT NULL,
+  `contact_user_mobile` varchar(20) DEFAULT NULL,
+  `contact_user_designation` varchar(100) DEFAULT NULL,
+  `is_premium` tinyint(1) NOT NULL DEFAULT 0,
+  `is_hot` tinyint(1) NOT NULL DEFAULT 0,
+  `page_order` int(11) NOT NULL DEFAULT 0,
+  `business_type` varchar(50) DEFAULT NULL,
+  `entity_type` varchar(50) DEFAULT NULL,
+  `establish_year` year(4) DEFAULT NULL,
+  `employee_count` int(11) DEFAULT NULL,
+  `annual_sales` bigint(20) DEFAULT NULL,
+  `ebitda` bigint(20) DEFAULT NULL,
+  `ebitda_margin` int(11) DEFAULT NULL,
+  `rentals` int(11) DEFAULT NULL,
+  `inventory_value` int(11) DEFAULT NULL
+);
+
+INSERT INTO `businesses` VALUES
+(1,1,'Bean There Cafe','bean-there-cafe','Profitable cafe in the city centre','A busy cafe with loyal customers.',1,'2023-01-05 10:00:00','2023-02-05 10:00:00',1,1,'5 Church Street','560001','https://cdn.example.com/b/1.jpg','https://beanthere.example.com','Asha Rao','cafe@example.com','+919800000011','Owner',1,0,3,'Cafe','Private Limited',NULL,12,1200000,240000,20,50000,150000);
+
+CREATE TABLE `business_media` (
+  `id` int(11) NOT NULL,
+  `business_id` int(11) NOT NULL,
+  `type` varchar(20) NOT NULL,
+  `url` varchar(255) NOT NULL
+);
+
+INSERT INTO `business_media` VALUES
+(1,1,'image','https://cdn.example.com/b/1-1.jpg');
+
+CREATE TABLE `franchise` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `brand_name` varchar(255) NOT NULL,
+  `slug` varchar(255) DEFAULT NULL,
+  `headline` varchar(255) DEFAULT NULL,
+  `about` text,
+  `status` tinyint(1) NOT NULL,
+  `date_created` datetime NOT NULL,
+  `date_updated` datetime NOT NULL,
+  `sub_industry_id` int(11) DEFAULT NULL,
+  `headquarter_city_id` int(11) DEFAULT NULL,
+  `brand_logo` varchar(255) DEFAULT NULL,
+  `official_email` varchar(100) DEFAULT NULL,
+  `mobile` varchar(20) DEFAULT NULL,
+  `website` varchar(255) DEFAULT NULL,
+  `authorized_person` varchar(100) DEFAULT NULL,
+  `designation` varchar(100) DEFAULT NULL,
+  `is_premium` tinyint(1) NOT NULL DEFAULT 0,
+  `is_hot` tinyint(1) NOT NULL DEFAULT 0,
+  `page_order` int(11) NOT NULL DEFAULT 0,
+  `type` varchar(50) DEFAULT NULL,
+  `establish_year` year(4) DEFAULT NULL,
+  `total_outlets` int(11) DEFAULT NULL,
+  `total_franchise` int(11) DEFAULT NULL,
+  `term_duration_year` int(11) DEFAULT NULL,
+  `is_term_renewable` tinyint(1) NOT NULL DEFAULT 0,
+  `assistance` text
+);
+
+INSERT INTO `franchise` VALUES
+(2,2,'Chai Point Express','chai-point-express','Tea kiosks with proven unit economics','Kiosk franchise with training and supply chain.',1,'2023-03-01 09:00:00','2023-03-02 09:00:00',1,1,'https://cdn.example.com/f/2.png','franchise@example.com','+919800000022','https://chaipoint.example.com','Vikram Shah','Director',0,1,1,'Kiosk',NULL,40,25,5,1,'Training and site selection');
+
+CREATE TABLE `franchise_media` (
+  `id` int(11) NOT NULL,
+  `franchise_id` int(11) NOT NULL,
+  `type` varchar(20) NOT NULL,
+  `url` varchar(255) NOT NULL
+);
+
+CREATE TABLE `franchise_formats` (
+  `id` int(11) NOT NULL,
+  `franchise_id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL
+);
+
+CREATE TABLE `investors` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `full_name` varchar(100) NOT NULL,
+  `slug` varchar(255) DEFAULT NULL,
+  `headline` varchar(255) DEFAULT NULL,
+  `about` text,
+  `status` tinyint(1) NOT NULL,
+  `date_created` datetime NOT NULL,
+  `date_updated` datetime NOT NULL,
+  `city_id` int(11) DEFAULT NULL,
+  `cover_image` varchar(255) DEFAULT NULL,
+  `business_proof` varchar(255) DEFAULT NULL,
+  `email` varchar(100) DEFAULT NULL,
+  `mobile` varchar(20) DEFAULT NULL,
+  `company_website` varchar(255) DEFAULT NULL,
+  `designation` varchar(100) DEFAULT NULL,
+  `linkedin_profile` varchar(255) DEFAULT NULL,
+  `is_premium` tinyint(1) NOT NULL DEFAULT 0,
+  `is_hot` tinyint(1) NOT NULL DEFAULT 0,
+  `page_order` int(11) NOT NULL DEFAULT 0,
+  `investor_preference` varchar(50) DEFAULT NULL,
+  `factors` text,
+  `investment_min` int(11) DEFAULT NULL,
+  `investment_max` int(11) DEFAULT NULL,
+  `investment_stake` int(11) DEFAULT NULL,
+  `puchasing_min` int(11) DEFAULT NULL,
+  `puchasing_max` int(11) DEFAULT NULL
+);
+
+INSERT INTO `investors` VALUES
+(3,3,'Meera Iyer','meera-iyer','Angel investor in consumer brands','Former operator investing in early stage brands.',1,'2023-04-01 11:00:00','2023-04-02 11:00:00',1,NULL,NULL,'meera@example.com',NULL,NULL,'Partner','https://linkedin.example.com/meera',0,0,0,'Individual','Strong founders',1000000,5000000,30,1,5);
+
+CREATE TABLE `investor_sub_industries` (
+  `id` int(11) NOT NULL,
+  `investor_id` int(11) NOT NULL,
+  `sub_industry_id` int(11) NOT NULL
+);
+
+INSERT INTO `investor_sub_industries` VALUES
+(1,3,1);
+
+CREATE TABLE `investor_location_preference` (
+  `id` int(11) NOT NULL,
+  `investor_id` int(11) NOT NULL,
+  `city_id` int(11) NOT NULL
+);
+
+INSERT INTO `investor_location_preference` VALUES
+(1,3,1);
+
+CREATE TABLE `comments` (
+  `id` int(11) NOT NULL,
+  `article_id` int(11) NOT NULL,
+  `name` varchar(100) DEFAULT NULL,
+  `message` text,
+  `status` tinyint(1) NOT NULL,
+  `doc` datetime NOT NULL
+);
+
+INSERT INTO `comments` VALUES
+(1,1,'Rahul','Great cafe, well run.',1,'2023-05-01 10:00:00'),
+(2,999,NULL,'Comment on a deleted listing',0,'2023-05-02 10:00:00');
+
+CREATE TABLE `invoice` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `type_id` int(11) NOT NULL DEFAULT 0,
+  `type_name` varchar(255) DEFAULT NULL,
+  `order_id` varchar(50) NOT NULL,
+  `user_plan_id` int(11) NOT NULL DEFAULT 0,
+  `transaction_id` varchar(50) DEFAULT NULL,
+  `type` varchar(20) DEFAULT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `date_time` datetime NOT NULL,
+  `payment_status` varchar(20) DEFAULT NULL
+);
+
+INSERT INTO `invoice` VALUES
+(1,1,0,NULL,'ORD-1',1,'TXN-1','plan',4999.00,'2020-01-01 00:05:00','success'),
+(2,2,1,'Bean There Cafe','ORD-2',0,'TXN-2','connect',199.00,'2023-06-10 12:00:00','failed');
+
+CREATE TABLE `payment` (
+  `id` int(11) NOT NULL,
+  `txnid` varchar(50) NOT NULL,
+  `payuMoneyId` varchar(50) DEFAULT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `order_date` datetime NOT NULL,
+  `status` varchar(20) DEFAULT NULL,
+  `mode` varchar(20) DEFAULT NULL,
+  `email` varchar(100) DEFAULT NULL
+);
+
+INSERT INTO `payment` VALUES
+(1,'ORD-1','PAYU-1',4999.00,'2020-01-01 00:05:00','success','CC','asha@example.com'),
+(3,'ORD-9','PAYU-9',499.00,'2023-07-01 09:00:00','success','UPI','guest@example.com');
+
+CREATE TABLE `userchat` (
+  `id` int(11) NOT NULL,
+  `chat_owner` int(11) NOT NULL,
+  `chat_partner` int(11) NOT NULL,
+  `type_id` int(11) DEFAULT NULL,
+  `type_name` varchar(255) DEFAULT NULL,
+  `url_type` varchar(50) DEFAULT NULL,
+  `status` tinyint(4) NOT NULL,
+  `created_at` datetime NOT NULL,
+  `last_action` datetime NOT NULL
+);
+
+INSERT INTO `userchat` VALUES
+(1,2,1,1,'Bean There Cafe','business',1,'2023-06-01 09:00:00','2023-06-02 18:30:00'),
+(2,3,77,NULL,NULL,NULL,2,'0000-00-00 00:00:00','2023-06-05 11:00:00'),
+(3,1,2,NULL,NULL,NULL,1,'2023-07-01 08:00:00','2023-07-02 09:30:00');
+
+CREATE TABLE `userchat_msg` (
+  `id` int(11) NOT NULL,
+  `chat_id` int(11) NOT NULL,
+  `sender` int(11) NOT NULL,
+  `recipient` int(11) NOT NULL,
+  `msg_text` text,
+  `msg_type` varchar(20) DEFAULT NULL,
+  `msg_file` int(11) DEFAULT NULL,
+  `msg_status` tinyint(4) NOT NULL,
+  `msg_date` datetime NOT NULL
+);
+
+INSERT INTO `userchat_msg` VALUES
+(1,1,2,1,'Is the cafe still available?','text',NULL,0,'2023-06-01 09:05:00'),
+(2,1,1,2,'Yes, here are the financials.','text',1,1,'2023-06-01 10:00:00'),
+(3,2,77,3,'Message from a deleted account','text',NULL,1,'2023-06-05 11:00:00'),
+(4,9,1,2,'Message in a deleted chat','text',NULL,0,'2023-06-06 11:00:00'),
+(5,3,1,2,'Sent before the clock was set','text',NULL,0,'0000-00-00 00:00:00');
+
+CREATE TABLE `chat_files` (
+  `id` int(11) NOT NULL,
+  `filename` varchar(255) NOT NULL,
+  `path` varchar(255) NOT NULL,
+  `ext` varchar(10) DEFAULT NULL,
+  `size` int(11) DEFAULT NULL
+);
+
+INSERT INTO `chat_files` VALUES
+(1,'financials.pdf','uploads/chat/financials.pdf','.pdf',20480);
+
+CREATE TABLE `inbox` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `from_id` int(11) NOT NULL,
+  `subject` varchar(255) DEFAULT NULL,
+  `message` text,
+  `is_read` tinyint(1) NOT NULL,
+  `date_of_message` datetime NOT NULL
+);
+
+INSERT INTO `inbox` VALUES
+(1,1,2,'New enquiry','<p>Vikram is interested in <b>Bean There Cafe</b></p>',1,'2023-06-01 09:06:00'),
+(2,2,0,'Welcome','Welcome to the marketplace',0,'2023-03-05 14:00:00'),
+(3,99,0,'Orphan','Sent to a deleted user',0,'2023-03-06 14:00:00');
+
+CREATE TABLE `user_history` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `post_id` int(11) NOT NULL,
+  `date_of_click` datetime NOT NULL,
+  `date_of_update` datetime NOT NULL
+);
+
+INSERT INTO `user_history` VALUES
+(1,2,1,'2023-05-30 20:00:00','2023-05-31 20:00:00'),
+(2,99,1,'2023-05-30 21:00:00','2023-05-30 21:00:00');
+
+CREATE TABLE `post_activities` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `post_id` int(11) NOT NULL,
+  `activity_type` varchar(50) DEFAULT NULL,
+  `date_of_click` datetime NOT NULL,
+  `date_of_update` datetime DEFAULT NULL
+);
+
+INSERT INTO `post_activities` VALUES
+(1,2,1,'Shortlist','2023-06-01 08:00:00',NULL),
+(2,3,555,NULL,'2023-06-03 08:00:00','2023-06-04 08:00:00');
+
+CREATE TABLE `articles` (
+  `id` int(11) NOT NULL,
+  `title` varchar(255) NOT NULL,
+  `slug` varchar(255) DEFAULT NULL,
+  `short_description` varchar(255) DEFAULT NULL,
+  `content` longtext,
+  `image` varchar(255) DEFAULT NULL,
+  `meta_title` varchar(255) DEFAULT NULL,
+  `meta_description` varchar(255) DEFAULT NULL,
+  `meta_keywords` varchar(255) DEFAULT NULL,
+  `status` tinyint(1) NOT NULL,
+  `date_of_creation` datetime NOT NULL,
+  `date_of_action` datetime NOT NULL
+);
+
+INSERT INTO `articles` VALUES
+(1,'How to Sell a Business','how-to-sell-a-business','A step by step guide','<p>Start with a valuation.</p>','https://cdn.example.com/a/1.jpg','Sell a business','Guide to selling','sell, business,',1,'2023-03-01 00:00:00','2023-03-02 00:00:00'),
+(2,'Draft article',NULL,NULL,NULL,NULL,NULL,NULL,NULL,0,'2023-04-01 00:00:00','0000-00-00 00:00:00');
@@ -0,0 +1,35 @@
+-- MySQL dump 10.13  Distrib 8.0.36, for Linux (x86_64)
+--
+-- Host: localhost    Database: u485278146_backup
+-- ------------------------------------------------------
+-- Golden rows for the dump lexer: escapes, literals and bytes as mysqldump writes them
+
+/*!40101 SET @OLD_CHARACTER_SET_CLIENT=@@CHARACTER_SET_CLIENT */;
+/*!40101 SET NAMES utf8mb4 */;
+
+DROP TABLE IF EXISTS `tricky_rows`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `tricky_rows` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `label` varchar(50) NOT NULL DEFAULT '',
+  `body` text,
+  `payload` blob,
+  `flags` bit(8) DEFAULT NULL,
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB AUTO_INCREMENT=11 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `tricky_rows`
+--
+
+LOCK TABLES `tricky_rows` WRITE;
+/*!40000 ALTER TABLE `tricky_rows` DISABLE KEYS */;
+INSERT INTO `tricky_rows` VALUES (1,'empty','',NULL,NULL),(2,'quotes','It\'s "fine", isn\'t it? O\'Brien''s',NULL,NULL),(3,'backslashes','C:\\uploads\\new\\',NULL,NULL),(4,'control','nul\0 sub\Z tab\t cr\r nl\n',NULL,NULL),(5,'multiline','first line; still a string
+second line ends with a semicolon;
+third),(line',NULL,NULL),(6,'hex','café ₹',0x89504E470D0A1A0A,NULL),(7,'hex string','',X'DEADBEEF',NULL),(8,'bits','',NULL,b'00000101'),(9,'binary','',_binary '\0\'\\',NULL),(10,'like','100\% \_done',NULL,NULL),(11,'raw blob','','\0',NULL);
+/*!40000 ALTER TABLE `tricky_rows` ENABLE KEYS */;
+UNLOCK TABLES;
+
+-- Dump completed on 2024-03-01 10:15:00
@@ -0,0 +1,241 @@
+/**
+ * Test harness for running migrations
+ * Feeds fixture SQL dumps through parseSQLFile and the migration modules, then turns the
+ * transformed documents (or the ones written to the Firestore emulator) into plain JSON so they
+ * can be compared with expected documents
+ */
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { initializeFirestore } = require('../../utils/firestore-service');
+const { hashDocument } = require('../../utils/write-modes');
+const { parseSQLFile } = require('../../utils/sql-parser');
+const { loadMigrationData } = require('../../utils/migration-data');
+const { collectDependencies, sortByDependencies } = require('../../utils/migration-graph');
+const { getCollectionConfig } = require('../../config/mapping-config');
+const { WRITE_MODE } = require('../../config/migration-config');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures');
+const EXPECTED_DIR = path.join(FIXTURES_DIR, 'expected');
+
+// Placeholder for values that depend on the time of the run
+const VOLATILE = '<volatile>';
+
+// Options of suites that read back what the emulator stored: "npm test" starts the emulator
+// and sets FIRESTORE_EMULATOR_HOST, without it the suites are skipped
+const EMULATOR_SUITE = {
+  skip: process.env.FIRESTORE_EMULATOR_HOST ? false : 'FIRESTORE_EMULATOR_HOST is not set, run the tests with "npm test"'
+};
+
+// Migration modules by collection
+const migrations = {
+  users: require('../../migrations/users-migration'),
+  listings: require('../../migrations/listings-migration'),
+  plans: require('../../migrations/plans-migration'),
+  reviews: require('../../migrations/reviews-migration'),
+  subscriptions: require('../../migrations/subscriptions-migration'),
+  transactions: require('../../migrations/transactions-migration'),
+  messages: require('../../migrations/messages-migration'),
+  chatrooms: require('../../migrations/chatrooms-migration'),
+  notifications: require('../../migrations/notifications-migration'),
+  activities: require('../../migrations/activities-migration'),
+  contentPages: require('../../migrations/content-pages-migration')
+};
+
+/**
+ * Connect to the emulator and delete every document in it
+ * @returns {Promise<FirebaseFirestore.Firestore>} - Firestore instance
+ * @throws {Error} - If FIRESTORE_EMULATOR_HOST is not set (tests never touch a real project)
+ */
+async function setupEmulator() {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) {
+    throw new Error('FIRESTORE_EMULATOR_HOST is not set, run the tests with "npm test"');
+  }
+
+  const db = initializeFirestore();
+  await clearEmulator();
+  return db;
+}
+
+/**
+ * Delete every document in the emulator's default database
+ * @returns {Promise<void>}
+ */
+async function clearEmulator() {
+  const projectId = process.env.GCLOUD_PROJECT || 'demo-sql-migration';
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${projectId}/databases/(default)/documents`;
+  const response = await fetch(url, { method: 'DELETE' });
+
+  if (!response.ok) {
+    throw new Error(`Failed to clear the Firestore emulator: ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Parse a fixture SQL dump
+ * @param {string} fileName - Fixture file name
+ * @returns {Promise<Object>} - Rows by table
+ */
+function loadFixture(fileName = 'dump.sql') {
+  return parseSQLFile(path.join(FIXTURES_DIR, fileName), { timezone: 'UTC' });
+}
+
+/**
+ * Migrate collections, and the collections they depend on, in dependency order
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} tablesData - Rows by table
+ * @param {Array<string>} collections - Collections to migrate
+ * @param {Object} options - Migration options passed to every migration
+ * @returns {Promise<Object>} - Migration results by collection
+ */
+async function migrateCollections(db, tablesData, collections, options = {}) {
+  const results = {};
+
+  for (const collectionName of sortByDependencies(collectDependencies(collections))) {
+    const data = await loadMigrationData(collectionName, getCollectionConfig(collectionName), { tablesData });
+    results[collectionName] = await migrations[collectionName].migrate(db, data, options);
+  }
+
+  return results;
+}
+
+/**
+ * Transform collections, and the collections they depend on, without writing them
+ * The migrations run as dry runs, so no emulator is needed; the documents are the ones
+ * processBatch would hand to the output sink
+ * @param {Object} tablesData - Rows by table
+ * @param {Array<string>} collections - Collections to transform
+ * @returns {Promise<Object>} - {results, documents}: migration results by collection and plain
+ *   document data by collection and document ID
+ */
+async function transformCollections(tablesData, collections) {
+  const documents = {};
+  const collectDocuments = (operations) => {
+    for (const { collection, docId, data } of operations) {
+      documents[collection] = documents[collection] || {};
+      documents[collection][docId] = toPlain(data);
+    }
+  };
+
+  const results = await migrateCollections(null, tablesData, collections, { dryRun: true, onOperations: collectDocuments });
+  return { results, documents };
+}
+
+/**
+ * Convert a document field value to plain JSON
+ * @param {any} value - Field value read from Firestore or transformed by a migration
+ * @returns {any} - Timestamps as ISO strings, bytes as base64, references as paths
+ */
+function toPlain(value) {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate().toISOString();
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return value.toString('base64');
+  }
+
+  if (value instanceof admin.firestore.DocumentReference) {
+    return value.path;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value).sort().map(key => [key, toPlain(value[key])])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Read every document of a collection
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} collectionName - Collection name
+ * @returns {Promise<Object>} - Plain document data by document ID
+ */
+async function readCollection(db, collectionName) {
+  const snapshot = await db.collection(collectionName).get();
+  const documents = {};
+
+  for (const doc of snapshot.docs) {
+    documents[doc.id] = toPlain(doc.data());
+  }
+
+  return documents;
+}
+
+/**
+ * Read every document of a collection as a migration stored it, checking its content hash
+ * The expected documents are the transformed ones, so the hash the write mode adds is left out
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} collectionName - Collection name
+ * @returns {Promise<Object>} - Plain document data, without the content hash, by document ID
+ */
+async function readStoredCollection(db, collectionName) {
+  const snapshot = await db.collection(collectionName).get();
+  const documents = {};
+
+  for (const doc of snapshot.docs) {
+    const { [WRITE_MODE.HASH_FIELD]: hash, ...data } = doc.data();
+    assert.equal(hash, hashDocument(collectionName, doc.data()), `${collectionName}/${doc.id} has a stale content hash`);
+    documents[doc.id] = toPlain(data);
+  }
+
+  return documents;
+}
+
+/**
+ * Compare documents with the expected documents of a fixture
+ * Fields listed as volatile must exist but are compared as a placeholder; run with
+ * UPDATE_EXPECTED=1 to rewrite the expected documents after an intended transformer change
+ * @param {string} name - Expected documents file name (without extension)
+ * @param {Object} documents - Plain document data by document ID
+ * @param {Object} options - Options
+ * @param {Array<string>} options.volatileFields - Dot paths of fields set from the current time
+ */
+function assertDocuments(name, documents, options = {}) {
+  const { volatileFields = [] } = options;
+  const actual = {};
+
+  for (const [docId, data] of Object.entries(documents)) {
+    actual[docId] = JSON.parse(JSON.stringify(data));
+
+    for (const fieldPath of volatileFields) {
+      const keys = fieldPath.split('.');
+      const parent = keys.slice(0, -1).reduce((obj, key) => obj?.[key], actual[docId]);
+      const key = keys[keys.length - 1];
+
+      assert.ok(parent && key in parent, `${name}/${docId} has no volatile field ${fieldPath}`);
+      parent[key] = VOLATILE;
+    }
+  }
+
+  const expectedPath = path.join(EXPECTED_DIR, `${name}.json`);
+  if (process.env.UPDATE_EXPECTED) {
+    fs.mkdirSync(EXPECTED_DIR, { recursive: true });
+    fs.writeFileSync(expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+    return;
+  }
+
+  const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+  assert.deepStrictEqual(actual, expected);
+}
+
+module.exports = {
+  EMULATOR_SUITE,
+  setupEmulator,
+  clearEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  toPlain,
+  readCollection,
+  readStoredCollection,
+  assertDocuments
+};
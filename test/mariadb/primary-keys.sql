@@ -0,0 +1,28 @@
+-- The fixture dump declares no keys; like phpMyAdmin dumps, the keys are added afterwards
+ALTER TABLE `users` ADD PRIMARY KEY (`id`);
+ALTER TABLE `login_history` ADD PRIMARY KEY (`id`);
+ALTER TABLE `plans` ADD PRIMARY KEY (`id`);
+ALTER TABLE `plan_features` ADD PRIMARY KEY (`id`);
+ALTER TABLE `user_plans` ADD PRIMARY KEY (`id`);
+ALTER TABLE `industries` ADD PRIMARY KEY (`id`);
+ALTER TABLE `sub_industries` ADD PRIMARY KEY (`id`);
+ALTER TABLE `states` ADD PRIMARY KEY (`id`);
+ALTER TABLE `cities` ADD PRIMARY KEY (`id`);
+ALTER TABLE `businesses` ADD PRIMARY KEY (`id`);
+ALTER TABLE `business_media` ADD PRIMARY KEY (`id`);
+ALTER TABLE `franchise` ADD PRIMARY KEY (`id`);
+ALTER TABLE `franchise_media` ADD PRIMARY KEY (`id`);
+ALTER TABLE `franchise_formats` ADD PRIMARY KEY (`id`);
+ALTER TABLE `investors` ADD PRIMARY KEY (`id`);
+ALTER TABLE `investor_sub_industries` ADD PRIMARY KEY (`id`);
+ALTER TABLE `investor_location_preference` ADD PRIMARY KEY (`id`);
+ALTER TABLE `comments` ADD PRIMARY KEY (`id`);
+ALTER TABLE `invoice` ADD PRIMARY KEY (`id`);
+ALTER TABLE `payment` ADD PRIMARY KEY (`id`);
+ALTER TABLE `userchat` ADD PRIMARY KEY (`id`);
+ALTER TABLE `userchat_msg` ADD PRIMARY KEY (`id`);
+ALTER TABLE `chat_files` ADD PRIMARY KEY (`id`);
+ALTER TABLE `inbox` ADD PRIMARY KEY (`id`);
+ALTER TABLE `user_history` ADD PRIMARY KEY (`id`);
+ALTER TABLE `post_activities` ADD PRIMARY KEY (`id`);
+ALTER TABLE `articles` ADD PRIMARY KEY (`id`);
@@ -0,0 +1,63 @@
+/**
+ * Activities migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('activities migration', () => {
+  let results;
+  let activities;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['activities']));
+    activities = documents.activities;
+  });
+
+  it('migrates views and interactions without errors', () => {
+    assert.deepEqual(results.activities.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('activities', activities);
+  });
+
+  it('references the user and the listing', () => {
+    const views = Object.values(activities).filter(activity => activity.type === 'listing_view');
+
+    assert.equal(views.length, 1);
+    assert.equal(views[0].userId, getUUID('users', 2));
+    assert.equal(views[0].target.id, getUUID('listings', 1));
+  });
+
+  it('drops activities of a user that was not migrated', () => {
+    assert.equal(results.activities.count, 3);
+    assert.equal(Object.values(activities).some(activity => activity.source.table === 'user_history' && activity.source.id === 2), false);
+  });
+
+  it('writes null for a listing that was not migrated', () => {
+    const interaction = Object.values(activities).find(activity => activity.source.table === 'post_activities' && activity.source.id === 2);
+    assert.equal(interaction.target.id, null);
+  });
+});
+
+describe('activities migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['activities']);
+
+    assert.deepEqual(results.activities.errors, []);
+    assertDocuments('activities', await readStoredCollection(db, 'activities'));
+  });
+});
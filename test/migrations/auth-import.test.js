@@ -0,0 +1,107 @@
+/**
+ * SQL users become Authentication accounts with their legacy password hashes
+ * The emulator suite is skipped unless FIREBASE_AUTH_EMULATOR_HOST is set (npm test sets it)
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeAuth } = require('../../utils/firestore-service');
+const { getOrCreateUUID, getUUID } = require('../../utils/uuid-mapper');
+const { buildAuthUser, importAuthUsers } = require('../../utils/auth-import');
+const { loadFixture } = require('../helpers/harness');
+
+const BCRYPT_HASH = '$2y$10$N9qo8uLOickgx2ZMRZoMyeIjZAgcfl7p92ldGxad68LJZdL17lhWy';
+const MD5_HASH = '5f4dcc3b5aa765d61d8327deb882cf99';
+
+describe('auth import', () => {
+  let users;
+
+  before(async () => {
+    const fixture = await loadFixture();
+    users = [
+      { ...fixture.users[0], password: BCRYPT_HASH },
+      { ...fixture.users[1], password: MD5_HASH },
+      { ...fixture.users[2], password: 'plain-text' }
+    ];
+  });
+
+  it('carries over the account fields and the password hash', () => {
+    const { algorithm, record } = buildAuthUser(users[0]);
+
+    assert.equal(algorithm, 'BCRYPT');
+    assert.equal(record.uid, getUUID('users', 1));
+    assert.equal(record.email, 'asha@example.com');
+    assert.equal(record.phoneNumber, '+919800000001');
+    assert.equal(record.emailVerified, true);
+    assert.equal(record.disabled, false);
+    assert.equal(record.passwordHash.toString(), BCRYPT_HASH.replace('$2y$', '$2b$'));
+  });
+
+  it('disables blocked users and decodes hex digests', () => {
+    const { algorithm, record } = buildAuthUser(users[1]);
+
+    assert.equal(algorithm, 'MD5');
+    assert.equal(record.disabled, true);
+    assert.equal(record.passwordHash.toString('hex'), MD5_HASH);
+  });
+
+  it('imports without a password when the hash format is unknown', () => {
+    const { algorithm, record, warnings } = buildAuthUser(users[2]);
+
+    assert.equal(algorithm, 'NONE');
+    assert.equal(record.passwordHash, undefined);
+    assert.match(warnings[0], /unknown password hash format/);
+  });
+
+  it('imports each hash algorithm separately and reports failed users', async () => {
+    const calls = [];
+    const auth = {
+      importUsers: async (records, options) => {
+        calls.push({ uids: records.map(record => record.uid), options });
+        return options?.hash?.algorithm === 'MD5'
+          ? { successCount: 0, failureCount: 1, errors: [{ index: 0, error: { code: 'auth/email-already-exists', message: 'taken' } }] }
+          : { successCount: records.length, failureCount: 0, errors: [] };
+      }
+    };
+
+    const result = await importAuthUsers(auth, users, { chunkSize: 1 });
+
+    assert.deepEqual(calls.map(call => call.options?.hash?.algorithm), ['BCRYPT', 'MD5', undefined]);
+    assert.equal(result.imported, 2);
+    assert.equal(result.failed, 1);
+    assert.deepEqual(result.failures[0], {
+      sourceId: 2,
+      uid: getUUID('users', 2),
+      email: 'vikram@example.com',
+      code: 'auth/email-already-exists',
+      message: 'taken'
+    });
+  });
+});
+
+describe('auth import against the emulator', { skip: !process.env.FIREBASE_AUTH_EMULATOR_HOST && 'FIREBASE_AUTH_EMULATOR_HOST is not set' }, () => {
+  let auth;
+  let result;
+
+  before(async () => {
+    auth = initializeAuth();
+    const fixture = await loadFixture();
+    const users = fixture.users.map(user => ({ ...user, password: user.id === 1 ? BCRYPT_HASH : null }));
+
+    // Accounts of earlier runs would make the import fail with duplicate uids
+    await auth.deleteUsers(users.map(user => getOrCreateUUID('users', user.id)));
+
+    result = await importAuthUsers(auth, users);
+  });
+
+  it('creates an account per user with its uid', async () => {
+    assert.equal(result.failed, 0, JSON.stringify(result.failures));
+
+    const asha = await auth.getUser(getUUID('users', 1));
+    assert.equal(asha.email, 'asha@example.com');
+    assert.equal(asha.phoneNumber, '+919800000001');
+    assert.equal(asha.emailVerified, true);
+
+    const vikram = await auth.getUser(getUUID('users', 2));
+    assert.equal(vikram.disabled, true);
+  });
+});
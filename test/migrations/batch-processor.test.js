@@ -0,0 +1,72 @@
+/**
+ * Streamed items go through processBatch without their documents piling up on the heap
+ */
+const v8 = require('v8');
+const vm = require('vm');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { processBatch } = require('../../utils/batch-processor');
+const { setOutputSink } = require('../../utils/output-sink');
+
+v8.setFlagsFromString('--expose-gc');
+const gc = vm.runInNewContext('gc');
+
+const ITEM_COUNT = 5000;
+const DOCUMENT_VALUES = 1000;
+
+/**
+ * Stream rows as a streamed source table would
+ * @returns {AsyncGenerator<Object>} - Rows
+ */
+async function* streamRows() {
+  for (let id = 1; id <= ITEM_COUNT; id++) {
+    yield { id };
+  }
+}
+
+/**
+ * Get the heap in use after a full garbage collection
+ * @returns {number} - Bytes
+ */
+function heapUsed() {
+  gc();
+  return process.memoryUsage().heapUsed;
+}
+
+describe('batch processor', () => {
+  after(() => setOutputSink(null));
+
+  it('keeps the heap flat while streaming', async () => {
+    let written = 0;
+    setOutputSink({
+      type: 'discard',
+      write: async (operations) => {
+        written += operations.length;
+        return operations.map(() => ({}));
+      },
+      close: async () => {}
+    });
+
+    const baseline = heapUsed();
+    let peak = 0;
+
+    const result = await processBatch(
+      streamRows(),
+      async (row) => ({ collection: 'events', docId: String(row.id), data: { values: Array.from({ length: DOCUMENT_VALUES }, (_, i) => row.id + i) } }),
+      {
+        batchSize: 100,
+        showProgress: false,
+        onOperations: () => {
+          peak = Math.max(peak, heapUsed() - baseline);
+        }
+      }
+    );
+
+    assert.equal(written, ITEM_COUNT);
+    assert.equal(result.operationsCount, ITEM_COUNT);
+
+    // The documents add up to about 40 MB; a few batches of them may be alive at once
+    assert.ok(peak < 5 * 1024 * 1024, `heap grew by ${peak} bytes`);
+    assert.ok(heapUsed() - baseline < 5 * 1024 * 1024);
+  });
+});
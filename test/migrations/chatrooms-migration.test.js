@@ -0,0 +1,102 @@
+/**
+ * Chatrooms migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('chatrooms migration', () => {
+  let results;
+  let chatrooms;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['chatrooms']));
+    chatrooms = documents.chatrooms;
+  });
+
+  it('migrates every row without errors', () => {
+    assert.equal(results.chatrooms.count, 3);
+    assert.deepEqual(results.chatrooms.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('chatrooms', chatrooms);
+  });
+
+  it('references the participants and the listing', () => {
+    const chatroom = chatrooms[getUUID('chatrooms', 1)];
+
+    assert.deepEqual(chatroom.participants, [getUUID('users', 2), getUUID('users', 1)]);
+    assert.equal(chatroom.listing.id, getUUID('listings', 1));
+  });
+
+  it('leaves out participants that were not migrated', () => {
+    assert.deepEqual(chatrooms[getUUID('chatrooms', 2)].participants, [getUUID('users', 3)]);
+  });
+
+  it('falls back to the last action for a zero creation date', () => {
+    assert.equal(chatrooms[getUUID('chatrooms', 2)].createdAt, '2023-06-05T11:00:00.000Z');
+  });
+
+  it('denormalises the last message and the counters', () => {
+    const chatroom = chatrooms[getUUID('chatrooms', 1)];
+
+    assert.deepEqual(chatroom.lastMessage, {
+      id: getUUID('messages', 2),
+      text: 'Yes, here are the financials.',
+      sender: getUUID('users', 1),
+      timestamp: '2023-06-01T10:00:00.000Z',
+      type: 'document'
+    });
+    assert.equal(chatroom.counters.messageCount, 2);
+    assert.equal(chatroom.counters.mediaCount, 1);
+  });
+
+  it('keeps the last action as the time of a last message with a zero date', () => {
+    const { lastMessage } = chatrooms[getUUID('chatrooms', 3)];
+
+    assert.equal(lastMessage.text, 'Sent before the clock was set');
+    assert.equal(lastMessage.timestamp, '2023-07-02T09:30:00.000Z');
+  });
+
+  it('finds the messages of a BIGINT chatroom id', async () => {
+    // BIGINT columns are read as strings, the INT keys that point at them as numbers
+    const fixture = await loadFixture();
+    const tablesData = { ...fixture, userchat: fixture.userchat.map(row => ({ ...row, id: String(row.id) })) };
+    const { documents } = await transformCollections(tablesData, ['chatrooms']);
+
+    assert.deepEqual(documents.chatrooms, chatrooms);
+  });
+
+  it('counts unread messages for their recipient', () => {
+    assert.deepEqual(chatrooms[getUUID('chatrooms', 1)].counters.unreadCount, {
+      [getUUID('users', 1)]: 0,
+      [getUUID('users', 2)]: 1
+    });
+  });
+
+  it('leaves the messages of chatrooms that were not migrated alone', () => {
+    assert.equal(getUUID('messages', 4), null);
+  });
+});
+
+describe('chatrooms migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['chatrooms']);
+
+    assert.deepEqual(results.chatrooms.errors, []);
+    assertDocuments('chatrooms', await readStoredCollection(db, 'chatrooms'));
+  });
+});
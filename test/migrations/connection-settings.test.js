@@ -0,0 +1,70 @@
+/**
+ * Profiles keep a run from pointing at a project it was not meant for
+ */
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveConnection } = require('../../utils/connection-settings');
+const { PROFILES } = require('../../config/profiles-config');
+const { FIRESTORE } = require('../../config/migration-config');
+
+describe('connection settings', () => {
+  // Command line settings left out of argv are undefined, like options yargs did not receive
+  const resolve = (argv, options) => resolveConnection({ emulatorHost: undefined, ...argv }, options);
+  let emulatorHost;
+
+  // The tests run with FIRESTORE_EMULATOR_HOST set, which would skip every check
+  before(() => {
+    emulatorHost = FIRESTORE.EMULATOR_HOST;
+    FIRESTORE.EMULATOR_HOST = null;
+  });
+
+  after(() => {
+    FIRESTORE.EMULATOR_HOST = emulatorHost;
+  });
+
+  it('takes the project, credentials and database of the profile', () => {
+    const connection = resolve({ profile: 'staging' }, { checkTarget: false });
+
+    assert.equal(connection.firestore.projectId, PROFILES.staging.project);
+    assert.equal(connection.firestore.credentials, path.resolve(__dirname, '../..', PROFILES.staging.credentials));
+    assert.equal(connection.firestore.databaseId, '(default)');
+  });
+
+  it('lets the command line override the profile', () => {
+    const connection = resolve({ profile: 'dev', database: 'archive', source: 'mysql' });
+
+    assert.equal(connection.firestore.databaseId, 'archive');
+    assert.equal(connection.source, 'mysql');
+  });
+
+  it('rejects a project other than the one the profile is pinned to', () => {
+    assert.throws(
+      () => resolve({ profile: 'staging', project: PROFILES.prod.project }),
+      /Profile "staging" is pinned to project/
+    );
+  });
+
+  it('only reaches a protected project through its profile', () => {
+    assert.throws(() => resolve({ project: PROFILES.prod.project }), /protected profile "prod"/);
+    assert.equal(resolve({ profile: 'prod' }).firestore.projectId, PROFILES.prod.project);
+  });
+
+  it('reads the project of the service account key', () => {
+    const keyPath = path.join(os.tmpdir(), `service-account-${process.pid}.json`);
+    fs.writeFileSync(keyPath, JSON.stringify({ project_id: PROFILES.prod.project }));
+
+    try {
+      assert.throws(() => resolve({ credentials: keyPath }), /protected profile "prod"/);
+    } finally {
+      fs.unlinkSync(keyPath);
+    }
+  });
+
+  it('skips the check for the emulator and for file outputs', () => {
+    assert.doesNotThrow(() => resolve({ project: PROFILES.prod.project, emulatorHost: 'localhost:8080' }));
+    assert.doesNotThrow(() => resolve({ project: PROFILES.prod.project }, { checkTarget: false }));
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Content pages migration against the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('contentPages migration', () => {
+  let results;
+  let pages;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['contentPages']));
+    pages = documents.contentPages;
+  });
+
+  it('migrates every row without errors', () => {
+    assert.equal(results.contentPages.count, 2);
+    assert.deepEqual(results.contentPages.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('contentPages', pages);
+  });
+
+  it('maps the article status', () => {
+    assert.equal(pages[getUUID('contentPages', 1)].status, 'published');
+    assert.equal(pages[getUUID('contentPages', 2)].status, 'draft');
+  });
+});
+
+describe('contentPages migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['contentPages']);
+
+    assert.deepEqual(results.contentPages.errors, []);
+    assertDocuments('contentPages', await readStoredCollection(db, 'contentPages'));
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Zero dates of related tables go through the date policy when the tables are loaded
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMigrationData } = require('../../utils/migration-data');
+const { getDatePolicyStats } = require('../../utils/date-policy');
+const { DATE_POLICY } = require('../../config/migration-config');
+
+describe('date policy of related tables', () => {
+  const tablesData = {
+    members: [{ id: 1, joined: new Date('2023-01-01T00:00:00Z') }],
+    visits: [
+      { id: 1, member_id: 1, visited_at: new Date('2023-02-01T00:00:00Z'), left_at: '0000-00-00 00:00:00' },
+      { id: 2, member_id: 1, visited_at: '0000-00-00 00:00:00', left_at: new Date('2023-02-02T00:00:00Z') }
+    ],
+    notes: [{ id: 1, member_id: 1, written_at: new Date('2023-03-01T00:00:00Z') }]
+  };
+  const config = { primaryTable: 'members', requiredTables: ['members', 'visits', 'notes'] };
+
+  it('replaces invalid dates in copies of the related rows and counts them', async () => {
+    const data = await loadMigrationData('memberships', config, { tablesData });
+
+    assert.equal(data.visits[0].left_at, null);
+    assert.equal(data.visits[1].visited_at, null);
+    assert.equal(tablesData.visits[0].left_at, '0000-00-00 00:00:00');
+    assert.deepEqual(getDatePolicyStats().memberships, {
+      'visits.left_at': { null: 1 },
+      'visits.visited_at': { null: 1 }
+    });
+  });
+
+  it('hands out the loaded array when no date is replaced', async () => {
+    const data = await loadMigrationData('memberships', config, { tablesData });
+
+    assert.equal(data.members, tablesData.members);
+    assert.equal(data.notes, tablesData.notes);
+  });
+
+  it('applies the configured policy of a related column and leaves rejected rows out', async () => {
+    DATE_POLICY.FIELDS.visitLogs = {
+      'visits.left_at': { policy: 'fallback', fallback: 'visited_at' },
+      'visits.visited_at': { policy: 'reject' }
+    };
+
+    try {
+      const data = await loadMigrationData('visitLogs', config, { tablesData });
+
+      assert.deepEqual(data.visits, [{ ...tablesData.visits[0], left_at: tablesData.visits[0].visited_at }]);
+      assert.deepEqual(getDatePolicyStats().visitLogs, {
+        'visits.left_at': { fallback: 1 },
+        'visits.visited_at': { reject: 1 }
+      });
+    } finally {
+      delete DATE_POLICY.FIELDS.visitLogs;
+    }
+  });
+
+  it('keeps streamed tables streamed', async () => {
+    const source = {
+      streamTable: async function* streamTable(table) {
+        yield* tablesData[table];
+      }
+    };
+    const data = await loadMigrationData('streamedVisits', { ...config, scannedTables: ['visits'] }, {
+      source,
+      tablesData: { members: tablesData.members, notes: tablesData.notes },
+      streamedTables: ['visits']
+    });
+
+    const visits = [];
+    for await (const visit of data.visits) {
+      visits.push(visit);
+    }
+    assert.deepEqual(visits.map(visit => [visit.visited_at, visit.left_at]), [
+      [tablesData.visits[0].visited_at, null],
+      [null, tablesData.visits[1].left_at]
+    ]);
+  });
+});
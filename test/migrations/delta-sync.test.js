@@ -0,0 +1,154 @@
+/**
+ * Delta sync of the users collection from a newer dump against the Firestore emulator
+ */
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const { createOutputSink, setOutputSink } = require('../../utils/output-sink');
+const { getWriteModeStats } = require('../../utils/write-modes');
+const {
+  hashTables,
+  diffTables,
+  loadManifest,
+  startDeltaSync,
+  trackOperations,
+  createDeltaSink,
+  completeCollection,
+  saveManifest
+} = require('../../utils/delta-sync');
+const { getCollectionConfig } = require('../../config/mapping-config');
+const { setupEmulator, loadFixture, migrateCollections, readCollection } = require('../helpers/harness');
+const { loadMigrationData } = require('../../utils/migration-data');
+const usersMigration = require('../../migrations/users-migration');
+
+describe('delta sync', () => {
+  const manifestPath = path.join(os.tmpdir(), `sync-manifest-${process.pid}.json`);
+  const config = getCollectionConfig('users');
+  let db;
+  let changes;
+  let delta;
+  let users;
+
+  /**
+   * Migrate users from a dump and finish the collection
+   * @param {Object} tablesData - Rows by table
+   * @param {boolean} sync - Run as a delta sync
+   * @returns {Promise<Object>} - Result of completeCollection
+   */
+  const syncUsers = async (tablesData, sync) => {
+    const data = await loadMigrationData('users', config, { tablesData });
+    await usersMigration.migrate(db, data, { onOperations: trackOperations });
+
+    const result = completeCollection('users', config, { deleteMissing: sync });
+    if (result.operations.length > 0) {
+      await createOutputSink('emulator').write(result.operations);
+    }
+    return result;
+  };
+
+  before(async () => {
+    db = await setupEmulator();
+    setOutputSink(createDeltaSink(createOutputSink('emulator')));
+
+    // Full run against the fixture dump
+    const tablesData = await loadFixture();
+    startDeltaSync({ tables: await hashTables({ tablesData }) });
+    await syncUsers(tablesData, false);
+    saveManifest(manifestPath);
+
+    // Newer dump: user 2 is renamed and user 3 is gone
+    const newerTables = {
+      ...tablesData,
+      users: tablesData.users
+        .filter(user => user.id !== 3)
+        .map(user => (user.id === 2 ? { ...user, l_name: 'Shah-Mehta' } : user))
+    };
+    const previous = loadManifest(manifestPath);
+    const tables = await hashTables({ tablesData: newerTables });
+    changes = diffTables(previous.tables, tables);
+
+    startDeltaSync({ previous, tables, sync: true });
+    delta = await syncUsers(newerTables, true);
+    users = await readCollection(db, 'users');
+  });
+
+  it('finds the changed rows', () => {
+    assert.deepEqual(changes, { users: { inserted: [], updated: ['2'], deleted: ['3'] } });
+  });
+
+  it('only writes the documents that changed', () => {
+    assert.deepEqual(delta.stats, { inserted: 0, updated: 1, unchanged: 1, missing: 1 });
+    assert.equal(users[getUUID('users', 2)].lastName, 'Shah-Mehta');
+
+    // 3 documents written by the full run and 1 by the sync
+    assert.equal(getWriteModeStats().users.overwritten, 4);
+  });
+
+  it('soft deletes documents whose rows are gone', () => {
+    const user = users[getUUID('users', 3)];
+
+    assert.equal(user.isDeleted, true);
+    assert.equal(typeof user.deletedAt, 'string');
+    assert.equal(user.email, 'meera@example.com');
+  });
+
+  it('records the sync in the manifest', () => {
+    saveManifest(manifestPath);
+    const manifest = loadManifest(manifestPath);
+    fs.unlinkSync(manifestPath);
+
+    assert.deepEqual(Object.keys(manifest.collections.users.documents).sort(), [getUUID('users', 1), getUUID('users', 2)].sort());
+  });
+});
+
+describe('delta sync of an unchanged dump', () => {
+  const manifestPath = path.join(os.tmpdir(), `unchanged-manifest-${process.pid}.json`);
+  const collections = ['plans', 'subscriptions'];
+  const written = [];
+
+  /**
+   * Migrate plans and subscriptions (and their dependencies) and finish the collections
+   * @param {Object} tablesData - Rows by table
+   */
+  const migratePlans = async (tablesData) => {
+    await migrateCollections(null, tablesData, collections, { onOperations: trackOperations });
+    for (const collection of collections) {
+      completeCollection(collection, getCollectionConfig(collection));
+    }
+  };
+
+  after(() => fs.rmSync(manifestPath, { force: true }));
+
+  it('writes no plans or subscriptions', async () => {
+    setOutputSink(createDeltaSink({
+      type: 'memory',
+      write: async (operations) => {
+        written.push(...operations.filter(op => collections.includes(op.collection)));
+        return operations.map(() => ({}));
+      },
+      close: async () => {}
+    }));
+
+    // Usage counts give a subscription usage logs
+    const fixture = await loadFixture();
+    const tablesData = {
+      ...fixture,
+      user_plans: fixture.user_plans.map(row => (row.id === 1 ? { ...row, sent_count: 3, revealed_count: 2 } : row))
+    };
+    const tables = await hashTables({ tablesData });
+
+    startDeltaSync({ tables });
+    await migratePlans(tablesData);
+    saveManifest(manifestPath);
+    assert.equal(written.length, 5);
+
+    written.length = 0;
+    startDeltaSync({ previous: loadManifest(manifestPath), tables, sync: true });
+    await migratePlans(tablesData);
+
+    assert.deepEqual(written, []);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Listing ids shared by several listing tables are resolved by url_type and type_name, and
+ * references that stay ambiguous are reported
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getOrCreateUUID, getUUID, getListingKey } = require('../../utils/uuid-mapper');
+const { createListingResolver, getListingCollisions } = require('../../utils/listing-references');
+
+describe('listing references', () => {
+  let business;
+  let franchise;
+  let resolve;
+
+  before(() => {
+    business = getOrCreateUUID('listings', getListingKey('business', 5));
+    franchise = getOrCreateUUID('listings', getListingKey('franchise', 5));
+    resolve = createListingResolver({
+      businesses: [{ id: 5, company_name: 'Bean There Cafe' }],
+      franchise: [{ id: 5, brand_name: 'Pizza Palace' }]
+    });
+  });
+
+  it('keeps listings of different tables with the same id apart', () => {
+    assert.notEqual(business, franchise);
+    assert.equal(getUUID('businesses', 5), business);
+    assert.equal(getUUID('franchise', 5), franchise);
+    assert.equal(getUUID('listings', 5), null);
+  });
+
+  it('resolves an ambiguous id by url_type', () => {
+    assert.equal(resolve(5, { urlType: 'franchise' }), franchise);
+    assert.equal(resolve(5, { urlType: 'Business', typeName: 'Pizza Palace' }), business);
+    assert.equal(resolve(5, { urlType: 'investor' }), null);
+  });
+
+  it('resolves an ambiguous id by the listing name in type_name', () => {
+    assert.equal(resolve(5, { typeName: ' pizza palace' }, { collection: 'transactions', field: 'type_id', sourceId: 1 }), franchise);
+    assert.deepEqual(getListingCollisions().at(-1), {
+      collection: 'transactions',
+      field: 'type_id',
+      sourceId: 1,
+      listingId: '5',
+      candidates: ['business:5', 'franchise:5'],
+      resolvedAs: 'franchise:5'
+    });
+  });
+
+  it('reports references it cannot resolve', () => {
+    assert.equal(resolve(5, {}, { collection: 'reviews', field: 'article_id', sourceId: 9 }), null);
+    assert.equal(getListingCollisions().at(-1).resolvedAs, null);
+    assert.equal(getListingCollisions().at(-1).sourceId, 9);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Listings migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('listings migration', () => {
+  let results;
+  let listings;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['listings']));
+    listings = documents.listings;
+  });
+
+  it('migrates businesses, franchises and investors without errors', () => {
+    assert.equal(results.listings.count, 3);
+    assert.deepEqual(results.listings.errors, []);
+    assert.deepEqual(
+      Object.values(listings).map(listing => listing.type).sort(),
+      ['business', 'franchise', 'investor']
+    );
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('listings', listings);
+  });
+
+  it('references the owner and classification of a business', () => {
+    const business = listings[getUUID('listings', 1)];
+
+    assert.equal(business.ownerId, getUUID('users', 1));
+    assert.deepEqual(business.industries, [getUUID('industries', 1)]);
+    assert.deepEqual(business.subIndustries, [getUUID('sub_industries', 1)]);
+  });
+});
+
+describe('listings migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['listings']);
+
+    assert.deepEqual(results.listings.errors, []);
+    assertDocuments('listings', await readStoredCollection(db, 'listings'));
+  });
+});
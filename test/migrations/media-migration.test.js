@@ -0,0 +1,145 @@
+/**
+ * Legacy files are uploaded to the Storage paths their documents record, with their metadata
+ * filled in; missing and corrupt files are reported
+ */
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEmulator, loadFixture, migrateCollections, readCollection } = require('../helpers/harness');
+const { getUUID } = require('../../utils/uuid-mapper');
+const { hashContent } = require('../../utils/content-hash');
+const { createOutputSink, setOutputSink } = require('../../utils/output-sink');
+const { getWriteModeStats } = require('../../utils/write-modes');
+const { initializeStorage } = require('../../utils/firestore-service');
+const { resolveLegacyFile, migrateMedia } = require('../../utils/media-migration');
+const { WRITE_MODE } = require('../../config/migration-config');
+
+// 64x32 baseline JPEG header and 3x2 PNG header
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x20, 0x00, 0x40, 0x03, 0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01, 0xff, 0xd9]);
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]),
+  Buffer.from('IHDR'),
+  Buffer.from([0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00, 0x02, 0x08, 0x06, 0x00, 0x00, 0x00])
+]);
+
+/**
+ * Write the legacy uploads of the fixture (b/1-1.jpg and a/1.jpg are left out)
+ * @param {string} uploadsDir - Uploads directory
+ */
+function writeUploads(uploadsDir) {
+  const files = {
+    'u/1.jpg': JPEG,
+    'f/2.png': PNG,
+    'b/1.jpg': Buffer.from('<html>Not found</html>'),
+    'chat/financials.pdf': Buffer.from('%PDF-1.4\n%%EOF\n')
+  };
+
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(uploadsDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(uploadsDir, name), content);
+  }
+}
+
+describe('media migration', () => {
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-uploads-'));
+  const uploads = {};
+  const bucket = {
+    file: (filePath) => ({
+      save: async (buffer, options) => {
+        uploads[filePath] = { buffer, contentType: options.contentType };
+      }
+    })
+  };
+  let db;
+  let tablesData;
+  let report;
+
+  before(async () => {
+    db = await setupEmulator();
+    tablesData = await loadFixture();
+    writeUploads(uploadsDir);
+    await migrateCollections(db, tablesData, ['users', 'listings', 'messages']);
+    report = await migrateMedia(db, bucket, { collections: ['users', 'listings', 'messages'], uploadsDir });
+  });
+
+  after(() => fs.rmSync(uploadsDir, { recursive: true, force: true }));
+
+  it('uploads files to the paths their documents record', () => {
+    const userId = getUUID('users', 1);
+
+    assert.equal(uploads[`users/${userId}/profile_image`].contentType, 'image/jpeg');
+    assert.deepEqual(uploads[`users/${userId}/profile_image`].buffer, JPEG);
+    assert.equal(uploads[`listings/${getUUID('listings', 2)}/featured_image`].contentType, 'image/png');
+    assert.equal(uploads[`messages/${getUUID('messages', 2)}/attachments/1`].contentType, 'application/pdf');
+    assert.equal(report.uploaded, 3);
+  });
+
+  it('fills in the size, type and dimensions', async () => {
+    const users = await readCollection(db, 'users');
+    const messages = await readCollection(db, 'messages');
+
+    assert.deepEqual(
+      users[getUUID('users', 1)].profileImage,
+      {
+        height: 32,
+        mimeType: 'image/jpeg',
+        path: `users/${getUUID('users', 1)}/profile_image`,
+        size: JPEG.length,
+        uploadedAt: '2022-01-10T09:30:00.000Z',
+        url: 'https://cdn.example.com/u/1.jpg',
+        width: 64
+      }
+    );
+    assert.equal(messages[getUUID('messages', 2)].attachments[0].mimeType, 'application/pdf');
+  });
+
+  it('reports missing and corrupt files', () => {
+    assert.deepEqual(report.missing.map(entry => entry.url), ['https://cdn.example.com/b/1-1.jpg']);
+    assert.deepEqual(report.corrupt.map(entry => [entry.url, entry.reason]), [['https://cdn.example.com/b/1.jpg', 'not a valid jpeg image']]);
+    assert.deepEqual(report.failed, []);
+  });
+
+  it('keeps the documents it updates current for later runs', async () => {
+    const userId = getUUID('users', 1);
+    const stored = (await db.collection('users').doc(userId).get()).data();
+    assert.equal(stored[WRITE_MODE.HASH_FIELD], hashContent(stored, [WRITE_MODE.HASH_FIELD]));
+
+    // A rerun writes the legacy metadata back, and the media migration fills it in again
+    setOutputSink(createOutputSink('emulator', { writeMode: 'update-if-unchanged-since-migration' }));
+    await migrateCollections(db, tablesData, ['users']);
+    assert.equal(getWriteModeStats().users['skipped (modified since migration)'], undefined);
+    assert.equal((await readCollection(db, 'users'))[userId].profileImage.width, undefined);
+
+    await migrateMedia(db, bucket, { collections: ['users'], uploadsDir });
+    assert.equal((await readCollection(db, 'users'))[userId].profileImage.width, 64);
+  });
+
+  it('keeps legacy paths inside the uploads directory', () => {
+    assert.equal(resolveLegacyFile('uploads/chat/financials.pdf', uploadsDir), path.join(uploadsDir, 'chat/financials.pdf'));
+    assert.equal(resolveLegacyFile('https://cdn.example.com/../../etc/passwd', uploadsDir), path.join(uploadsDir, 'etc/passwd'));
+    assert.equal(resolveLegacyFile('uploads/%2e%2e/%2e%2e/etc/passwd', uploadsDir), null);
+  });
+});
+
+describe('media migration against the Storage emulator', { skip: !process.env.FIREBASE_STORAGE_EMULATOR_HOST && 'FIREBASE_STORAGE_EMULATOR_HOST is not set' }, () => {
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-uploads-'));
+
+  after(() => fs.rmSync(uploadsDir, { recursive: true, force: true }));
+
+  it('stores the file with its type', async () => {
+    const db = await setupEmulator();
+    const bucket = initializeStorage();
+    writeUploads(uploadsDir);
+    await migrateCollections(db, await loadFixture(), ['users']);
+
+    await migrateMedia(db, bucket, { collections: ['users'], uploadsDir });
+
+    const file = bucket.file(`users/${getUUID('users', 1)}/profile_image`);
+    const [content] = await file.download();
+    const [metadata] = await file.getMetadata();
+    assert.deepEqual(content, JPEG);
+    assert.equal(metadata.contentType, 'image/jpeg');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Messages migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('messages migration', () => {
+  let results;
+  let messages;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['messages']));
+    messages = documents.messages;
+  });
+
+  it('migrates every row without errors', () => {
+    assert.deepEqual(results.messages.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('messages', messages);
+  });
+
+  it('references the chatroom, sender and recipient', () => {
+    const message = messages[getUUID('messages', 1)];
+
+    assert.equal(message.chatroomId, getUUID('chatrooms', 1));
+    assert.equal(message.sender, getUUID('users', 2));
+    assert.equal(message.recipient, getUUID('users', 1));
+  });
+
+  it('writes a tombstone reference for a deleted sender', () => {
+    assert.equal(messages[getUUID('messages', 3)].sender, 'deleted-77');
+  });
+
+  it('drops messages of a chatroom that was not migrated', () => {
+    assert.equal(results.messages.count, 4);
+    assert.equal(Object.keys(messages).length, 4);
+    assert.equal(getUUID('messages', 4), null);
+  });
+});
+
+describe('messages migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['messages']);
+
+    assert.deepEqual(results.messages.errors, []);
+    assertDocuments('messages', await readStoredCollection(db, 'messages'));
+  });
+});
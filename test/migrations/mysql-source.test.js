@@ -0,0 +1,48 @@
+/**
+ * Reading the fixture tables from MariaDB gives the same rows as parsing the fixture dump
+ * Skipped unless MYSQL_DATABASE points at a database loaded from the fixture (see test/mariadb)
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDataSource } = require('../../utils/data-source');
+const { SOURCE } = require('../../config/migration-config');
+const { loadFixture } = require('../helpers/harness');
+
+describe('mysql source', { skip: !process.env.MYSQL_DATABASE && 'MYSQL_DATABASE is not set' }, () => {
+  let source;
+  let fixture;
+
+  before(async () => {
+    source = createDataSource('mysql', {
+      host: SOURCE.MYSQL.HOST,
+      port: SOURCE.MYSQL.PORT,
+      user: SOURCE.MYSQL.USER,
+      password: SOURCE.MYSQL.PASSWORD,
+      database: SOURCE.MYSQL.DATABASE,
+      // Small pages so every table is read across several of them
+      pageSize: 2,
+      timezone: 'UTC'
+    });
+    fixture = await loadFixture();
+  });
+
+  after(() => source?.close());
+
+  it('reads every table like the dump parser', async () => {
+    const tablesData = await source.loadTables({ tables: Object.keys(fixture) });
+
+    // The source reads rows in primary key order
+    for (const [table, rows] of Object.entries(fixture)) {
+      assert.deepEqual(tablesData[table], [...rows].sort((a, b) => a.id - b.id), table);
+    }
+  });
+
+  it('streams a table in primary key order', async () => {
+    const ids = [];
+    for await (const row of source.streamTable('users')) {
+      ids.push(row.id);
+    }
+
+    assert.deepEqual(ids, fixture.users.map(user => user.id).sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Notifications migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('notifications migration', () => {
+  let results;
+  let notifications;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['notifications']));
+    notifications = documents.notifications;
+  });
+
+  it('migrates every row without errors', () => {
+    assert.deepEqual(results.notifications.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('notifications', notifications);
+  });
+
+  it('references the recipient and sender', () => {
+    const notification = notifications[getUUID('notifications', 1)];
+
+    assert.equal(notification.userId, getUUID('users', 1));
+    assert.deepEqual(notification.sender, { id: getUUID('users', 2), type: 'user' });
+  });
+
+  it('treats a notification without sender as a system notification', () => {
+    assert.deepEqual(notifications[getUUID('notifications', 2)].sender, { id: null, type: 'system' });
+  });
+
+  it('writes null dates for a date that does not parse', async () => {
+    const tablesData = await loadFixture();
+    tablesData.inbox = tablesData.inbox.map(row => (row.id === 1 ? { ...row, date_of_message: '2023-06-01T25:00' } : row));
+    const { results: rerun, documents } = await transformCollections(tablesData, ['notifications']);
+    const notification = documents.notifications[getUUID('notifications', 1)];
+
+    assert.deepEqual(rerun.notifications.errors, []);
+    assert.equal(notification.read, true);
+    assert.equal(notification.readAt, null);
+    assert.equal(notification.createdAt, null);
+  });
+
+  it('drops notifications of a user that was not migrated', () => {
+    assert.equal(results.notifications.count, 2);
+    assert.equal(getUUID('notifications', 3), null);
+  });
+});
+
+describe('notifications migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['notifications']);
+
+    assert.deepEqual(results.notifications.errors, []);
+    assertDocuments('notifications', await readStoredCollection(db, 'notifications'));
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Documents written through the JSON Lines sink read back as the expected documents of every collection
+ * (the suites of the migrations read back what the Firestore emulator stored)
+ */
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOutputSink, setOutputSink, readJsonLines } = require('../../utils/output-sink');
+const { loadFixture, migrateCollections, toPlain, assertDocuments } = require('../helpers/harness');
+
+const COLLECTIONS = [
+  'users', 'listings', 'plans', 'reviews', 'subscriptions', 'transactions',
+  'messages', 'chatrooms', 'notifications', 'activities', 'contentPages'
+];
+
+// Fields stamped with the time of the run, by collection
+const VOLATILE_FIELDS = {
+  plans: ['createdAt', 'updatedAt']
+};
+
+describe('JSON Lines sink', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-output-'));
+  let results;
+
+  before(async () => {
+    const sink = createOutputSink('jsonl', { directory });
+    setOutputSink(sink);
+    results = await migrateCollections(null, await loadFixture(), COLLECTIONS);
+    await sink.close();
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('writes the expected documents of every collection', () => {
+    for (const collection of COLLECTIONS) {
+      assert.deepEqual(results[collection].errors, [], collection);
+
+      const documents = Object.fromEntries(
+        readJsonLines(path.join(directory, `${collection}.jsonl`)).map(({ id, data }) => [id, toPlain(data)])
+      );
+      assertDocuments(collection, documents, { volatileFields: VOLATILE_FIELDS[collection] });
+    }
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Plans migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('plans migration', () => {
+  let results;
+  let plans;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['plans']));
+    plans = documents.plans;
+  });
+
+  it('migrates every row without errors', () => {
+    assert.equal(results.plans.count, 2);
+    assert.deepEqual(results.plans.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    // Plans have no source timestamps, they are stamped with the time of the run
+    assertDocuments('plans', plans, { volatileFields: ['createdAt', 'updatedAt'] });
+  });
+
+  it('attaches the features of each plan', () => {
+    assert.deepEqual(plans[getUUID('plans', 2)].features, ['Priority support', 'Featured listings']);
+    assert.deepEqual(plans[getUUID('plans', 1)].features, ['Email alerts']);
+  });
+});
+
+describe('plans migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['plans']);
+
+    assert.deepEqual(results.plans.errors, []);
+    assertDocuments('plans', await readStoredCollection(db, 'plans'), { volatileFields: ['createdAt', 'updatedAt'] });
+  });
+});
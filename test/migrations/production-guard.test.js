@@ -0,0 +1,69 @@
+/**
+ * Runs against a real project need confirmation, and only one run holds a project's lock
+ */
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { planRun, checkConfirmation, acquireLock, releaseLock } = require('../../utils/production-guard');
+
+describe('production guard', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-locks-'));
+  const connection = { project: 'sql-migration-prod', firestore: { databaseId: '(default)', emulatorHost: null } };
+  const lockPath = path.join(directory, 'sql-migration-prod.lock');
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('needs the project id confirmed', () => {
+    assert.throws(() => checkConfirmation(connection, undefined), /--confirm sql-migration-prod/);
+    assert.throws(() => checkConfirmation(connection, 'sql-migration-staging'), /--confirm sql-migration-prod/);
+    assert.doesNotThrow(() => checkConfirmation(connection, 'sql-migration-prod'));
+  });
+
+  it('plans a run with unknown existing documents when Firestore cannot be read', async () => {
+    let counts = 0;
+    const offline = {
+      collection: () => ({
+        count: () => ({
+          get: async () => {
+            counts++;
+            throw new Error('14 UNAVAILABLE: No connection established');
+          }
+        })
+      })
+    };
+
+    const plan = await planRun(offline, ['users', 'plans'], { tablesData: { users: [{ id: 1 }], plans: [] } });
+
+    assert.deepEqual(plan.map(({ collection, existingDocuments, estimatedWrites }) => [collection, existingDocuments, estimatedWrites]), [
+      ['users', null, 1],
+      ['plans', null, 0]
+    ]);
+    assert.equal(counts, 1);
+  });
+
+  it('needs no confirmation for the emulator', () => {
+    const emulator = { project: 'demo-sql-migration', firestore: { emulatorHost: 'localhost:8080' } };
+    assert.doesNotThrow(() => checkConfirmation(emulator, undefined));
+  });
+
+  it('refuses a project locked by a running migration', () => {
+    // The parent process stands in for another migration on this host
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, hostname: os.hostname(), startedAt: 'earlier' }));
+
+    assert.throws(() => acquireLock(connection, { directory }), /Another migration \(pid \d+/);
+    fs.unlinkSync(lockPath);
+  });
+
+  it('takes over the lock of a migration that is gone and releases it', () => {
+    const gonePid = 2 ** 22 + 1; // Above the largest pid Linux hands out
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: gonePid, hostname: os.hostname(), startedAt: 'earlier' }));
+
+    acquireLock(connection, { directory });
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+
+    releaseLock();
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+});
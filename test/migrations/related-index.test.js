@@ -0,0 +1,42 @@
+/**
+ * Indexed lookups return the rows the table scans they replace would
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findRelated, filterRelated } = require('../../utils/related-index');
+
+describe('related index', () => {
+  const logins = [
+    { id: 1, user_id: 7, date_login: '2023-01-01' },
+    { id: 2, user_id: 8, date_login: '2023-01-02' },
+    { id: 3, user_id: 7, date_login: '2023-01-03' }
+  ];
+
+  it('finds rows like find and filter', () => {
+    assert.equal(findRelated(logins, 'id', 3), logins[2]);
+    assert.equal(findRelated(logins, 'id', 4), null);
+    assert.equal(findRelated(logins, 'id', null), null);
+    assert.deepEqual(filterRelated(logins, 'user_id', 7), [logins[0], logins[2]]);
+    assert.deepEqual(filterRelated(logins, 'user_id', 9), []);
+  });
+
+  it('matches BIGINT keys with the INT foreign keys that point at them', () => {
+    // BIGINT ids are strings (or BigInts) after type coercion, foreign keys may be plain INTs
+    const plans = [{ id: '9007199254740993', name: 'Gold' }, { id: '2', name: 'Silver' }];
+    const features = [{ id: 1n, plan_id: 2 }];
+
+    assert.equal(findRelated(plans, 'id', 2), plans[1]);
+    assert.equal(findRelated(plans, 'id', 9007199254740993n), plans[0]);
+    assert.equal(findRelated(features, 'id', 1), features[0]);
+    assert.deepEqual(filterRelated(features, 'plan_id', '2'), features);
+  });
+
+  it('hands out arrays callers may sort', () => {
+    filterRelated(logins, 'user_id', 7).reverse();
+    assert.deepEqual(filterRelated(logins, 'user_id', 7).map(login => login.id), [1, 3]);
+  });
+
+  it('refuses streamed tables', () => {
+    assert.throws(() => findRelated((function* rows() {})(), 'id', 1), /streamed table/);
+  });
+});
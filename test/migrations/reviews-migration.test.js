@@ -0,0 +1,54 @@
+/**
+ * Reviews migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('reviews migration', () => {
+  let results;
+  let reviews;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['reviews']));
+    reviews = documents.reviews;
+  });
+
+  it('migrates every row without errors', () => {
+    assert.equal(results.reviews.count, 2);
+    assert.deepEqual(results.reviews.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('reviews', reviews);
+  });
+
+  it('references the reviewed listing', () => {
+    assert.equal(reviews[getUUID('reviews', 1)].listingId, getUUID('listings', 1));
+  });
+
+  it('writes null for a listing that was not migrated', () => {
+    assert.equal(reviews[getUUID('reviews', 2)].listingId, null);
+  });
+});
+
+describe('reviews migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['reviews']);
+
+    assert.deepEqual(results.reviews.errors, []);
+    assertDocuments('reviews', await readStoredCollection(db, 'reviews'));
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Golden rows of the dump lexer: escapes, literals and bytes as mysqldump writes them
+ */
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSQLFile, streamSQLDump } = require('../../utils/sql-parser');
+
+const TRICKY_ROWS = path.join(__dirname, '../fixtures/tricky-rows.sql');
+
+/**
+ * Collect the rows of a dump by table
+ * @param {string} filePath - Path to SQL dump file
+ * @param {Object} options - Parsing options (see streamSQLDump)
+ * @returns {Promise<Object>} - Rows by table
+ */
+async function collectRows(filePath, options = {}) {
+  const tables = {};
+  for await (const { table, row } of streamSQLDump(filePath, options)) {
+    (tables[table] = tables[table] || []).push(row);
+  }
+  return tables;
+}
+
+describe('sql parser', () => {
+  let rows;
+
+  before(async () => {
+    rows = (await parseSQLFile(TRICKY_ROWS, { timezone: 'UTC' })).tricky_rows;
+  });
+
+  it('reads every row of a multi-row INSERT', () => {
+    assert.deepEqual(rows.map(row => row.id), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  });
+
+  it('unescapes string literals', () => {
+    const bodies = Object.fromEntries(rows.map(row => [row.label, row.body]));
+
+    assert.equal(bodies.empty, '');
+    assert.equal(bodies.quotes, 'It\'s "fine", isn\'t it? O\'Brien\'s');
+    assert.equal(bodies.backslashes, 'C:\\uploads\\new\\');
+    assert.equal(bodies.control, 'nul\0 sub\x1a tab\t cr\r nl\n');
+    assert.equal(bodies.like, '100\\% \\_done');
+    assert.equal(bodies.hex, 'café ₹');
+  });
+
+  it('keeps semicolons and line breaks inside strings', () => {
+    assert.equal(
+      rows[4].body,
+      'first line; still a string\nsecond line ends with a semicolon;\nthird),(line'
+    );
+  });
+
+  it('reads hex, bit and binary literals as their bytes', () => {
+    assert.deepEqual(rows[5].payload, Buffer.from('89504e470d0a1a0a', 'hex'));
+    assert.deepEqual(rows[6].payload, Buffer.from('deadbeef', 'hex'));
+    assert.equal(rows[7].flags, 5);
+    assert.deepEqual(rows[8].payload, Buffer.from([0xff, 0xfe, 0x00, 0x81, 0x27, 0x5c]));
+    assert.deepEqual(rows[10].payload, Buffer.from([0xc0, 0xff, 0x00]));
+  });
+
+  it('leaves values as the lexer reads them without type coercion', async () => {
+    const { tricky_rows: lexed } = await collectRows(TRICKY_ROWS, { coerceTypes: false });
+
+    assert.deepEqual(lexed[0], { id: 1, label: 'empty', body: '', payload: null, flags: null });
+    assert.deepEqual(lexed[8].payload, Buffer.from([0xff, 0xfe, 0x00, 0x81, 0x27, 0x5c]));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Dump values are coerced by their CREATE TABLE column types, and DATETIME values are read in
+ * the source timezone
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseColumnDefinition } = require('../../utils/sql-parser');
+const { coerceValue, parseSourceDateTime } = require('../../utils/sql-type-coercion');
+
+/**
+ * Coerce a literal for a column definition
+ * @param {string} definition - Column definition, e.g. "`id` int(11) NOT NULL"
+ * @param {Object} literal - Literal as the lexer reads it ({value, token, raw})
+ * @param {Object} options - Coercion options
+ * @returns {any} - Coerced value
+ */
+function coerce(definition, literal, options = {}) {
+  return coerceValue(literal, parseColumnDefinition(definition), { table: 'test', ...options });
+}
+
+describe('sql type coercion', () => {
+  it('reads tinyint(1) and bit(1) as booleans and wider ones as numbers', () => {
+    assert.equal(coerce('`flag` tinyint(1) NOT NULL', { value: 1, token: '1' }), true);
+    assert.equal(coerce('`flag` tinyint(1) NOT NULL', { value: 0, token: '0' }), false);
+    assert.equal(coerce('`flag` tinyint(1) NOT NULL', { value: 2, token: '2' }), 2);
+    assert.equal(coerce('`flag` bit(1) DEFAULT NULL', { value: Buffer.from([1]) }), true);
+    assert.equal(coerce('`level` tinyint(4) NOT NULL', { value: 3, token: '3' }), 3);
+    assert.equal(coerce('`flag` tinyint(1) DEFAULT NULL', { value: null, token: 'NULL' }), null);
+  });
+
+  it('keeps the precision of BIGINT and DECIMAL values', () => {
+    const bigint = { value: 9007199254740993, token: '9007199254740993' };
+
+    assert.equal(coerce('`id` bigint(20) unsigned NOT NULL', bigint), '9007199254740993');
+    assert.equal(coerce('`id` bigint(20) unsigned NOT NULL', bigint, { bigintMode: 'bigint' }), 9007199254740993n);
+    assert.equal(coerce('`price` decimal(20,2) NOT NULL', { value: 123456789012345680, token: '123456789012345678.90' }), '123456789012345678.90');
+    assert.equal(coerce('`price` decimal(10,2) NOT NULL', { value: '19.99', raw: '19.99' }), '19.99');
+    assert.equal(coerce('`count` int(11) NOT NULL', { value: '42', raw: '42' }), 42);
+  });
+
+  it('splits SET values and parses JSON values', () => {
+    assert.deepEqual(coerce("`tags` set('a','b','c') DEFAULT NULL", { value: 'a,c', raw: 'a,c' }), ['a', 'c']);
+    assert.deepEqual(coerce("`tags` set('a','b','c') DEFAULT NULL", { value: '', raw: '' }), []);
+    assert.deepEqual(coerce('`meta` json DEFAULT NULL', { value: '{"a":[1,2]}', raw: '{"a":[1,2]}' }), { a: [1, 2] });
+    assert.equal(coerce('`meta` json DEFAULT NULL', { value: '{broken', raw: '{broken' }), '{broken');
+  });
+
+  it('keeps strings and the bytes of binary columns', () => {
+    assert.equal(coerce("`status` enum('active','blocked') NOT NULL", { value: 'active', raw: 'active' }), 'active');
+    assert.equal(coerce('`pincode` varchar(10) DEFAULT NULL', { value: 560001, token: '560001' }), '560001');
+    assert.deepEqual(coerce('`payload` blob', { value: '\ufffd', raw: '\xc0' }), Buffer.from([0xc0]));
+  });
+
+  it('reads DATETIME values in the source timezone', () => {
+    const column = '`created_at` datetime NOT NULL';
+    const date = (value, timezone) => coerce(column, { value, raw: value }, { timezone }).toISOString();
+
+    assert.equal(date('2024-03-01 10:15:00', 'UTC'), '2024-03-01T10:15:00.000Z');
+    assert.equal(date('2024-03-01 10:15:00.123456', 'Asia/Kolkata'), '2024-03-01T04:45:00.123Z');
+    assert.equal(date('2024-03-01 23:30:00', '+0530'), '2024-03-01T18:00:00.000Z');
+    assert.equal(date('2024-03-01', '-08:00'), '2024-03-01T08:00:00.000Z');
+  });
+
+  it('follows DST in zones that have it', () => {
+    const date = (value, timezone) => parseSourceDateTime(value, timezone).toISOString();
+
+    assert.equal(date('2024-01-15 12:00:00', 'America/New_York'), '2024-01-15T17:00:00.000Z');
+    assert.equal(date('2024-07-01 12:00:00', 'America/New_York'), '2024-07-01T16:00:00.000Z');
+
+    // Times the clocks skip move forward, times they pass twice take the earlier instant
+    assert.equal(date('2024-03-10 02:30:00', 'America/New_York'), '2024-03-10T07:30:00.000Z');
+    assert.equal(date('2024-11-03 01:30:00', 'America/New_York'), '2024-11-03T05:30:00.000Z');
+    assert.equal(date('2024-03-31 02:30:00', 'Europe/Berlin'), '2024-03-31T01:30:00.000Z');
+    assert.equal(date('2024-10-27 02:30:00', 'Europe/Berlin'), '2024-10-27T00:30:00.000Z');
+  });
+
+  it('keeps invalid dates as their strings', () => {
+    for (const value of ['0000-00-00 00:00:00', '2024-02-30 10:00:00', '2023-02-29', '2024-13-01', 'yesterday']) {
+      assert.equal(parseSourceDateTime(value, 'Asia/Kolkata'), value);
+    }
+  });
+});
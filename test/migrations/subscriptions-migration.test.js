@@ -0,0 +1,96 @@
+/**
+ * Subscriptions migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const { loadMigrationData } = require('../../utils/migration-data');
+const { getCollectionConfig } = require('../../config/mapping-config');
+const subscriptionsMigration = require('../../migrations/subscriptions-migration');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  toPlain,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('subscriptions migration', () => {
+  let results;
+  let subscriptions;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['subscriptions']));
+    subscriptions = documents.subscriptions;
+  });
+
+  it('migrates every row without errors', () => {
+    assert.equal(results.subscriptions.count, 3);
+    assert.deepEqual(results.subscriptions.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('subscriptions', subscriptions);
+  });
+
+  it('references the subscribed user and plan', () => {
+    const subscription = subscriptions[getUUID('subscriptions', 1)];
+
+    assert.equal(subscription.userId, getUUID('users', 1));
+    assert.equal(subscription.planId, getUUID('plans', 2));
+  });
+
+  it('finds the plan and invoices of BIGINT keys', async () => {
+    const fixture = await loadFixture();
+
+    /**
+     * Transform the subscriptions with their invoices
+     * @param {Array<Object>} userPlans - user_plans rows
+     * @returns {Promise<Object>} - Plain subscription data by document ID
+     */
+    const transform = async (userPlans) => {
+      const documents = {};
+      const data = await loadMigrationData('subscriptions', getCollectionConfig('subscriptions'), {
+        tablesData: { ...fixture, user_plans: userPlans }
+      });
+
+      // invoice is not a required table of subscriptions, so it is handed over directly
+      await subscriptionsMigration.migrate(null, { ...data, invoice: fixture.invoice }, {
+        dryRun: true,
+        onOperations: (operations) => operations.forEach(op => { documents[op.docId] = toPlain(op.data); })
+      });
+      return documents;
+    };
+
+    // BIGINT columns are read as strings, the INT keys they point at as numbers
+    const expected = await transform(fixture.user_plans);
+    const actual = await transform(fixture.user_plans.map(row => ({
+      ...row,
+      id: String(row.id),
+      user_id: String(row.user_id),
+      plan_id: String(row.plan_id)
+    })));
+
+    assert.equal(expected[getUUID('subscriptions', 1)].history.renewals.length, 1);
+    assert.deepEqual(actual, expected);
+  });
+
+  it('writes null for a user that was not migrated', () => {
+    assert.equal(subscriptions[getUUID('subscriptions', 3)].userId, null);
+  });
+});
+
+describe('subscriptions migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['subscriptions']);
+
+    assert.deepEqual(results.subscriptions.errors, []);
+    assertDocuments('subscriptions', await readStoredCollection(db, 'subscriptions'));
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Transactions migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('transactions migration', () => {
+  let results;
+  let transactions;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['transactions']));
+    transactions = documents.transactions;
+  });
+
+  it('migrates invoices and unmatched payments without errors', () => {
+    assert.equal(results.transactions.count, 3);
+    assert.deepEqual(results.transactions.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('transactions', transactions);
+  });
+
+  it('references the user, subscription and plan of an invoice', () => {
+    const transaction = transactions[getUUID('transactions', 1)];
+
+    assert.equal(transaction.userId, getUUID('users', 1));
+    assert.equal(transaction.subscription.id, getUUID('subscriptions', 1));
+    assert.equal(transaction.subscription.planId, getUUID('plans', 2));
+  });
+
+  it('references the listing a connect was bought for', () => {
+    assert.equal(transactions[getUUID('transactions', 2)].listing.id, getUUID('listings', 1));
+  });
+
+  it('writes a payment without an invoice as an anonymous transaction', () => {
+    const payment = transactions[getUUID('transactions', 3)];
+
+    assert.equal(payment.userId, null);
+    assert.equal(payment.type, 'payment');
+  });
+});
+
+describe('transactions migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['transactions']);
+
+    assert.deepEqual(results.transactions.errors, []);
+    assertDocuments('transactions', await readStoredCollection(db, 'transactions'));
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Users migration of the fixture dump, checked on the transformed documents (no emulator
+ * needed) and, under "npm test", on the documents stored in the Firestore emulator
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const {
+  EMULATOR_SUITE,
+  setupEmulator,
+  loadFixture,
+  migrateCollections,
+  transformCollections,
+  readStoredCollection,
+  assertDocuments
+} = require('../helpers/harness');
+
+describe('users migration', () => {
+  let results;
+  let users;
+
+  before(async () => {
+    let documents;
+    ({ results, documents } = await transformCollections(await loadFixture(), ['users']));
+    users = documents.users;
+  });
+
+  it('migrates every row without errors', () => {
+    assert.equal(results.users.count, 3);
+    assert.deepEqual(results.users.errors, []);
+  });
+
+  it('transforms rows into the expected documents', () => {
+    assertDocuments('users', users);
+  });
+
+  it('keys documents by the mapped user id', () => {
+    assert.deepEqual(Object.keys(users).sort(), [1, 2, 3].map(id => getUUID('users', id)).sort());
+  });
+
+  it('references the plan of the most recent active subscription', () => {
+    assert.equal(users[getUUID('users', 1)].currentPlan.id, getUUID('plans', 2));
+    assert.equal(users[getUUID('users', 2)].currentPlan, null);
+  });
+
+  it('falls back to the activation date for a zero joining date', () => {
+    assert.equal(users[getUUID('users', 3)].createdAt, '2022-05-20T08:15:00.000Z');
+  });
+});
+
+describe('users migration in the Firestore emulator', EMULATOR_SUITE, () => {
+  it('stores the expected documents', async () => {
+    const db = await setupEmulator();
+    const results = await migrateCollections(db, await loadFixture(), ['users']);
+
+    assert.deepEqual(results.users.errors, []);
+    assertDocuments('users', await readStoredCollection(db, 'users'));
+  });
+});
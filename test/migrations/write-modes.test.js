@@ -0,0 +1,114 @@
+/**
+ * Rerunning a migration against documents the app has changed since, in every write mode
+ */
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUUID } = require('../../utils/uuid-mapper');
+const { hashContent } = require('../../utils/content-hash');
+const { createOutputSink, setOutputSink } = require('../../utils/output-sink');
+const { getWriteModeStats } = require('../../utils/write-modes');
+const { WRITE_MODE } = require('../../config/migration-config');
+const { setupEmulator, clearEmulator, loadFixture, migrateCollections, readCollection } = require('../helpers/harness');
+
+describe('write modes', () => {
+  let db;
+  let tablesData;
+  let activeId;
+  let blockedId;
+
+  /**
+   * Migrate chatrooms (and their dependencies) with a write mode
+   * @param {string} writeMode - Write mode
+   * @returns {Promise<Object>} - Plain chatroom documents by document ID
+   */
+  const migrateChatrooms = async (writeMode) => {
+    setOutputSink(createOutputSink('emulator', { writeMode }));
+    await migrateCollections(db, tablesData, ['chatrooms']);
+    return readCollection(db, 'chatrooms');
+  };
+
+  /**
+   * Simulate the app posting a message in a chatroom
+   * @param {string} docId - Chatroom document ID
+   */
+  const postMessage = (docId) => db.collection('chatrooms').doc(docId).update({
+    'lastMessage.text': 'Posted from the app',
+    'counters.totalMessages': 5
+  });
+
+  before(async () => {
+    db = await setupEmulator();
+    tablesData = await loadFixture();
+  });
+
+  beforeEach(async () => {
+    await clearEmulator();
+    await migrateChatrooms('overwrite');
+    activeId = getUUID('chatrooms', 1);
+    blockedId = getUUID('chatrooms', 2);
+  });
+
+  it('stores the content hash of every written document', async () => {
+    const chatrooms = await readCollection(db, 'chatrooms');
+    const stored = (await db.collection('chatrooms').doc(activeId).get()).data();
+
+    assert.equal(chatrooms[activeId][WRITE_MODE.HASH_FIELD], hashContent(stored, [WRITE_MODE.HASH_FIELD]));
+  });
+
+  it('overwrite replaces changes made by the app', async () => {
+    await postMessage(activeId);
+    const chatrooms = await migrateChatrooms('overwrite');
+
+    assert.equal(chatrooms[activeId].lastMessage.text, 'Yes, here are the financials.');
+  });
+
+  it('create-only skips existing documents and recreates deleted ones', async () => {
+    await postMessage(activeId);
+    await db.collection('chatrooms').doc(blockedId).delete();
+    const chatrooms = await migrateChatrooms('create-only');
+
+    assert.equal(chatrooms[activeId].lastMessage.text, 'Posted from the app');
+    assert.equal(chatrooms[blockedId].status, 'blocked');
+    assert.ok(getWriteModeStats().chatrooms['skipped (exists)'] >= 1);
+  });
+
+  it('merge only writes the merge fields of existing documents', async () => {
+    await postMessage(activeId);
+    await db.collection('chatrooms').doc(activeId).update({ status: 'archived' });
+    const chatrooms = await migrateChatrooms('merge');
+
+    assert.equal(chatrooms[activeId].status, 'active');
+    assert.equal(chatrooms[activeId].lastMessage.text, 'Posted from the app');
+    assert.equal(chatrooms[activeId].counters.totalMessages, 5);
+  });
+
+  it('update-if-unchanged-since-migration leaves documents changed by the app alone', async () => {
+    await postMessage(activeId);
+
+    // A document written by an older version of the migration and not touched since
+    const stale = (await db.collection('chatrooms').doc(blockedId).get()).data();
+    stale.status = 'active';
+    stale[WRITE_MODE.HASH_FIELD] = hashContent(stale, [WRITE_MODE.HASH_FIELD]);
+    await db.collection('chatrooms').doc(blockedId).set(stale);
+
+    const chatrooms = await migrateChatrooms('update-if-unchanged-since-migration');
+
+    assert.equal(chatrooms[activeId].lastMessage.text, 'Posted from the app');
+    assert.equal(chatrooms[blockedId].status, 'blocked');
+    assert.equal(getWriteModeStats().chatrooms['skipped (modified since migration)'], 1);
+    assert.equal(getWriteModeStats().chatrooms.updated, 1);
+  });
+
+  it('update-if-unchanged-since-migration leaves documents of an unchanged dump alone', async () => {
+    // Plans are stamped with the time of the run, which their content hash leaves out
+    setOutputSink(createOutputSink('emulator', { writeMode: 'overwrite' }));
+    await migrateCollections(db, tablesData, ['plans']);
+    const plans = await readCollection(db, 'plans');
+
+    setOutputSink(createOutputSink('emulator', { writeMode: 'update-if-unchanged-since-migration' }));
+    await migrateCollections(db, tablesData, ['plans']);
+
+    assert.deepEqual(await readCollection(db, 'plans'), plans);
+    assert.equal(getWriteModeStats().plans['skipped (identical)'], 2);
+  });
+});
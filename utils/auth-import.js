@@ -0,0 +1,192 @@
+/**
+ * Import of the migrated users into Firebase Authentication
+ * Every account gets the uid of its users document, and the legacy password hash is imported
+ * with the algorithm it was made with, so users keep signing in with their old passwords
+ */
+const { getOrCreateUUID } = require('./uuid-mapper');
+const MigrationTransformer = require('./migration-transformer');
+const logger = require('./logger');
+const { AUTH_IMPORT } = require('../config/migration-config');
+
+// Users without a usable password hash are imported without a password (they reset it to sign in)
+const NO_PASSWORD = 'NONE';
+
+// Formats of the legacy password hashes, checked in order
+const HASH_FORMATS = [
+  { algorithm: 'BCRYPT', pattern: /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/ },
+  { algorithm: 'MD5', pattern: /^[a-f0-9]{32}$/i },
+  { algorithm: 'SHA1', pattern: /^[a-f0-9]{40}$/i },
+  { algorithm: 'SHA256', pattern: /^[a-f0-9]{64}$/i },
+  { algorithm: 'SHA512', pattern: /^[a-f0-9]{128}$/i }
+];
+
+/**
+ * Detect the algorithm of a legacy password hash
+ * @param {string} value - Stored password hash
+ * @returns {string|null} - BCRYPT, MD5, SHA1, SHA256 or SHA512, or null if the format is unknown
+ */
+function detectHashAlgorithm(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const format = HASH_FORMATS.find(({ pattern }) => pattern.test(value.trim()));
+  return format ? format.algorithm : null;
+}
+
+/**
+ * Get the importUsers hash options of an algorithm
+ * @param {string} algorithm - Hash algorithm (from detectHashAlgorithm)
+ * @returns {Object|undefined} - Hash options, undefined for users without passwords
+ */
+function getHashOptions(algorithm) {
+  if (algorithm === NO_PASSWORD) {
+    return undefined;
+  }
+  if (algorithm === 'BCRYPT') {
+    return { hash: { algorithm } };
+  }
+  return { hash: { algorithm, rounds: AUTH_IMPORT.ROUNDS[algorithm] } };
+}
+
+/**
+ * Build the Authentication account of a SQL user
+ * @param {Object} user - SQL user record
+ * @param {Object} options - Options
+ * @param {string} options.passwordColumn - Column of the password hash
+ * @param {string} options.saltColumn - Column of the password salt (salted digests only)
+ * @returns {{algorithm: string, record: Object, warnings: Array<string>}} - Hash algorithm of the
+ *   account (NONE without a password), the importUsers record and what was left out
+ */
+function buildAuthUser(user, options = {}) {
+  const {
+    passwordColumn = AUTH_IMPORT.PASSWORD_COLUMN,
+    saltColumn = AUTH_IMPORT.SALT_COLUMN
+  } = options;
+  const warnings = [];
+
+  const record = {
+    uid: getOrCreateUUID('users', user.id),
+    emailVerified: MigrationTransformer.boolean(user.is_email_verified),
+    disabled: String(user.user_status || '').trim().toLowerCase() === 'blocked'
+  };
+
+  const email = MigrationTransformer.email(user.email);
+  if (email) {
+    record.email = email;
+  } else if (user.email) {
+    warnings.push(`invalid email "${user.email}" left out`);
+  }
+
+  const phoneNumber = MigrationTransformer.phone(user.mobile);
+  if (phoneNumber) {
+    record.phoneNumber = phoneNumber;
+  } else if (user.mobile) {
+    warnings.push(`invalid phone number "${user.mobile}" left out`);
+  }
+
+  const displayName = user.full_name || `${user.f_name || ''} ${user.l_name || ''}`.trim();
+  if (displayName) {
+    record.displayName = displayName;
+  }
+
+  const storedHash = user[passwordColumn] ? String(user[passwordColumn]).trim() : '';
+  const algorithm = detectHashAlgorithm(storedHash);
+
+  if (!algorithm) {
+    if (storedHash) {
+      warnings.push('unknown password hash format, imported without a password');
+    }
+    return { algorithm: NO_PASSWORD, record, warnings };
+  }
+
+  // PHP writes bcrypt hashes as $2y$, which is the same algorithm as $2b$
+  record.passwordHash = algorithm === 'BCRYPT'
+    ? Buffer.from(storedHash.replace(/^\$2y\$/, '$2b$'))
+    : Buffer.from(storedHash, 'hex');
+
+  if (algorithm !== 'BCRYPT' && saltColumn && user[saltColumn]) {
+    record.passwordSalt = Buffer.from(String(user[saltColumn]));
+  }
+
+  return { algorithm, record, warnings };
+}
+
+/**
+ * Import SQL users into Firebase Authentication
+ * Accounts are imported in chunks per hash algorithm, since one importUsers call takes one hash
+ * configuration; a chunk the API rejects as a whole counts every user in it as failed
+ * @param {import('firebase-admin/auth').Auth} auth - Auth instance
+ * @param {Array<Object>} users - SQL user records
+ * @param {Object} options - Options
+ * @param {number} options.chunkSize - Users per importUsers call
+ * @param {boolean} options.dryRun - Build the accounts without importing them
+ * @param {string} options.passwordColumn - Column of the password hash
+ * @param {string} options.saltColumn - Column of the password salt
+ * @returns {Promise<Object>} - Counts by outcome and hash algorithm, per-user failures and warnings
+ */
+async function importAuthUsers(auth, users, options = {}) {
+  const { chunkSize = AUTH_IMPORT.CHUNK_SIZE, dryRun = false } = options;
+  const result = {
+    total: users.length,
+    imported: 0,
+    failed: 0,
+    byAlgorithm: {},
+    failures: [],
+    warnings: []
+  };
+
+  // Accounts by hash algorithm, with the SQL id each came from
+  const groups = {};
+  for (const user of users) {
+    const { algorithm, record, warnings } = buildAuthUser(user, options);
+    (groups[algorithm] = groups[algorithm] || []).push({ sourceId: user.id, record });
+    result.byAlgorithm[algorithm] = (result.byAlgorithm[algorithm] || 0) + 1;
+
+    for (const warning of warnings) {
+      result.warnings.push({ sourceId: user.id, uid: record.uid, warning });
+    }
+  }
+
+  if (dryRun) {
+    logger.info(`[DRY RUN] Would import ${users.length} users into Authentication`);
+    return result;
+  }
+
+  for (const [algorithm, accounts] of Object.entries(groups)) {
+    for (let start = 0; start < accounts.length; start += chunkSize) {
+      const chunk = accounts.slice(start, start + chunkSize);
+      const fail = (account, error) => {
+        result.failed++;
+        result.failures.push({
+          sourceId: account.sourceId,
+          uid: account.record.uid,
+          email: account.record.email || null,
+          code: error.code || null,
+          message: error.message
+        });
+      };
+
+      try {
+        const response = await auth.importUsers(chunk.map(account => account.record), getHashOptions(algorithm));
+        response.errors.forEach(({ index, error }) => fail(chunk[index], error));
+        result.imported += response.successCount;
+      } catch (error) {
+        logger.error(`Failed to import ${chunk.length} ${algorithm} users: ${error.message}`);
+        chunk.forEach(account => fail(account, error));
+      }
+
+      const passwords = algorithm === NO_PASSWORD ? 'without passwords' : `with ${algorithm} passwords`;
+      logger.info(`Imported ${Math.min(start + chunkSize, accounts.length)}/${accounts.length} users ${passwords}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  detectHashAlgorithm,
+  getHashOptions,
+  buildAuthUser,
+  importAuthUsers
+};
@@ -3,14 +3,73 @@
  */
 const ProgressBar = require('progress');
 const logger = require('./logger');
-const { writeBatch, createDocumentOperation } = require('./firestore-service');
+const { normalizeTimestamps, createDocumentOperation } = require('./firestore-service');
+const { getOutputSink } = require('./output-sink');
+const { startTask, getResumeIndex, recordBatchCommit, completeTask } = require('./checkpoint-journal');
+const { applyDatePolicy } = require('./date-policy');
+const { checkReferences, applyOrphanPolicies } = require('./referential-integrity');
 
 /**
- * Process array of data items in batches
- * @param {Array<any>} items - Array of items to process
+ * Split items into batches, reading async iterables lazily
+ * @param {Array<any>|AsyncIterable<any>} items - Items to split
+ * @param {number} batchSize - Maximum number of items per batch
+ * @returns {AsyncGenerator<Array<any>>} - Batches of items
+ */
+async function* iterateBatches(items, batchSize) {
+  if (Array.isArray(items)) {
+    for (let i = 0; i < items.length; i += batchSize) {
+      yield items.slice(i, i + batchSize);
+    }
+    return;
+  }
+  
+  let batch = [];
+  for await (const item of items) {
+    batch.push(item);
+    if (batch.length === batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+/**
+ * Take at most `limit` items from an array or async iterable
+ * @param {Array<any>|AsyncIterable<any>} items - Items to limit
+ * @param {number} limit - Maximum number of items
+ * @returns {Array<any>|AsyncIterable<any>} - Limited items, of the same kind as the input
+ */
+function takeItems(items, limit) {
+  if (!limit) {
+    return items;
+  }
+  
+  if (Array.isArray(items)) {
+    return items.slice(0, limit);
+  }
+  
+  return (async function* () {
+    let count = 0;
+    for await (const item of items) {
+      yield item;
+      if (++count >= limit) {
+        return;
+      }
+    }
+  })();
+}
+
+/**
+ * Process data items in batches
+ * @param {Array<any>|AsyncIterable<any>} items - Items to process (async iterables are streamed)
  * @param {Function} processFn - Function to process each item
  * @param {Object} options - Processing options
- * @returns {Promise<Object>} - Result of batch processing
+ * @returns {Promise<Object>} - Result of batch processing ({processedCount, droppedCount, operationsCount, errors});
+ *   operations only reach onOperations and the output sink, so streamed items are not kept in memory
  */
 async function processBatch(items, processFn, options = {}) {
   const {
@@ -18,84 +77,159 @@ async function processBatch(items, processFn, options = {}) {
     collection,
     dryRun = false,
     showProgress = true,
-    label = 'Processing'
+    label = 'Processing',
+    resume = false,
+    checkpointTask = collection,
+    onOperations = null,
+    total = Array.isArray(items) ? items.length : null
   } = options;
   
-  if (!items || items.length === 0) {
+  if (!items || (Array.isArray(items) && items.length === 0)) {
     logger.warn('No items to process');
     return {
       processedCount: 0,
+      droppedCount: 0,
       operationsCount: 0,
-      errors: [],
-      operations: []
+      errors: []
     };
   }
   
-  const operations = [];
   const errors = [];
   let processedCount = 0;
+  let droppedCount = 0;
+  let itemCount = 0;
+  let operationsCount = 0;
+  
+  // Checkpoint committed batches so an interrupted run can be resumed
+  const useCheckpoint = Boolean(collection) && !dryRun;
+  const resumeIndex = useCheckpoint && resume ? getResumeIndex(collection, checkpointTask) : 0;
+  let checkpointBlocked = false;
+  
+  if (useCheckpoint) {
+    startTask(collection, checkpointTask);
+  }
+  
+  if (resumeIndex > 0) {
+    logger.info(`Resuming ${checkpointTask} from row ${resumeIndex}, earlier batches are already committed`);
+  }
   
-  // Create progress bar if needed
+  // Create progress bar if needed (streamed items only have one when a total is given)
   let progressBar;
-  if (showProgress) {
+  if (showProgress && total) {
     progressBar = new ProgressBar(`${label} [:bar] :current/:total (:percent) :etas`, {
       complete: '=',
       incomplete: ' ',
       width: 30,
-      total: items.length
+      total
     });
   }
   
   // Process items in batches
-  const batches = [];
-  for (let i = 0; i < items.length; i += batchSize) {
-    batches.push(items.slice(i, i + batchSize));
-  }
-  
-  for (const batch of batches) {
+  let batchIndex = -1;
+  for await (const batch of iterateBatches(items, batchSize)) {
+    batchIndex++;
+    const startRow = itemCount;
+    const endRow = startRow + batch.length;
+    itemCount = endRow;
     const batchOperations = [];
     
     for (const item of batch) {
       try {
-        const result = await processFn(item);
+        // Zero and invalid dates are resolved before the row is transformed
+        const row = collection ? applyDatePolicy(item, collection) : item;
+        
+        // Foreign keys without a migrated target are handled by their orphan policy
+        const integrity = collection ? checkReferences(row, collection) : { drop: false, orphans: [] };
+        if (integrity.drop) {
+          droppedCount++;
+          continue;
+        }
+        
+        const result = await processFn(row);
+        const itemOperations = [];
         
         if (result) {
           if (Array.isArray(result)) {
             // If result is an array of operations, add them all
-            batchOperations.push(...result);
+            itemOperations.push(...result);
           } else if (result.docId && result.data && collection) {
             // If result has docId and data, create an operation
-            batchOperations.push(createDocumentOperation(collection, result.docId, result.data));
+            itemOperations.push(createDocumentOperation(collection, result.docId, result.data));
           } else if (result.collection && result.docId && result.data) {
             // If result has collection, docId, and data, add it directly
-            batchOperations.push(result);
+            itemOperations.push(result);
           }
         }
         
+        // Write Dates as Timestamps and refuse declared timestamp fields of any other type
+        for (const op of itemOperations) {
+          if (integrity.orphans.length > 0 && op.collection === collection) {
+            applyOrphanPolicies(op.data, integrity.orphans);
+          }
+          
+          const { data, violations } = normalizeTimestamps(op.collection, op.data);
+          if (violations.length > 0) {
+            const error = new Error(`Invalid timestamps in ${op.collection}/${op.docId}: ${violations.join('; ')}`);
+            error.type = 'timestamp';
+            throw error;
+          }
+          op.data = data;
+        }
+        
+        batchOperations.push(...itemOperations);
         processedCount++;
       } catch (error) {
+        // An orphan with the 'abort' policy stops the whole migration
+        if (error.abort) {
+          throw error;
+        }
+        
         logger.error(`Error processing item: ${error.message}`);
         errors.push({
           item,
-          error: error.message
+          error: error.message,
+          ...(error.type && { type: error.type })
         });
-      }
-      
-      // Update progress bar
-      if (progressBar) {
-        progressBar.tick();
+      } finally {
+        // Update progress bar (dropped items included)
+        if (progressBar) {
+          progressBar.tick();
+        }
       }
     }
     
-    // Add batch operations to the total operations
-    operations.push(...batchOperations);
+    // Operations are not kept past their batch, so streamed items stay streamed
+    operationsCount += batchOperations.length;
     
-    // Write batch to Firestore
-    if (batchOperations.length > 0 && !dryRun) {
+    // Let callers inspect the documents (e.g. verification checksums)
+    if (onOperations) {
+      await onOperations(batchOperations);
+    }
+    
+    // Batches committed by a previous run are transformed again (to rebuild
+    // in-memory state such as UUID mappings) but not written
+    if (endRow <= resumeIndex) {
+      continue;
+    }
+    
+    // Write batch to the output sink (Firestore unless another sink was set)
+    if (!dryRun) {
       try {
-        await writeBatch(batchOperations, { dryRun });
+        const writeResults = await getOutputSink().write(batchOperations);
+        
+        // Never move the checkpoint past a batch that failed to commit
+        if (useCheckpoint && !checkpointBlocked) {
+          recordBatchCommit(collection, checkpointTask, {
+            batchIndex,
+            startRow,
+            endRow,
+            operations: batchOperations.length,
+            writeResults
+          });
+        }
       } catch (error) {
-        logger.error(`Error writing batch to Firestore: ${error.message}`);
+        logger.error(`Error writing batch to ${getOutputSink().type}: ${error.message}`);
+        checkpointBlocked = true;
         for (const op of batchOperations) {
           errors.push({
             item: { collection: op.collection, docId: op.docId },
@@ -106,17 +240,27 @@ async function processBatch(items, processFn, options = {}) {
     }
   }
   
+  if (useCheckpoint && !checkpointBlocked) {
+    completeTask(collection, checkpointTask);
+  }
+  
+  if (itemCount === 0) {
+    logger.warn('No items to process');
+  }
+  
   // Log summary
-  logger.info(`Processed ${processedCount}/${items.length} items, generated ${operations.length} operations, encountered ${errors.length} errors`);
+  logger.info(`Processed ${processedCount}/${itemCount} items, generated ${operationsCount} operations, encountered ${errors.length} errors` +
+    (droppedCount > 0 ? `, dropped ${droppedCount} orphaned items` : ''));
   
   return {
     processedCount,
-    operationsCount: operations.length,
-    errors,
-    operations
+    droppedCount,
+    operationsCount,
+    errors
   };
 }
 
 module.exports = {
-  processBatch
+  processBatch,
+  takeItems
 };
\ No newline at end of file
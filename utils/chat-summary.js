@@ -0,0 +1,105 @@
+/**
+ * Chatroom summaries computed from their messages
+ * The chatrooms migration denormalises each chatroom's last message and its counters, so the
+ * messages are aggregated in one pass before the chatrooms are transformed. The pass keeps one
+ * summary per chatroom, not the messages, so userchat_msg can stay streamed
+ */
+const { getUUID } = require('./uuid-mapper');
+const { getKey, findRelated } = require('./related-index');
+
+// msg_status values of userchat_msg
+const MESSAGE_STATUS = {
+  READ: 0,
+  UNREAD: 1,
+  DELETED: 2
+};
+
+// Message types by chat file extension
+const FILE_TYPES = {
+  image: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
+  document: ['.doc', '.docx', '.pdf', '.xls', '.xlsx', '.ppt', '.pptx', '.txt'],
+  video: ['.mp4', '.avi', '.mov', '.wmv']
+};
+
+/**
+ * Determine the type of a message
+ * @param {Object} message - SQL message record
+ * @param {Object|null} file - Chat file of the message
+ * @returns {string} - 'text', the msg_type, or the type of the attached file
+ */
+function getMessageType(message, file) {
+  if (message.msg_type && message.msg_type !== 'text') {
+    return message.msg_type;
+  }
+  if (!file) {
+    return 'text';
+  }
+
+  const ext = (file.ext || '').toLowerCase();
+  const type = Object.keys(FILE_TYPES).find(key => FILE_TYPES[key].includes(ext));
+  return type || 'file';
+}
+
+/**
+ * Get the time of a message for ordering
+ * @param {Object} message - SQL message record (its date resolved by the date policy)
+ * @returns {number} - Milliseconds since the epoch (-Infinity when the message has no valid date)
+ */
+function getMessageTime(message) {
+  const time = message.msg_date instanceof Date ? message.msg_date.getTime() : NaN;
+  return Number.isNaN(time) ? -Infinity : time;
+}
+
+/**
+ * Summarise the messages of every chatroom
+ * Deleted messages are left out; unread messages are counted for their recipient
+ * @param {Array<Object>|AsyncIterable<Object>} messages - userchat_msg rows (may be streamed)
+ * @param {Array<Object>} chatFiles - chat_files rows
+ * @returns {Promise<Map<string, Object>>} - {lastMessage, lastMessageType, messageCount, mediaCount, unreadCount}
+ *   by chat_id key (see related-index getKey), lastMessage being the SQL message record
+ */
+async function summarizeChatrooms(messages, chatFiles = []) {
+  const summaries = new Map();
+
+  for await (const message of messages) {
+    if (Number(message.msg_status) === MESSAGE_STATUS.DELETED) {
+      continue;
+    }
+
+    const chatKey = getKey(message.chat_id);
+    let summary = summaries.get(chatKey);
+    if (!summary) {
+      summary = { lastMessage: null, lastMessageType: null, lastMessageTime: null, messageCount: 0, mediaCount: 0, unreadCount: {} };
+      summaries.set(chatKey, summary);
+    }
+
+    const file = message.msg_file ? findRelated(chatFiles, 'id', message.msg_file) : null;
+    const type = getMessageType(message, file);
+
+    summary.messageCount++;
+    if (type !== 'text') {
+      summary.mediaCount++;
+    }
+
+    const recipientId = getUUID('users', message.recipient);
+    if (Number(message.msg_status) === MESSAGE_STATUS.UNREAD && recipientId) {
+      summary.unreadCount[recipientId] = (summary.unreadCount[recipientId] || 0) + 1;
+    }
+
+    // The latest message wins, the higher id on equal dates
+    const time = getMessageTime(message);
+    if (!summary.lastMessage || time > summary.lastMessageTime ||
+      (time === summary.lastMessageTime && Number(message.id) > Number(summary.lastMessage.id))) {
+      summary.lastMessage = message;
+      summary.lastMessageType = type;
+      summary.lastMessageTime = time;
+    }
+  }
+
+  return summaries;
+}
+
+module.exports = {
+  getMessageType,
+  summarizeChatrooms
+};
@@ -0,0 +1,234 @@
+/**
+ * Checkpoint journal for resumable migrations
+ * Records the last committed batch of every collection (and every task within a
+ * collection) so an interrupted run can continue from the next batch
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { FILE_PATHS } = require('../config/migration-config');
+
+// Checkpoint files live next to the ID mappings (FILE_PATHS are relative to the config directory)
+const CHECKPOINTS_DIR = path.resolve(__dirname, '../config', FILE_PATHS.CHECKPOINTS_DIR);
+
+// In-memory copy of every checkpoint loaded or written during this run
+const checkpoints = {};
+
+/**
+ * Get the checkpoint file path for a collection
+ * @param {string} collection - Collection name
+ * @returns {string} - Absolute path of the checkpoint file
+ */
+function getCheckpointPath(collection) {
+  return path.join(CHECKPOINTS_DIR, `${collection}.checkpoint.json`);
+}
+
+/**
+ * Create an empty checkpoint for a collection
+ * @param {string} collection - Collection name
+ * @returns {Object} - Empty checkpoint
+ */
+function createCheckpoint(collection) {
+  const now = new Date().toISOString();
+
+  return {
+    collection,
+    completed: false,
+    startedAt: now,
+    updatedAt: now,
+    tasks: {}
+  };
+}
+
+/**
+ * Load the checkpoint for a collection from disk
+ * @param {string} collection - Collection name
+ * @returns {Object|null} - Checkpoint, or null if none exists
+ */
+function loadCheckpoint(collection) {
+  if (checkpoints[collection]) {
+    return checkpoints[collection];
+  }
+
+  const filePath = getCheckpointPath(collection);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    checkpoints[collection] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return checkpoints[collection];
+  } catch (error) {
+    logger.error(`Error loading checkpoint for ${collection}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write a checkpoint to disk atomically (write to a temp file, then rename)
+ * @param {Object} checkpoint - Checkpoint to save
+ */
+function saveCheckpoint(checkpoint) {
+  if (!fs.existsSync(CHECKPOINTS_DIR)) {
+    fs.mkdirSync(CHECKPOINTS_DIR, { recursive: true });
+  }
+
+  checkpoint.updatedAt = new Date().toISOString();
+
+  const filePath = getCheckpointPath(checkpoint.collection);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Get the task entry of a checkpoint, creating the checkpoint and task if needed
+ * @param {string} collection - Collection name
+ * @param {string} task - Task name within the collection
+ * @returns {Object} - Task entry
+ */
+function getTask(collection, task) {
+  if (!loadCheckpoint(collection)) {
+    checkpoints[collection] = createCheckpoint(collection);
+  }
+
+  const checkpoint = checkpoints[collection];
+  if (!checkpoint.tasks[task]) {
+    checkpoint.tasks[task] = {
+      nextRowIndex: 0,
+      completed: false,
+      lastBatch: null
+    };
+  }
+
+  return checkpoint.tasks[task];
+}
+
+/**
+ * Register a task as started so it is tracked by the checkpoint
+ * @param {string} collection - Collection name
+ * @param {string} task - Task name within the collection
+ */
+function startTask(collection, task) {
+  getTask(collection, task);
+  saveCheckpoint(checkpoints[collection]);
+}
+
+/**
+ * Get the source row index a task should resume from
+ * @param {string} collection - Collection name
+ * @param {string} task - Task name within the collection
+ * @returns {number} - Index of the first row that has not been committed
+ */
+function getResumeIndex(collection, task) {
+  const checkpoint = loadCheckpoint(collection);
+  const entry = checkpoint?.tasks?.[task];
+
+  return entry ? entry.nextRowIndex : 0;
+}
+
+/**
+ * Record that a batch has been committed to Firestore
+ * @param {string} collection - Collection name
+ * @param {string} task - Task name within the collection
+ * @param {Object} batch - Committed batch details
+ * @param {number} batch.batchIndex - Index of the batch within the task
+ * @param {number} batch.startRow - Index of the first source row in the batch
+ * @param {number} batch.endRow - Index after the last source row in the batch
+ * @param {number} batch.operations - Number of operations in the batch
+ * @param {Array<Object>} batch.writeResults - Write results returned by the commit
+ */
+function recordBatchCommit(collection, task, batch) {
+  const { batchIndex, startRow, endRow, operations, writeResults = [] } = batch;
+  const entry = getTask(collection, task);
+
+  // The latest write time is the commit confirmation from Firestore
+  const lastWrite = writeResults[writeResults.length - 1];
+
+  entry.nextRowIndex = endRow;
+  entry.lastBatch = {
+    batchIndex,
+    startRow,
+    endRow,
+    operations,
+    writeCount: writeResults.length,
+    writeTime: lastWrite?.writeTime ? lastWrite.writeTime.toDate().toISOString() : null,
+    committedAt: new Date().toISOString()
+  };
+
+  saveCheckpoint(checkpoints[collection]);
+}
+
+/**
+ * Mark a task as fully committed
+ * @param {string} collection - Collection name
+ * @param {string} task - Task name within the collection
+ */
+function completeTask(collection, task) {
+  getTask(collection, task).completed = true;
+  saveCheckpoint(checkpoints[collection]);
+}
+
+/**
+ * Check whether any task of a collection has not been fully committed
+ * @param {string} collection - Collection name
+ * @returns {boolean} - True if at least one task is incomplete
+ */
+function hasIncompleteTasks(collection) {
+  const checkpoint = loadCheckpoint(collection);
+  if (!checkpoint) {
+    return false;
+  }
+
+  return Object.values(checkpoint.tasks).some(task => !task.completed);
+}
+
+/**
+ * Mark a whole collection as migrated
+ * @param {string} collection - Collection name
+ */
+function markCollectionComplete(collection) {
+  if (!loadCheckpoint(collection)) {
+    checkpoints[collection] = createCheckpoint(collection);
+  }
+
+  checkpoints[collection].completed = true;
+  saveCheckpoint(checkpoints[collection]);
+}
+
+/**
+ * Check whether a collection was fully migrated by a previous run
+ * @param {string} collection - Collection name
+ * @returns {boolean} - True if the collection is complete
+ */
+function isCollectionComplete(collection) {
+  const checkpoint = loadCheckpoint(collection);
+  return Boolean(checkpoint && checkpoint.completed);
+}
+
+/**
+ * Remove the checkpoint of a collection so the next run starts from row zero
+ * @param {string} collection - Collection name
+ */
+function clearCheckpoint(collection) {
+  delete checkpoints[collection];
+
+  const filePath = getCheckpointPath(collection);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    logger.info(`Cleared checkpoint for ${collection}`);
+  }
+}
+
+module.exports = {
+  getCheckpointPath,
+  loadCheckpoint,
+  startTask,
+  getResumeIndex,
+  recordBatchCommit,
+  completeTask,
+  hasIncompleteTasks,
+  markCollectionComplete,
+  isCollectionComplete,
+  clearCheckpoint
+};
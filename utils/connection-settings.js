@@ -0,0 +1,169 @@
+/**
+ * Resolves where a run reads its SQL rows from and which Firestore project and database it uses
+ * Settings come from the command line, then the selected profile, then the environment (.env)
+ */
+const fs = require('fs');
+const path = require('path');
+const { FILE_PATHS, FIRESTORE, SOURCE } = require('../config/migration-config');
+const { PROFILES, DEFAULT_PROFILE, getProfile } = require('../config/profiles-config');
+const { SOURCE_TYPES } = require('./data-source');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Command line options shared by the migration and the verification (yargs option definitions)
+// Settings that profiles can pin have no defaults here, so an option that was not given is undefined
+const CONNECTION_OPTIONS = {
+  profile: {
+    description: 'Named profile from config/profiles-config.js',
+    choices: Object.keys(PROFILES),
+    default: DEFAULT_PROFILE || undefined
+  },
+  source: {
+    description: 'SQL rows: dump, mysql, the path of a SQL dump or a mysql://user@host:port/database URL',
+    type: 'string'
+  },
+  project: {
+    description: 'Firebase project id',
+    type: 'string'
+  },
+  credentials: {
+    description: 'Service account key file',
+    type: 'string'
+  },
+  database: {
+    description: 'Firestore database id, for named databases',
+    type: 'string'
+  },
+  emulatorHost: {
+    description: 'Firestore emulator host and port (e.g. localhost:8080), also --emulator-host',
+    type: 'string'
+  },
+  authEmulatorHost: {
+    description: 'Auth emulator host and port (e.g. localhost:9099) for the auth import, also --auth-emulator-host',
+    type: 'string'
+  },
+  storageEmulatorHost: {
+    description: 'Storage emulator host and port (e.g. localhost:9199) for the media migration, also --storage-emulator-host',
+    type: 'string'
+  },
+  mysqlHost: {
+    description: 'Host of the mysql source',
+    type: 'string',
+    default: SOURCE.MYSQL.HOST
+  },
+  mysqlPort: {
+    description: 'Port of the mysql source',
+    type: 'number',
+    default: SOURCE.MYSQL.PORT
+  },
+  mysqlUser: {
+    description: 'User of the mysql source (MYSQL_PASSWORD is read from the environment)',
+    type: 'string',
+    default: SOURCE.MYSQL.USER
+  },
+  mysqlDatabase: {
+    description: 'Database of the mysql source',
+    type: 'string',
+    default: SOURCE.MYSQL.DATABASE
+  },
+  pageSize: {
+    description: 'Rows per page read from the mysql source',
+    type: 'number',
+    default: SOURCE.MYSQL.PAGE_SIZE
+  }
+};
+
+/**
+ * Read the project id of a service account key file
+ * @param {string} credentials - Path of the key file
+ * @returns {string|null} - Project id, or null if the file cannot be read
+ */
+function readCredentialsProject(credentials) {
+  try {
+    return JSON.parse(fs.readFileSync(credentials, 'utf8')).project_id || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Make sure a run only reaches the project its profile allows
+ * Without a profile, a run may not reach the project of a protected profile
+ * @param {string|null} profileName - Selected profile
+ * @param {string|null} project - Project the run writes to (null if unknown)
+ * @throws {Error} - If the project is not allowed
+ */
+function checkProfileTarget(profileName, project) {
+  const profile = profileName ? getProfile(profileName) : null;
+
+  if (profile?.project && project !== profile.project) {
+    throw new Error(`Profile "${profileName}" is pinned to project ${profile.project}, but the run points at ${project || 'an unknown project'}`);
+  }
+
+  const owner = Object.keys(PROFILES).find(name => PROFILES[name].protected && PROFILES[name].project === project);
+  if (owner && owner !== profileName) {
+    throw new Error(`Project ${project} belongs to the protected profile "${owner}", select it with --profile ${owner}`);
+  }
+}
+
+/**
+ * Resolve the source and Firestore settings of a run
+ * @param {Object} argv - Parsed command line (with the CONNECTION_OPTIONS)
+ * @param {Object} options - Options
+ * @param {boolean} options.checkTarget - Check the Firestore project against the profiles (false for file outputs)
+ * @returns {{profile: string|null, project: string|null, source: string, sourceOptions: Object, firestore: Object}} - Connection
+ *   settings, with the project the run reaches (from the settings or the service account key, null if unknown)
+ * @throws {Error} - If the settings point at a project the profile does not allow
+ */
+function resolveConnection(argv, options = {}) {
+  const { checkTarget = true } = options;
+  const profileName = argv.profile || null;
+  const profile = profileName ? getProfile(profileName) : {};
+
+  // Paths in profiles are relative to the repository root, paths on the command line to the working directory
+  const fromProfile = (value) => (value ? path.resolve(ROOT_DIR, value) : value);
+  const fromArgv = (value) => (value ? path.resolve(value) : value);
+  const isDumpPath = (value) => value && !SOURCE_TYPES.includes(value) && !/^mysql:\/\//i.test(value);
+
+  const firestore = {
+    projectId: argv.project || profile.project || FIRESTORE.PROJECT_ID,
+    credentials: fromArgv(argv.credentials) || fromProfile(profile.credentials) || fromArgv(FIRESTORE.CREDENTIALS),
+    databaseId: argv.database || profile.database || FIRESTORE.DATABASE_ID,
+    emulatorHost: argv.emulatorHost || profile.emulatorHost || FIRESTORE.EMULATOR_HOST,
+    authEmulatorHost: argv.authEmulatorHost || profile.authEmulatorHost || FIRESTORE.AUTH_EMULATOR_HOST,
+    storageEmulatorHost: argv.storageEmulatorHost || profile.storageEmulatorHost || FIRESTORE.STORAGE_EMULATOR_HOST
+  };
+
+  // Without a project id the Admin SDK uses the project of the service account key
+  const project = firestore.emulatorHost
+    ? firestore.projectId || FIRESTORE.EMULATOR_PROJECT_ID
+    : firestore.projectId || readCredentialsProject(firestore.credentials || path.resolve(ROOT_DIR, 'config', FILE_PATHS.SERVICE_ACCOUNT));
+
+  // The emulator never reaches a real project
+  if (checkTarget && !firestore.emulatorHost) {
+    checkProfileTarget(profileName, project);
+  }
+
+  return {
+    profile: profileName,
+    project,
+    source: argv.source || (isDumpPath(profile.source) ? fromProfile(profile.source) : profile.source) || SOURCE.DEFAULT,
+    sourceOptions: {
+      filePath: path.resolve(ROOT_DIR, 'config', FILE_PATHS.SQL_DUMP),
+      host: argv.mysqlHost,
+      port: argv.mysqlPort,
+      user: argv.mysqlUser,
+      password: SOURCE.MYSQL.PASSWORD,
+      database: argv.mysqlDatabase,
+      pageSize: argv.pageSize,
+      timezone: argv.timezone
+    },
+    firestore
+  };
+}
+
+module.exports = {
+  CONNECTION_OPTIONS,
+  checkProfileTarget,
+  resolveConnection
+};
@@ -0,0 +1,84 @@
+/**
+ * Canonical form and content hashes of Firestore documents
+ * Lets documents as written by the migration be compared with documents read back from Firestore
+ */
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+/**
+ * Convert a field value to a canonical JSON-compatible form
+ * Dates and Timestamps compare by instant, bytes by content, references by path
+ * @param {any} value - Field value (as written or as read back)
+ * @returns {any} - Canonical value
+ */
+function canonicalize(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof admin.firestore.Timestamp) {
+    return { timestamp: value.toDate().toISOString() };
+  }
+
+  if (value instanceof Date) {
+    return { timestamp: value.toISOString() };
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { bytes: Buffer.from(value).toString('base64') };
+  }
+
+  if (value instanceof admin.firestore.DocumentReference) {
+    return { reference: value.path };
+  }
+
+  if (value instanceof admin.firestore.GeoPoint) {
+    return { geopoint: [value.latitude, value.longitude] };
+  }
+
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (typeof value === 'object') {
+    // Firestore does not store undefined fields and returns map keys in its own order
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) {
+        result[key] = canonicalize(value[key]);
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Hash the content of a document
+ * @param {Object} data - Document data
+ * @param {Array<string>} ignoreFields - Top-level fields to leave out
+ * @returns {string} - SHA-1 hex digest of the canonical document
+ */
+function hashContent(data, ignoreFields = []) {
+  const content = {};
+  for (const [field, value] of Object.entries(data || {})) {
+    if (!ignoreFields.includes(field)) {
+      content[field] = value;
+    }
+  }
+
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(canonicalize(content)))
+    .digest('hex');
+}
+
+module.exports = {
+  canonicalize,
+  hashContent
+};
@@ -0,0 +1,221 @@
+/**
+ * Central handling of MySQL zero dates and other invalid dates in source rows
+ * Every replaced value is counted per collection, column and policy branch so the
+ * effect of the policy can be reported at the end of a run. Rows a collection migrates go
+ * through the policy one by one; related tables go through it when they are loaded, and their
+ * columns are configured and counted as "<table>.<column>"
+ */
+const logger = require('./logger');
+const { parseSourceDateTime } = require('./sql-type-coercion');
+const { DATE_POLICY } = require('../config/migration-config');
+
+// Date-like strings: zero dates and values the type coercion could not turn into a Date
+const DATE_LIKE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}:\d{2}(?:\.\d{1,6})?)?$/;
+
+const POLICIES = ['null', 'sentinel', 'fallback', 'reject'];
+
+// Counts of replaced values: { collection: { column: { branch: count } } }
+const counts = {};
+
+/**
+ * Check whether a value is a zero date or an otherwise invalid date
+ * @param {any} value - Source value
+ * @returns {boolean} - True if the value is an unusable date
+ */
+function isInvalidDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime());
+  }
+
+  if (typeof value !== 'string' || !DATE_LIKE_PATTERN.test(value)) {
+    return false;
+  }
+
+  // Valid date strings only survive as strings when type coercion was off; they are fine
+  return !(parseSourceDateTime(value) instanceof Date);
+}
+
+/**
+ * Get the policy configured for a column of a collection
+ * @param {string} collection - Collection name
+ * @param {string} column - Source column name
+ * @returns {{policy: string, fallback: string}} - Policy and optional fallback column
+ */
+function getFieldPolicy(collection, column) {
+  const fieldConfig = DATE_POLICY.FIELDS[collection]?.[column];
+  const policy = fieldConfig?.policy || DATE_POLICY.DEFAULT;
+
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown date policy "${policy}" for ${collection}.${column}`);
+  }
+
+  return {
+    policy,
+    fallback: fieldConfig?.fallback || null
+  };
+}
+
+/**
+ * Count a policy branch for a collection field
+ * @param {string} collection - Collection name
+ * @param {string} column - Source column name
+ * @param {string} branch - Policy branch taken
+ */
+function countBranch(collection, column, branch) {
+  if (!counts[collection]) {
+    counts[collection] = {};
+  }
+  if (!counts[collection][column]) {
+    counts[collection][column] = {};
+  }
+
+  counts[collection][column][branch] = (counts[collection][column][branch] || 0) + 1;
+}
+
+/**
+ * Apply the date policy to every invalid date of a source row
+ * @param {Object} row - Source row
+ * @param {string} collection - Collection the row is migrated to
+ * @param {string|null} table - Related table the row belongs to (null for rows the collection migrates)
+ * @returns {Object} - The row itself, or a copy with invalid dates replaced
+ * @throws {Error} - If a column's policy is 'reject'
+ */
+function applyDatePolicy(row, collection, table = null) {
+  if (!row || typeof row !== 'object') {
+    return row;
+  }
+
+  let result = row;
+
+  for (const [column, value] of Object.entries(row)) {
+    if (!isInvalidDate(value)) {
+      continue;
+    }
+
+    const field = table ? `${table}.${column}` : column;
+    const { policy, fallback } = getFieldPolicy(collection, field);
+    let replacement = null;
+    let branch = policy;
+
+    if (policy === 'reject') {
+      countBranch(collection, field, 'reject');
+      const error = new Error(`Invalid date "${value}" in column ${field} (date policy: reject)`);
+      error.type = 'date';
+      throw error;
+    }
+
+    if (policy === 'sentinel') {
+      replacement = DATE_POLICY.SENTINEL;
+    } else if (policy === 'fallback') {
+      const fallbackValue = fallback ? row[fallback] : null;
+      if (fallbackValue !== null && fallbackValue !== undefined && !isInvalidDate(fallbackValue)) {
+        replacement = fallbackValue;
+      } else {
+        // The fallback column is missing or unusable as well
+        branch = 'null';
+      }
+    }
+
+    countBranch(collection, field, branch);
+
+    // Copy before the first change so the shared source rows stay untouched
+    if (result === row) {
+      result = { ...row };
+    }
+    result[column] = replacement;
+  }
+
+  return result;
+}
+
+/**
+ * Apply the date policy to a related row, leaving it out when its date is rejected
+ * @param {Object} row - Related row
+ * @param {string} collection - Collection the table is loaded for
+ * @param {string} table - Table name
+ * @returns {Object|null} - The row, a copy with invalid dates replaced, or null if it is rejected
+ */
+function applyRelatedDatePolicy(row, collection, table) {
+  try {
+    return applyDatePolicy(row, collection, table);
+  } catch (error) {
+    if (error.type === 'date') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Apply the date policy to the rows of a related table
+ * Transformers look related rows up instead of receiving them one by one, so the whole table is
+ * resolved when it is loaded; rows whose dates are rejected are left out of the table
+ * @param {Array<Object>|AsyncIterable<Object>} rows - Rows of the table (streamed tables stay streamed)
+ * @param {string} collection - Collection the table is loaded for
+ * @param {string} table - Table name
+ * @returns {Array<Object>|AsyncIterable<Object>} - The rows, the same array when no date was replaced
+ */
+function applyTableDatePolicy(rows, collection, table) {
+  if (!Array.isArray(rows)) {
+    return (async function* resolveStreamedRows() {
+      for await (const row of rows) {
+        const resolved = applyRelatedDatePolicy(row, collection, table);
+        if (resolved) {
+          yield resolved;
+        }
+      }
+    })();
+  }
+
+  // The loaded array is shared by every collection (and its lookup indexes), so it is only
+  // copied when a row changes
+  let result = null;
+  for (let i = 0; i < rows.length; i++) {
+    const resolved = applyRelatedDatePolicy(rows[i], collection, table);
+    if (resolved !== rows[i] && !result) {
+      result = rows.slice(0, i);
+    }
+    if (result && resolved) {
+      result.push(resolved);
+    }
+  }
+
+  return result || rows;
+}
+
+/**
+ * Get the counts of replaced values
+ * @returns {Object} - Counts by collection, column and branch
+ */
+function getDatePolicyStats() {
+  return counts;
+}
+
+/**
+ * Log the counts of replaced values
+ */
+function logDatePolicyReport() {
+  const collections = Object.keys(counts);
+  if (collections.length === 0) {
+    logger.info('Date policy: no zero or invalid dates found');
+    return;
+  }
+
+  logger.info(`Date policy report (default policy: ${DATE_POLICY.DEFAULT})`);
+  for (const collection of collections) {
+    for (const [column, branches] of Object.entries(counts[collection])) {
+      const summary = Object.entries(branches)
+        .map(([branch, count]) => `${branch}: ${count}`)
+        .join(', ');
+      logger.info(`  ${collection}.${column} - ${summary}`);
+    }
+  }
+}
+
+module.exports = {
+  isInvalidDate,
+  applyDatePolicy,
+  applyTableDatePolicy,
+  getDatePolicyStats,
+  logDatePolicyReport
+};
@@ -0,0 +1,311 @@
+/**
+ * Incremental delta sync between a newer SQL dump and the manifest of the previous run
+ * The manifest keeps a hash of every source row (per table and primary key) and of every
+ * migrated document. A sync skips collections whose tables did not change, writes only the
+ * documents whose content changed and deletes (or soft deletes) documents whose rows are gone
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { hashContent } = require('./content-hash');
+const { hashDocument } = require('./write-modes');
+const { DELTA_SYNC } = require('../config/migration-config');
+
+const MANIFEST_VERSION = 1;
+const DELETE_POLICIES = ['delete', 'soft-delete'];
+
+// Manifest of the previous run, hashes of the current dump and documents produced by this run
+let previousManifest = null;
+let currentTables = {};
+let syncMode = false;
+let currentDocuments = {};
+let completedCollections = {};
+
+/**
+ * Hash the rows of a table by primary key
+ * Rows without an id (join tables) are keyed by their content, so they can only be inserted or deleted
+ * @param {Array<Object>|AsyncIterable<Object>} rows - Table rows
+ * @returns {Promise<Object>} - Row hashes by primary key
+ */
+async function hashTableRows(rows) {
+  const hashes = {};
+
+  for await (const row of rows) {
+    const hash = hashContent(row);
+    const key = row.id !== undefined && row.id !== null ? String(row.id) : `#${hash}`;
+    hashes[key] = hash;
+  }
+
+  return hashes;
+}
+
+/**
+ * Hash every table of the source
+ * @param {Object} context - Source context
+ * @param {Object} context.tablesData - Tables loaded into memory
+ * @param {Object} context.source - Data source (for streamed tables)
+ * @param {Array<string>} context.streamedTables - Tables left in the source for streaming
+ * @returns {Promise<Object>} - Row hashes by table and primary key
+ */
+async function hashTables(context) {
+  const { tablesData, source, streamedTables = [] } = context;
+  const tables = {};
+
+  for (const [table, rows] of Object.entries(tablesData)) {
+    tables[table] = await hashTableRows(rows);
+  }
+
+  // Streamed tables take an extra pass over the source
+  for (const table of streamedTables) {
+    tables[table] = await hashTableRows(source.streamTable(table));
+  }
+
+  return tables;
+}
+
+/**
+ * Digest the row hashes of a table
+ * @param {Object} rowHashes - Row hashes by primary key
+ * @returns {string|null} - Digest of the table (null if the table is not in the dump)
+ */
+function digestTable(rowHashes) {
+  if (!rowHashes) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha1');
+  for (const key of Object.keys(rowHashes).sort()) {
+    hash.update(`${key}:${rowHashes[key]}\n`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Compare the rows of two dumps
+ * @param {Object} previousTables - Row hashes of the previous dump by table
+ * @param {Object} tables - Row hashes of the current dump by table
+ * @returns {Object} - {inserted, updated, deleted} primary keys by table (unchanged tables left out)
+ */
+function diffTables(previousTables = {}, tables = {}) {
+  const changes = {};
+
+  for (const table of new Set([...Object.keys(previousTables), ...Object.keys(tables)])) {
+    const before = previousTables[table] || {};
+    const after = tables[table] || {};
+    const diff = {
+      inserted: Object.keys(after).filter(key => !(key in before)),
+      updated: Object.keys(after).filter(key => key in before && before[key] !== after[key]),
+      deleted: Object.keys(before).filter(key => !(key in after))
+    };
+
+    if (diff.inserted.length + diff.updated.length + diff.deleted.length > 0) {
+      changes[table] = diff;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Load a manifest written by a previous run
+ * @param {string} filePath - Manifest path
+ * @returns {Object|null} - Manifest, or null if there is none
+ * @throws {Error} - If the manifest was written by an incompatible version
+ */
+function loadManifest(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported sync manifest version ${manifest.version} in ${filePath}`);
+  }
+  return manifest;
+}
+
+/**
+ * Start tracking a run against the manifest of the previous run
+ * @param {Object} options - Options
+ * @param {Object|null} options.previous - Manifest of the previous run
+ * @param {Object} options.tables - Row hashes of the current dump by table
+ * @param {boolean} options.sync - Only write changes and delete documents whose rows are gone
+ */
+function startDeltaSync(options = {}) {
+  previousManifest = options.previous || null;
+  currentTables = options.tables || {};
+  syncMode = Boolean(options.sync);
+  currentDocuments = {};
+  completedCollections = {};
+}
+
+/**
+ * Check whether none of the tables a collection reads changed since its last completed migration
+ * @param {string} collection - Collection name
+ * @param {Object} config - Collection configuration
+ * @returns {boolean} - True if the collection can be skipped
+ */
+function isCollectionUnchanged(collection, config) {
+  const previous = previousManifest?.collections?.[collection];
+  if (!previous) {
+    return false;
+  }
+
+  return (config.requiredTables || []).every(table => (
+    previous.tables[table] === digestTable(currentTables[table])
+  ));
+}
+
+/**
+ * Record the documents a migration produced (use as the onOperations hook of processBatch)
+ * @param {Array<Object>} operations - Document operations
+ */
+function trackOperations(operations) {
+  for (const op of operations) {
+    if (!currentDocuments[op.collection]) {
+      currentDocuments[op.collection] = {};
+    }
+    currentDocuments[op.collection][op.docId] = hashDocument(op.collection, op.data);
+  }
+}
+
+/**
+ * Leave out documents whose content is the same as in the previous run (sync mode only)
+ * @param {Array<Object>} operations - Document operations
+ * @returns {Array<Object>} - Operations to write
+ */
+function selectChangedOperations(operations) {
+  if (!syncMode) {
+    return operations;
+  }
+
+  return operations.filter(op => {
+    const previous = previousManifest?.collections?.[op.collection]?.documents;
+    const hash = currentDocuments[op.collection]?.[op.docId] || hashDocument(op.collection, op.data);
+    return !previous || previous[op.docId] !== hash;
+  });
+}
+
+/**
+ * Wrap an output sink so a sync only writes documents that changed
+ * @param {Object} sink - Output sink
+ * @returns {Object} - Output sink
+ */
+function createDeltaSink(sink) {
+  return {
+    ...sink,
+    write: (operations) => sink.write(selectChangedOperations(operations))
+  };
+}
+
+/**
+ * Get the delete policy of a collection
+ * @param {Object} config - Collection configuration
+ * @returns {string} - 'delete' or 'soft-delete'
+ * @throws {Error} - If the policy is unknown
+ */
+function getDeletePolicy(config) {
+  const policy = config.onDelete || DELTA_SYNC.ON_DELETE;
+  if (!DELETE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown delete policy "${policy}", expected one of ${DELETE_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Finish the migration of a collection
+ * Records it for the manifest and returns the operations that remove the documents of the
+ * previous run this run did not produce. Documents that are not removed stay in the manifest,
+ * so a later sync still removes them
+ * @param {string} collection - Collection name
+ * @param {Object} config - Collection configuration
+ * @param {Object} options - Options
+ * @param {boolean} options.deleteMissing - Remove documents whose rows are gone
+ * @returns {{operations: Array<Object>, stats: Object}} - Delete operations and document change counts
+ */
+function completeCollection(collection, config, options = {}) {
+  const previous = previousManifest?.collections?.[collection]?.documents || {};
+  const documents = { ...(currentDocuments[collection] || {}) };
+  const stats = { inserted: 0, updated: 0, unchanged: 0, missing: 0 };
+
+  for (const [docId, hash] of Object.entries(documents)) {
+    if (!(docId in previous)) stats.inserted++;
+    else if (previous[docId] !== hash) stats.updated++;
+    else stats.unchanged++;
+  }
+
+  const missing = Object.keys(previous).filter(docId => !(docId in documents));
+  stats.missing = missing.length;
+
+  let operations = [];
+  if (options.deleteMissing) {
+    const policy = getDeletePolicy(config);
+    operations = missing.map(docId => (policy === 'delete'
+      ? { collection, docId, type: 'delete' }
+      : { collection, docId, type: 'soft-delete', data: { isDeleted: true, deletedAt: new Date() } }));
+  } else {
+    for (const docId of missing) {
+      documents[docId] = previous[docId];
+    }
+  }
+
+  completedCollections[collection] = {
+    tables: Object.fromEntries((config.requiredTables || []).map(table => [table, digestTable(currentTables[table])])),
+    documents
+  };
+
+  return { operations, stats };
+}
+
+/**
+ * Write the manifest of this run
+ * Collections not completed by this run keep their entries from the previous manifest
+ * @param {string} filePath - Manifest path
+ */
+function saveManifest(filePath) {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    createdAt: new Date().toISOString(),
+    tables: currentTables,
+    collections: {
+      ...(previousManifest?.collections || {}),
+      ...completedCollections
+    }
+  };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(manifest));
+  logger.info(`Sync manifest saved to ${filePath}`);
+}
+
+/**
+ * Log the row changes between the previous and the current dump
+ * @param {Object} changes - Changes by table (from diffTables)
+ */
+function logTableChanges(changes) {
+  const tables = Object.keys(changes);
+  if (tables.length === 0) {
+    logger.info('Delta sync: no rows changed since the previous run');
+    return;
+  }
+
+  logger.info('Delta sync: rows changed since the previous run');
+  for (const table of tables) {
+    const { inserted, updated, deleted } = changes[table];
+    logger.info(`  ${table} - inserted: ${inserted.length}, updated: ${updated.length}, deleted: ${deleted.length}`);
+  }
+}
+
+module.exports = {
+  hashTables,
+  diffTables,
+  loadManifest,
+  startDeltaSync,
+  isCollectionUnchanged,
+  trackOperations,
+  createDeltaSink,
+  completeCollection,
+  saveManifest,
+  logTableChanges
+};
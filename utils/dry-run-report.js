@@ -0,0 +1,369 @@
+/**
+ * Dry-run report
+ * Collects the documents a dry run would write and summarises them per collection: sample
+ * documents, an inferred field schema, the distribution of enum fields and the transformation
+ * errors, printed to the console and written as a Markdown or HTML file
+ */
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const admin = require('firebase-admin');
+const logger = require('./logger');
+const { DRY_RUN_REPORT } = require('../config/migration-config');
+
+// Collected data: { collection: { documents, samples, fields, enums, errors } }
+const collections = {};
+
+/**
+ * Get (or create) the collected data of a collection
+ * @param {string} collection - Collection name or path
+ * @returns {Object} - Collected data
+ */
+function getEntry(collection) {
+  if (!collections[collection]) {
+    collections[collection] = { documents: 0, samples: [], fields: {}, enums: {}, errors: [] };
+  }
+  return collections[collection];
+}
+
+/**
+ * Get the type name of a field value as Firestore would store it
+ * @param {any} value - Field value
+ * @returns {string} - Type name
+ */
+function getValueType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof admin.firestore.Timestamp || value instanceof Date) return 'timestamp';
+  if (value instanceof admin.firestore.DocumentReference) return 'reference';
+  if (value instanceof admin.firestore.GeoPoint) return 'geopoint';
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return 'bytes';
+  if (Array.isArray(value)) return 'array';
+  if (_.isPlainObject(value)) return 'map';
+  return typeof value;
+}
+
+/**
+ * Check whether a value is empty (empty string, array or map)
+ * @param {any} value - Field value
+ * @returns {boolean} - True if the value is empty
+ */
+function isEmptyValue(value) {
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (_.isPlainObject(value)) return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Record the type, null and empty counts of every field of a document, and the values of enum fields
+ * Maps are walked; fields of maps inside arrays are recorded under "field[].key"
+ * @param {Object} entry - Collected data of the collection
+ * @param {Object} data - Document data (or a map within it)
+ * @param {string} prefix - Path of the map within the document
+ */
+function recordFields(entry, data, prefix = '') {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    const type = getValueType(value);
+    if (!entry.fields[fieldPath]) {
+      entry.fields[fieldPath] = { present: 0, nulls: 0, empties: 0, types: {} };
+    }
+
+    const field = entry.fields[fieldPath];
+    field.present++;
+    field.types[type] = (field.types[type] || 0) + 1;
+    if (type === 'null') field.nulls++;
+    if (isEmptyValue(value)) field.empties++;
+
+    if (DRY_RUN_REPORT.ENUM_FIELDS.includes(key) && (type === 'string' || type === 'null')) {
+      const counts = entry.enums[fieldPath] || (entry.enums[fieldPath] = {});
+      const label = value === null ? '(null)' : (value === '' ? '(empty)' : value);
+      counts[label] = (counts[label] || 0) + 1;
+    }
+
+    if (type === 'map') {
+      recordFields(entry, value, fieldPath);
+    } else if (type === 'array') {
+      for (const item of value) {
+        if (_.isPlainObject(item)) {
+          recordFields(entry, item, `${fieldPath}[]`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Convert a field value to plain JSON for the report
+ * @param {any} value - Field value
+ * @returns {any} - Timestamps as ISO strings, references as paths, bytes as a size
+ */
+function toReportValue(value) {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (value instanceof Date) return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (value instanceof admin.firestore.GeoPoint) return { latitude: value.latitude, longitude: value.longitude };
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return `<${value.length} bytes>`;
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toReportValue);
+  if (_.isPlainObject(value)) return _.mapValues(value, toReportValue);
+  return value;
+}
+
+/**
+ * Record the documents of a processed batch (use as the onOperations hook of processBatch)
+ * @param {Array<Object>} operations - Document operations
+ */
+function recordOperations(operations) {
+  for (const { collection, docId, data } of operations) {
+    const entry = getEntry(collection);
+    entry.documents++;
+    recordFields(entry, data);
+
+    if (entry.samples.length < DRY_RUN_REPORT.SAMPLE_SIZE) {
+      entry.samples.push({ id: docId, data: toReportValue(data) });
+    }
+  }
+}
+
+/**
+ * Record the transformation errors of a migration
+ * @param {string} collection - Collection name
+ * @param {Array<Object>} errors - Errors returned by the migration ({item, error, type})
+ */
+function recordErrors(collection, errors = []) {
+  const entry = getEntry(collection);
+  for (const { item, error, type } of errors) {
+    entry.errors.push({
+      sourceId: item?.id ?? item?.docId ?? null,
+      type: type || 'transform',
+      message: error
+    });
+  }
+}
+
+/**
+ * Record a migration that failed as a whole
+ * @param {string} collection - Collection name
+ * @param {Error} error - Error that stopped the migration
+ */
+function recordFailure(collection, error) {
+  getEntry(collection).errors.push({ sourceId: null, type: 'fatal', message: error.message });
+}
+
+/**
+ * Build the report of every collection recorded so far
+ * @returns {Object} - Report by collection
+ */
+function getDryRunReport() {
+  const report = {};
+
+  for (const [collection, entry] of Object.entries(collections)) {
+    report[collection] = {
+      documents: entry.documents,
+      samples: entry.samples,
+      schema: Object.keys(entry.fields).sort().map(fieldPath => {
+        const field = entry.fields[fieldPath];
+        return {
+          field: fieldPath,
+          types: Object.keys(field.types).filter(type => type !== 'null').sort(),
+          present: field.present,
+          // Ratios of the values found, so fields within arrays stay below 100%
+          nullRatio: field.nulls / field.present,
+          emptyRatio: field.empties / field.present
+        };
+      }),
+      enums: _.mapValues(entry.enums, counts => _.fromPairs(_.sortBy(Object.entries(counts), ([, count]) => -count))),
+      errors: entry.errors
+    };
+  }
+
+  return report;
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} ratio - Ratio between 0 and 1
+ * @returns {string} - Percentage
+ */
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * Print a summary of the report
+ * @param {Object} report - Report by collection
+ */
+function logDryRunReport(report = getDryRunReport()) {
+  const names = Object.keys(report);
+  if (names.length === 0) {
+    logger.info('Dry run report: no documents were produced');
+    return;
+  }
+
+  logger.info('Dry run report');
+  for (const name of names) {
+    const { documents, schema, enums, errors } = report[name];
+    const log = errors.length > 0 ? logger.warn : logger.info;
+    log(`  ${name}: ${documents} documents, ${schema.length} fields, ${errors.length} errors`);
+
+    for (const [fieldPath, counts] of Object.entries(enums)) {
+      const summary = Object.entries(counts).map(([value, count]) => `${value}: ${count}`).join(', ');
+      logger.info(`    ${fieldPath} - ${summary}`);
+    }
+
+    // Fields of more than one type usually point at a transformer bug
+    for (const { field, types } of schema.filter(entry => entry.types.length > 1)) {
+      logger.warn(`    ${field} has mixed types: ${types.join(', ')}`);
+    }
+
+    for (const error of errors.slice(0, DRY_RUN_REPORT.CONSOLE_ERRORS)) {
+      logger.warn(`    [${error.type}] ${error.sourceId ?? '-'}: ${error.message}`);
+    }
+    if (errors.length > DRY_RUN_REPORT.CONSOLE_ERRORS) {
+      logger.warn(`    ... ${errors.length - DRY_RUN_REPORT.CONSOLE_ERRORS} more errors in the report file`);
+    }
+  }
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {any} value - Cell value
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Escape a value for HTML
+ * @param {any} value - Value
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the report as Markdown
+ * @param {Object} report - Report by collection
+ * @returns {string} - Markdown document
+ */
+function renderMarkdown(report) {
+  const lines = ['# Dry run report', '', `Generated ${new Date().toISOString()}`, ''];
+  const table = (headers, rows) => [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escapeMarkdown).join(' | ')} |`),
+    ''
+  ];
+
+  for (const [name, { documents, samples, schema, enums, errors }] of Object.entries(report)) {
+    lines.push(`## ${name}`, '', `${documents} documents, ${errors.length} errors`, '');
+
+    lines.push('### Schema', '');
+    lines.push(...table(
+      ['Field', 'Types', 'Present', 'Null', 'Empty'],
+      schema.map(field => [field.field, field.types.join(', ') || 'null', field.present, formatPercent(field.nullRatio), formatPercent(field.emptyRatio)])
+    ));
+
+    for (const [fieldPath, counts] of Object.entries(enums)) {
+      lines.push(`### ${fieldPath}`, '');
+      lines.push(...table(['Value', 'Count'], Object.entries(counts)));
+    }
+
+    if (errors.length > 0) {
+      lines.push('### Errors', '');
+      lines.push(...table(['Type', 'Source ID', 'Error'], errors.map(error => [error.type, error.sourceId ?? '-', error.message])));
+    }
+
+    lines.push('### Samples', '');
+    for (const sample of samples) {
+      lines.push(`\`${sample.id}\``, '', '```json', JSON.stringify(sample.data, null, 2), '```', '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the report as a standalone HTML page
+ * @param {Object} report - Report by collection
+ * @returns {string} - HTML document
+ */
+function renderHtml(report) {
+  const table = (headers, rows) => [
+    '<table>',
+    `<tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>`,
+    ...rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+    '</table>'
+  ].join('\n');
+
+  const sections = Object.entries(report).map(([name, { documents, samples, schema, enums, errors }]) => [
+    `<h2>${escapeHtml(name)}</h2>`,
+    `<p>${documents} documents, ${errors.length} errors</p>`,
+    '<h3>Schema</h3>',
+    table(
+      ['Field', 'Types', 'Present', 'Null', 'Empty'],
+      schema.map(field => [field.field, field.types.join(', ') || 'null', field.present, formatPercent(field.nullRatio), formatPercent(field.emptyRatio)])
+    ),
+    ...Object.entries(enums).map(([fieldPath, counts]) => `<h3>${escapeHtml(fieldPath)}</h3>\n${table(['Value', 'Count'], Object.entries(counts))}`),
+    errors.length > 0
+      ? `<h3>Errors</h3>\n${table(['Type', 'Source ID', 'Error'], errors.map(error => [error.type, error.sourceId ?? '-', error.message]))}`
+      : '',
+    '<h3>Samples</h3>',
+    ...samples.map(sample => `<p><code>${escapeHtml(sample.id)}</code></p>\n<pre>${escapeHtml(JSON.stringify(sample.data, null, 2))}</pre>`)
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>Dry run report</title>',
+    '<style>',
+    'body { font-family: sans-serif; margin: 2em; }',
+    'table { border-collapse: collapse; margin-bottom: 1em; }',
+    'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }',
+    'pre { background: #f5f5f5; padding: 8px; overflow: auto; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    '<h1>Dry run report</h1>',
+    `<p>Generated ${new Date().toISOString()}</p>`,
+    ...sections,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write the report to a file, as HTML for .html/.htm paths and as Markdown otherwise
+ * @param {string} filePath - Report file path
+ * @param {Object} report - Report by collection
+ */
+function writeDryRunReport(filePath, report = getDryRunReport()) {
+  const isHtml = /\.html?$/i.test(filePath);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, isHtml ? renderHtml(report) : renderMarkdown(report));
+  logger.info(`Dry run report written to ${filePath}`);
+}
+
+module.exports = {
+  recordOperations,
+  recordErrors,
+  recordFailure,
+  getDryRunReport,
+  logDryRunReport,
+  writeDryRunReport
+};
@@ -2,29 +2,81 @@
  * Firestore service for handling database operations
  */
 const admin = require('firebase-admin');
+const { getFirestore: getDatabase } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const { getStorage } = require('firebase-admin/storage');
 const path = require('path');
+const _ = require('lodash');
 const logger = require('./logger');
+const { getCollectionConfig } = require('../config/mapping-config');
+const { FILE_PATHS, FIRESTORE, MEDIA } = require('../config/migration-config');
+const { getWriteMode, needsSnapshots, planWrite, countOutcome } = require('./write-modes');
 
+let app = null;
 let db = null;
+let auth = null;
+let bucket = null;
+
+/**
+ * Initialize the Firebase app shared by Firestore and Authentication
+ * @param {Object} options - Connection settings (see initializeFirestore)
+ * @param {boolean} useEmulator - The service is reached through its emulator, so no credentials are needed
+ * @returns {admin.app.App} - Firebase app
+ */
+function initializeApp(options, useEmulator) {
+  if (app) {
+    return app;
+  }
+
+  const projectId = options.projectId || FIRESTORE.PROJECT_ID;
+
+  if (useEmulator) {
+    // The emulators accept any project id and need no credentials
+    app = admin.initializeApp({
+      projectId: projectId || FIRESTORE.EMULATOR_PROJECT_ID
+    });
+  } else {
+    const serviceAccountPath = options.credentials || FIRESTORE.CREDENTIALS ||
+      path.resolve(__dirname, '../config', FILE_PATHS.SERVICE_ACCOUNT);
+
+    app = admin.initializeApp({
+      credential: admin.credential.cert(serviceAccountPath),
+      ...(projectId && { projectId })
+    });
+  }
+
+  return app;
+}
 
 /**
  * Initialize Firestore connection
+ * Settings left out fall back to FIRESTORE in the migration config
+ * @param {Object} options - Connection settings
+ * @param {string} options.projectId - Firebase project id (read from the credentials if not set)
+ * @param {string} options.credentials - Path of a service account key file
+ * @param {string} options.databaseId - Firestore database, '(default)' or the id of a named database
+ * @param {string} options.emulatorHost - Emulator host and port to connect to instead of the project
  * @returns {FirebaseFirestore.Firestore} - Firestore instance
  */
-function initializeFirestore() {
+function initializeFirestore(options = {}) {
   if (db) {
     return db;
   }
 
+  const projectId = options.projectId || FIRESTORE.PROJECT_ID;
+  const databaseId = options.databaseId || FIRESTORE.DATABASE_ID;
+
+  // The Admin SDK connects to the emulator whenever this variable is set
+  if (options.emulatorHost) {
+    process.env.FIRESTORE_EMULATOR_HOST = options.emulatorHost;
+  }
+
   try {
-    const serviceAccountPath = path.resolve(__dirname, '../serviceAccount.json');
-    
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccountPath)
-    });
-    
-    db = admin.firestore();
-    logger.info('Firestore initialized successfully');
+    db = getDatabase(initializeApp(options, Boolean(process.env.FIRESTORE_EMULATOR_HOST)), databaseId);
+    const database = databaseId === '(default)' ? '' : ` (database ${databaseId})`;
+    logger.info(process.env.FIRESTORE_EMULATOR_HOST
+      ? `Firestore initialized against the emulator at ${process.env.FIRESTORE_EMULATOR_HOST}${database}`
+      : `Firestore initialized for ${projectId || 'the project of the service account'}${database}`);
     return db;
   } catch (error) {
     logger.error(`Failed to initialize Firestore: ${error.message}`);
@@ -32,6 +84,66 @@ function initializeFirestore() {
   }
 }
 
+/**
+ * Initialize Firebase Authentication
+ * @param {Object} options - Connection settings (see initializeFirestore)
+ * @param {string} options.authEmulatorHost - Auth emulator host and port to connect to instead of the project
+ * @returns {import('firebase-admin/auth').Auth} - Auth instance
+ */
+function initializeAuth(options = {}) {
+  if (auth) {
+    return auth;
+  }
+
+  // The Admin SDK connects to the Auth emulator whenever this variable is set
+  if (options.authEmulatorHost) {
+    process.env.FIREBASE_AUTH_EMULATOR_HOST = options.authEmulatorHost;
+  }
+
+  try {
+    auth = getAuth(initializeApp(options, Boolean(process.env.FIREBASE_AUTH_EMULATOR_HOST)));
+    logger.info(process.env.FIREBASE_AUTH_EMULATOR_HOST
+      ? `Authentication initialized against the emulator at ${process.env.FIREBASE_AUTH_EMULATOR_HOST}`
+      : `Authentication initialized for ${options.projectId || FIRESTORE.PROJECT_ID || 'the project of the service account'}`);
+    return auth;
+  } catch (error) {
+    logger.error(`Failed to initialize Authentication: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Initialize the Cloud Storage bucket media files are uploaded to
+ * @param {Object} options - Connection settings (see initializeFirestore)
+ * @param {string} options.bucket - Bucket name (MEDIA.BUCKET, or <project id>.appspot.com)
+ * @param {string} options.storageEmulatorHost - Storage emulator host and port to connect to instead of the project
+ * @returns {import('@google-cloud/storage').Bucket} - Bucket
+ */
+function initializeStorage(options = {}) {
+  if (bucket) {
+    return bucket;
+  }
+
+  // The Admin SDK connects to the Storage emulator whenever this variable is set
+  if (options.storageEmulatorHost) {
+    process.env.FIREBASE_STORAGE_EMULATOR_HOST = options.storageEmulatorHost;
+  }
+
+  const projectId = options.projectId || FIRESTORE.PROJECT_ID || FIRESTORE.EMULATOR_PROJECT_ID;
+  const bucketName = options.bucket || MEDIA.BUCKET || `${projectId}.appspot.com`;
+
+  try {
+    bucket = getStorage(initializeApp(options, Boolean(process.env.FIREBASE_STORAGE_EMULATOR_HOST))).bucket(bucketName);
+    logger.info(process.env.FIREBASE_STORAGE_EMULATOR_HOST
+      ? `Storage bucket ${bucketName} initialized against the emulator at ${process.env.FIREBASE_STORAGE_EMULATOR_HOST}`
+      : `Storage bucket ${bucketName} initialized`);
+    return bucket;
+  } catch (error) {
+    logger.error(`Failed to initialize Storage: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Get Firestore instance
  * @returns {FirebaseFirestore.Firestore} - Firestore instance
@@ -62,21 +174,48 @@ async function writeDocument(collection, docId, data, options = {}) {
   return docRef.set(data);
 }
 
+/**
+ * Read the stored documents of the operations whose write mode depends on them
+ * @param {FirebaseFirestore.Firestore} firestore - Firestore instance
+ * @param {Array<Object>} operations - Array of operations
+ * @param {Array<Object>} writeModes - Resolved write mode of each operation
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot|null>>} - Snapshot of each operation (null if not read)
+ */
+async function readSnapshots(firestore, operations, writeModes) {
+  const snapshots = new Array(operations.length).fill(null);
+  const indexes = operations
+    .map((op, index) => index)
+    .filter(index => needsSnapshots(writeModes[index].mode, writeModes[index].mergeFields));
+
+  if (indexes.length > 0) {
+    const refs = indexes.map(index => firestore.collection(operations[index].collection).doc(operations[index].docId));
+    const results = await firestore.getAll(...refs);
+    indexes.forEach((operationIndex, resultIndex) => {
+      snapshots[operationIndex] = results[resultIndex];
+    });
+  }
+
+  return snapshots;
+}
+
 /**
  * Write multiple documents in a batch operation
+ * Each document is written according to the write mode of its collection; operations with
+ * type 'delete' or 'soft-delete' remove the document or merge their data into it
  * @param {Array<Object>} operations - Array of operations
  * @param {Object} options - Additional options
- * @returns {Promise<void>} - Resolution when batch is committed
+ * @param {string} options.writeMode - Write mode for every collection (overrides the configured modes)
+ * @returns {Promise<Array<FirebaseFirestore.WriteResult>>} - Write results of the documents written once the batch is committed
  */
 async function writeBatch(operations, options = {}) {
   if (operations.length === 0) {
-    return Promise.resolve();
+    return [];
   }
   
   const firestore = getFirestore();
   
   if (options.dryRun) {
-    return Promise.resolve();
+    return [];
   }
   
   // Firestore has a limit of 500 operations per batch
@@ -84,22 +223,116 @@ async function writeBatch(operations, options = {}) {
   
   // Create batches for operations
   const batches = [];
+  const outcomes = [];
   for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
     const batch = firestore.batch();
     const operationSlice = operations.slice(i, i + BATCH_LIMIT);
+    const writeModes = operationSlice.map(op => getWriteMode(op.collection, options.writeMode));
+    const snapshots = await readSnapshots(firestore, operationSlice, writeModes);
+    let writes = 0;
     
-    for (const op of operationSlice) {
-      const { collection, docId, data } = op;
+    operationSlice.forEach((op, index) => {
+      const { collection, docId } = op;
       const docRef = firestore.collection(collection).doc(docId);
-      batch.set(docRef, data);
-    }
+      
+      // Deletes from a delta sync bypass the write modes
+      const plan = op.type === 'delete' || op.type === 'soft-delete'
+        ? { action: op.type, data: op.data, outcome: op.type === 'delete' ? 'deleted' : 'soft deleted' }
+        : planWrite(op, writeModes[index], snapshots[index]);
+      outcomes.push([collection, plan.outcome]);
+      
+      switch (plan.action) {
+        case 'set':
+          batch.set(docRef, plan.data);
+          break;
+        case 'create':
+          batch.create(docRef, plan.data);
+          break;
+        case 'merge':
+          batch.set(docRef, plan.data, plan.options);
+          break;
+        case 'update':
+          batch.update(docRef, plan.data, plan.precondition);
+          break;
+        case 'delete':
+          batch.delete(docRef);
+          break;
+        case 'soft-delete':
+          batch.set(docRef, plan.data, { merge: true });
+          break;
+        default:
+          return;
+      }
+      writes++;
+    });
     
-    batches.push(batch);
+    // Batches whose documents were all skipped have nothing to commit
+    if (writes > 0) {
+      batches.push(batch);
+    }
   }
   
   // Commit all batches
   const promises = batches.map(batch => batch.commit());
-  await Promise.all(promises);
+  const results = await Promise.all(promises);
+  
+  outcomes.forEach(([collection, outcome]) => countOutcome(collection, outcome));
+  return results.flat();
+}
+
+/**
+ * Convert every Date in a document to a Firestore Timestamp
+ * @param {any} value - Document or field value
+ * @param {string} fieldPath - Path of the value within the document
+ * @param {Array<string>} violations - Collects fields that cannot be converted
+ * @returns {any} - Value with Dates replaced by Timestamps
+ */
+function convertDates(value, fieldPath, violations) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      violations.push(`${fieldPath} is an invalid Date`);
+      return value;
+    }
+    return admin.firestore.Timestamp.fromDate(value);
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map((item, index) => convertDates(item, `${fieldPath}[${index}]`, violations));
+  }
+  
+  // Only plain objects are walked; Timestamps, Buffers and references are kept as they are
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, (fieldValue, key) => (
+      convertDates(fieldValue, fieldPath ? `${fieldPath}.${key}` : key, violations)
+    ));
+  }
+  
+  return value;
+}
+
+/**
+ * Normalise a document's timestamps before it is written
+ * Dates anywhere in the document become Timestamps, and the fields declared in the
+ * collection's timestampFields must end up as Timestamps (or null)
+ * @param {string} collection - Collection name
+ * @param {Object} data - Document data
+ * @returns {{data: Object, violations: Array<string>}} - Normalised data and timestamp problems found
+ */
+function normalizeTimestamps(collection, data) {
+  const violations = [];
+  const normalized = convertDates(data, '', violations);
+  const timestampFields = getCollectionConfig(collection)?.timestampFields || [];
+  
+  for (const field of timestampFields) {
+    const value = _.get(normalized, field);
+    if (value === undefined || value === null || value instanceof admin.firestore.Timestamp) {
+      continue;
+    }
+    
+    violations.push(`${field} would be written as ${typeof value} ${JSON.stringify(value)}`);
+  }
+  
+  return { data: normalized, violations };
 }
 
 /**
@@ -119,8 +352,11 @@ function createDocumentOperation(collection, docId, data) {
 
 module.exports = {
   initializeFirestore,
+  initializeAuth,
+  initializeStorage,
   getFirestore,
   writeDocument,
   writeBatch,
+  normalizeTimestamps,
   createDocumentOperation
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Resolves references to listings by their SQL id
+ * businesses, franchise and investors number their rows independently, so a bare type_id or
+ * post_id can match a listing in several tables. References are resolved with the discriminator
+ * columns of the source row (url_type, type_name) and every ambiguous reference is reported
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getListingKey, getListingCandidates } = require('./uuid-mapper');
+
+// Listing tables with the listing type of their rows and the column holding the listing name
+const LISTING_TABLES = {
+  businesses: { type: 'business', nameField: 'company_name' },
+  franchise: { type: 'franchise', nameField: 'brand_name' },
+  investors: { type: 'investor', nameField: 'full_name' }
+};
+
+// Values of the discriminator columns naming a listing type
+const TYPE_ALIASES = {
+  business: 'business',
+  businesses: 'business',
+  franchise: 'franchise',
+  franchises: 'franchise',
+  investor: 'investor',
+  investors: 'investor',
+  startup: 'startup',
+  startups: 'startup',
+  digital_asset: 'digital_asset',
+  digital_assets: 'digital_asset',
+  'digital-asset': 'digital_asset'
+};
+
+// Number of ambiguous references logged per collection field (the report file lists all of them)
+const SAMPLE_SIZE = 10;
+
+// Ambiguous references: { collection, field, sourceId, listingId, candidates, resolvedAs }
+const collisions = [];
+
+/**
+ * Get the listing type named by a discriminator value
+ * @param {string} value - url_type or type_name value
+ * @returns {string|null} - Listing type, or null if the value does not name one
+ */
+function normalizeListingType(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  return TYPE_ALIASES[value.trim().toLowerCase()] || null;
+}
+
+/**
+ * Normalize a listing name for comparison
+ * @param {string} value - Listing name
+ * @returns {string} - Trimmed lower case name
+ */
+function normalizeName(value) {
+  return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+}
+
+/**
+ * Create a resolver for listing references
+ * @param {Object} tables - Source tables; the listing tables among them are used to match listing names
+ * @returns {Function} - resolve(listingId, hints, reference) returning the listing UUID or null, where
+ *   hints holds the urlType and typeName of the row and reference its collection, field and sourceId
+ */
+function createListingResolver(tables = {}) {
+  // Listing names by listing key
+  const names = {};
+  for (const [table, { type, nameField }] of Object.entries(LISTING_TABLES)) {
+    for (const row of tables[table] || []) {
+      names[getListingKey(type, row.id)] = normalizeName(row[nameField]);
+    }
+  }
+
+  return function resolve(listingId, hints = {}, reference = {}) {
+    const candidates = getListingCandidates(listingId);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // url_type (or a type_name holding a type) says which table the id belongs to
+    const type = normalizeListingType(hints.urlType) || normalizeListingType(hints.typeName);
+    if (type) {
+      const candidate = candidates.find(entry => entry.type === type);
+      return candidate ? candidate.uuid : null;
+    }
+
+    if (candidates.length === 1) {
+      return candidates[0].uuid;
+    }
+
+    // Otherwise type_name may hold the name of the listing
+    const name = normalizeName(hints.typeName);
+    const matches = name ? candidates.filter(entry => names[entry.key] === name) : [];
+    const resolved = matches.length === 1 ? matches[0] : null;
+
+    collisions.push({
+      collection: reference.collection || null,
+      field: reference.field || null,
+      sourceId: reference.sourceId ?? null,
+      listingId: String(listingId),
+      candidates: candidates.map(entry => entry.key),
+      resolvedAs: resolved ? resolved.key : null
+    });
+
+    return resolved ? resolved.uuid : null;
+  };
+}
+
+/**
+ * Get the ambiguous listing references encountered so far
+ * @returns {Array<Object>} - Ambiguous references
+ */
+function getListingCollisions() {
+  return collisions;
+}
+
+/**
+ * Log the ambiguous listing references and write all of them to a report file
+ * @param {string} reportPath - Path of the JSON report (not written when there are no collisions)
+ */
+function logListingCollisionReport(reportPath = null) {
+  if (collisions.length === 0) {
+    logger.info('Listing references: no ambiguous listing ids found');
+    return;
+  }
+
+  const groups = {};
+  for (const collision of collisions) {
+    const name = `${collision.collection}.${collision.field}`;
+    (groups[name] = groups[name] || []).push(collision);
+  }
+
+  logger.info('Listing reference report (ids used by several listing tables)');
+  for (const [name, entries] of Object.entries(groups)) {
+    const unresolved = entries.filter(entry => !entry.resolvedAs);
+    const samples = entries.slice(0, SAMPLE_SIZE)
+      .map(entry => `${entry.sourceId} -> ${entry.resolvedAs || `${entry.candidates.join('|')} (unresolved)`}`);
+    const more = entries.length > samples.length ? ', ...' : '';
+    logger.warn(`  ${name}: ${entries.length} ambiguous, ${unresolved.length} unresolved (${samples.join(', ')}${more})`);
+  }
+
+  if (reportPath) {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), collisions }, null, 2));
+    logger.info(`Listing collision report written to ${reportPath}`);
+  }
+}
+
+module.exports = {
+  LISTING_TABLES,
+  normalizeListingType,
+  createListingResolver,
+  getListingCollisions,
+  logListingCollisionReport
+};
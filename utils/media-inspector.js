@@ -0,0 +1,159 @@
+/**
+ * Inspection of legacy media files
+ * Reads the type of a file from its content (its extension only when the content has no known
+ * signature) and the dimensions of images from their headers
+ */
+const path = require('path');
+
+// Content signatures of the file types found in the legacy uploads
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', matches: (buffer) => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { mimeType: 'image/png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)) },
+  { mimeType: 'image/webp', matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+  { mimeType: 'application/pdf', matches: (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-' },
+  { mimeType: 'video/mp4', matches: (buffer) => buffer.toString('latin1', 4, 8) === 'ftyp' }
+];
+
+// Types by extension, for files without a known signature (office documents, text, other videos)
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.txt': 'text/plain',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.wmv': 'video/x-ms-wmv'
+};
+
+// JPEG start-of-frame markers (they carry the image dimensions)
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+/**
+ * Read the dimensions of a JPEG image from its first start-of-frame segment
+ * @param {Buffer} buffer - File content
+ * @returns {{width: number, height: number}|null} - Dimensions, or null if there is no frame header
+ */
+function readJpegSize(buffer) {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+/**
+ * Read the dimensions of a WebP image
+ * @param {Buffer} buffer - File content
+ * @returns {{width: number, height: number}|null} - Dimensions, or null if the header is unknown
+ */
+function readWebpSize(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Read the dimensions of an image
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - Image type (from its signature)
+ * @returns {{width: number, height: number}|null} - Dimensions, or null if the header cannot be read
+ */
+function readImageSize(buffer, mimeType) {
+  try {
+    switch (mimeType) {
+      case 'image/png':
+        return buffer.toString('latin1', 12, 16) === 'IHDR'
+          ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+          : null;
+      case 'image/gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case 'image/jpeg':
+        return readJpegSize(buffer);
+      case 'image/webp':
+        return readWebpSize(buffer);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated header
+    return null;
+  }
+}
+
+/**
+ * Inspect a media file
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - File name (for its extension)
+ * @returns {{mimeType: string, size: number, width: number|null, height: number|null, problem: string|null}} -
+ *   Type, size in bytes, image dimensions (null for other files) and why the file is corrupt (null if it is not)
+ */
+function inspectMedia(buffer, fileName) {
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  const extensionType = EXTENSION_TYPES[path.extname(fileName || '').toLowerCase()] || null;
+  const mimeType = signature ? signature.mimeType : (extensionType || 'application/octet-stream');
+  const result = { mimeType, size: buffer.length, width: null, height: null, problem: null };
+
+  if (buffer.length === 0) {
+    return { ...result, problem: 'empty file' };
+  }
+
+  if (!signature && extensionType && extensionType.startsWith('image/')) {
+    return { ...result, problem: `not a valid ${extensionType.slice('image/'.length)} image` };
+  }
+
+  if (mimeType.startsWith('image/')) {
+    const dimensions = readImageSize(buffer, mimeType);
+    if (!dimensions || dimensions.width === 0 || dimensions.height === 0) {
+      return { ...result, problem: 'unreadable image header' };
+    }
+    return { ...result, ...dimensions };
+  }
+
+  return result;
+}
+
+module.exports = {
+  readImageSize,
+  inspectMedia
+};
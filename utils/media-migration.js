@@ -0,0 +1,226 @@
+/**
+ * Migration of legacy media files into Cloud Storage
+ * The transformers keep the legacy URL of every image and file and record the Storage path it
+ * belongs at. This step reads each file from the legacy uploads directory, uploads it to that
+ * path and fills in its size, type and image dimensions; files that are missing or corrupt are
+ * reported and their documents left as they are
+ */
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { FieldPath } = require('firebase-admin/firestore');
+const logger = require('./logger');
+const { inspectMedia } = require('./media-inspector');
+const { hashDocument } = require('./write-modes');
+const { getCollectionConfig } = require('../config/mapping-config');
+const { MEDIA, WRITE_MODE } = require('../config/migration-config');
+
+/**
+ * Find the local file of a legacy media URL
+ * @param {string} url - Legacy URL or upload path
+ * @param {string} uploadsDir - Legacy uploads directory
+ * @param {Array<string>} prefixes - Leading path segments the uploads directory stands for
+ * @returns {string|null} - Absolute file path, or null if the URL names no file inside the directory
+ */
+function resolveLegacyFile(url, uploadsDir, prefixes = MEDIA.LEGACY_PREFIXES) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  let relativePath = url.trim();
+  try {
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(relativePath)) {
+      relativePath = new URL(relativePath).pathname;
+    }
+    relativePath = decodeURIComponent(relativePath.split(/[?#]/)[0]);
+  } catch (error) {
+    return null;
+  }
+
+  relativePath = relativePath.replace(/^\/+/, '');
+  const prefix = prefixes.find(candidate => relativePath.startsWith(candidate));
+  if (prefix) {
+    relativePath = relativePath.slice(prefix.length);
+  }
+
+  // Paths may not leave the uploads directory
+  const root = path.resolve(uploadsDir);
+  const filePath = path.resolve(root, relativePath);
+  return relativePath && filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Migrate the file of one media entry
+ * @param {Object} entry - Media entry of a document (url, path and metadata)
+ * @param {Object} context - Document, bucket and report
+ * @returns {Promise<Object|null>} - The entry with its file metadata, or null if it stays as it is
+ */
+async function migrateEntry(entry, context) {
+  const { bucket, uploadsDir, dryRun, report, reference } = context;
+  const filePath = resolveLegacyFile(entry.url, uploadsDir);
+  const problem = (list, reason) => {
+    report[list].push({ ...reference, url: entry.url, path: entry.path, file: filePath, reason });
+    return null;
+  };
+
+  if (!filePath) {
+    return problem('missing', 'URL names no file in the uploads directory');
+  }
+
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(filePath);
+  } catch (error) {
+    return problem('missing', error.code === 'ENOENT' ? 'file not found' : error.message);
+  }
+
+  const media = inspectMedia(buffer, filePath);
+  if (media.problem) {
+    return problem('corrupt', media.problem);
+  }
+
+  if (!dryRun) {
+    try {
+      await bucket.file(entry.path).save(buffer, {
+        resumable: false,
+        contentType: media.mimeType,
+        metadata: { metadata: { legacyUrl: entry.url } }
+      });
+    } catch (error) {
+      return problem('failed', error.message);
+    }
+  }
+
+  report.uploaded++;
+  report.bytes += media.size;
+
+  return {
+    ...entry,
+    size: media.size,
+    mimeType: media.mimeType,
+    ...(media.width !== null && { width: media.width, height: media.height })
+  };
+}
+
+/**
+ * Add the content hash of the updated document to its media updates
+ * Documents the app has not changed since they were migrated keep a hash that matches their
+ * content, so 'update-if-unchanged-since-migration' runs still update them; documents the app
+ * has changed keep their stale hash
+ * @param {string} collectionName - Collection name
+ * @param {Object} data - Stored document data
+ * @param {Object} updates - Updated media fields by dot path
+ * @returns {Object} - The updates, with WRITE_MODE.HASH_FIELD when the stored hash was current
+ */
+function withMigrationHash(collectionName, data, updates) {
+  const storedHash = data[WRITE_MODE.HASH_FIELD];
+  if (!storedHash || hashDocument(collectionName, data) !== storedHash) {
+    return updates;
+  }
+
+  // Copies along the updated paths only, the rest of the stored data is shared
+  const updated = { ...data };
+  for (const [field, value] of Object.entries(updates)) {
+    const keys = field.split('.');
+    let target = updated;
+    for (const key of keys.slice(0, -1)) {
+      target[key] = { ...target[key] };
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+
+  return { ...updates, [WRITE_MODE.HASH_FIELD]: hashDocument(collectionName, updated) };
+}
+
+/**
+ * Migrate the media files of the documents of one collection
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} collectionName - Collection name (a key of MEDIA.FIELDS)
+ * @param {Object} context - Bucket, uploads directory, dry run flag and report
+ * @returns {Promise<void>}
+ */
+async function migrateCollectionMedia(db, collectionName, context) {
+  const fields = MEDIA.FIELDS[collectionName] || [];
+  const collection = db.collection(getCollectionConfig(collectionName).collection);
+  let lastDoc = null;
+
+  logger.info(`Migrating media of ${collectionName} (${fields.join(', ')})`);
+
+  // Pages ordered by document id, so large collections are never read at once
+  for (;;) {
+    let query = collection.orderBy(FieldPath.documentId()).limit(MEDIA.PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      const updates = {};
+
+      for (const field of fields) {
+        const value = _.get(data, field);
+        const entries = (Array.isArray(value) ? value : [value]).filter(entry => entry && entry.url && entry.path);
+        if (entries.length === 0) {
+          continue;
+        }
+
+        context.report.files += entries.length;
+        const reference = { collection: collectionName, docId: doc.id, field };
+        const migrated = [];
+        for (const entry of entries) {
+          migrated.push(await migrateEntry(entry, { ...context, reference }));
+        }
+
+        if (migrated.some(Boolean)) {
+          updates[field] = Array.isArray(value)
+            ? value.map(entry => migrated[entries.indexOf(entry)] || entry)
+            : migrated[0];
+        }
+      }
+
+      if (Object.keys(updates).length > 0) {
+        context.report.documents++;
+        if (!context.dryRun) {
+          await doc.ref.update(withMigrationHash(collectionName, data, updates));
+        }
+      }
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Migrate the media files of migrated documents into Cloud Storage
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {import('@google-cloud/storage').Bucket} bucket - Bucket to upload to (unused in dry runs)
+ * @param {Object} options - Options
+ * @param {Array<string>} options.collections - Collections to migrate the media of (all of MEDIA.FIELDS by default)
+ * @param {string} options.uploadsDir - Legacy uploads directory
+ * @param {boolean} options.dryRun - Inspect the files without uploading them or updating documents
+ * @returns {Promise<Object>} - Report: counts, and the missing, corrupt and failed files
+ */
+async function migrateMedia(db, bucket, options = {}) {
+  const { collections = Object.keys(MEDIA.FIELDS), uploadsDir, dryRun = false } = options;
+  const report = { files: 0, uploaded: 0, bytes: 0, documents: 0, missing: [], corrupt: [], failed: [] };
+
+  for (const collectionName of collections) {
+    if (!MEDIA.FIELDS[collectionName]) {
+      throw new Error(`Collection ${collectionName} has no media fields`);
+    }
+    await migrateCollectionMedia(db, collectionName, { bucket, uploadsDir, dryRun, report });
+  }
+
+  return report;
+}
+
+module.exports = {
+  resolveLegacyFile,
+  migrateMedia
+};
@@ -0,0 +1,52 @@
+/**
+ * Assembles the SQL tables each collection migration needs
+ */
+const logger = require('./logger');
+const { applyTableDatePolicy } = require('./date-policy');
+
+/**
+ * Prepare the required tables of a collection for its migration
+ * @param {string} collectionName - Collection name
+ * @param {Object} config - Collection configuration
+ * @param {Object} context - Source context
+ * @param {Object} context.source - Data source (see utils/data-source)
+ * @param {Object} context.tablesData - Tables already loaded into memory
+ * @param {Array<string>} context.streamedTables - Tables left in the source for streaming
+ * @returns {Promise<Object>} - Rows (arrays, or async iterables for streamed primary and scanned tables) by table,
+ *   related tables with the date policy applied (processBatch applies it to the rows it migrates)
+ */
+async function loadMigrationData(collectionName, config, context) {
+  const { source, tablesData, streamedTables = [] } = context;
+  const requiredTables = config.requiredTables || [];
+  const migratedTables = config.sourceTables || [config.primaryTable];
+  const migrationData = {};
+
+  for (const table of requiredTables) {
+    if (streamedTables.includes(table)) {
+      if (table === config.primaryTable || (config.scannedTables || []).includes(table)) {
+        // Rows go straight from the source into processBatch, or into the migration's single pass
+        migrationData[table] = source.streamTable(table);
+      } else {
+        // Related tables are looked up by row, so they have to be materialised
+        logger.warn(`Loading streamed table "${table}" into memory for ${collectionName}`);
+        const streamedData = await source.loadTables({ tables: [table] });
+        migrationData[table] = streamedData[table] || [];
+      }
+    } else if (!tablesData[table]) {
+      logger.warn(`Required table "${table}" not found in SQL data`);
+      migrationData[table] = [];
+    } else {
+      migrationData[table] = tablesData[table];
+    }
+
+    if (!migratedTables.includes(table)) {
+      migrationData[table] = applyTableDatePolicy(migrationData[table], collectionName, table);
+    }
+  }
+
+  return migrationData;
+}
+
+module.exports = {
+  loadMigrationData
+};
@@ -0,0 +1,146 @@
+/**
+ * Dependency graph of collection migrations
+ * Orders collections by their dependsOn declarations and runs independent ones concurrently
+ */
+const { getCollectionConfig } = require('../config/mapping-config');
+
+/**
+ * Get the collections a collection depends on
+ * @param {string} collection - Collection name
+ * @returns {Array<string>} - Collections that must be migrated first
+ */
+function getDependencies(collection) {
+  const config = getCollectionConfig(collection);
+  if (!config) {
+    throw new Error(`Unknown collection: ${collection}`);
+  }
+
+  return config.dependsOn || [];
+}
+
+/**
+ * Add the transitive dependencies of the requested collections
+ * @param {Array<string>} collections - Requested collections
+ * @param {Object} options - Options
+ * @param {Function} options.isSatisfied - Returns true for a dependency that does not need to run
+ *   (e.g. its mappings were persisted by a previous run); its own dependencies are not followed
+ * @returns {Array<string>} - Requested collections and the dependencies that have to run with them
+ */
+function collectDependencies(collections, options = {}) {
+  const { isSatisfied = () => false } = options;
+  const selected = [];
+
+  const visit = (collection, requested) => {
+    if (selected.includes(collection) || (!requested && isSatisfied(collection))) {
+      return;
+    }
+
+    selected.push(collection);
+    getDependencies(collection).forEach(dependency => visit(dependency, false));
+  };
+
+  collections.forEach(collection => visit(collection, true));
+  return selected;
+}
+
+/**
+ * Sort collections so every collection comes after its dependencies
+ * Dependencies outside the given collections are treated as already migrated
+ * @param {Array<string>} collections - Collections to sort
+ * @returns {Array<string>} - Collections in dependency order
+ * @throws {Error} - If the dependencies contain a cycle
+ */
+function sortByDependencies(collections) {
+  const sorted = [];
+  const state = {}; // 'visiting' while on the current path, 'done' once sorted
+
+  const visit = (collection, path) => {
+    if (state[collection] === 'done') {
+      return;
+    }
+
+    if (state[collection] === 'visiting') {
+      const cycle = [...path.slice(path.indexOf(collection)), collection];
+      throw new Error(`Dependency cycle between collections: ${cycle.join(' -> ')}`);
+    }
+
+    state[collection] = 'visiting';
+    for (const dependency of getDependencies(collection)) {
+      if (collections.includes(dependency)) {
+        visit(dependency, [...path, collection]);
+      }
+    }
+
+    state[collection] = 'done';
+    sorted.push(collection);
+  };
+
+  collections.forEach(collection => visit(collection, []));
+  return sorted;
+}
+
+/**
+ * Run collection migrations in dependency order, running independent collections concurrently
+ * A collection only starts once all of its dependencies completed; if one did not, it is skipped
+ * @param {Array<string>} collections - Collections to migrate
+ * @param {Function} runCollection - Migrates one collection and resolves to 'completed', 'skipped' or 'failed'
+ * @param {Object} options - Scheduling options
+ * @param {number} options.concurrency - Maximum number of collections migrated at once
+ * @param {Function} options.onSkip - Called with the collection and the dependency that did not complete
+ * @returns {Promise<Object>} - Status of every collection
+ */
+async function runInDependencyOrder(collections, runCollection, options = {}) {
+  const { concurrency = 1, onSkip = null } = options;
+  const order = sortByDependencies(collections);
+  const pending = new Set(order);
+  const running = new Map();
+  const statuses = {};
+
+  while (pending.size > 0 || running.size > 0) {
+    for (const collection of order) {
+      if (!pending.has(collection) || running.size >= concurrency) {
+        continue;
+      }
+
+      const dependencies = getDependencies(collection).filter(dependency => collections.includes(dependency));
+      if (dependencies.some(dependency => pending.has(dependency) || running.has(dependency))) {
+        continue;
+      }
+
+      pending.delete(collection);
+
+      const incomplete = dependencies.find(dependency => statuses[dependency] !== 'completed');
+      if (incomplete) {
+        statuses[collection] = 'skipped';
+        if (onSkip) {
+          onSkip(collection, incomplete);
+        }
+        continue;
+      }
+
+      const task = Promise.resolve()
+        .then(() => runCollection(collection))
+        .then(status => {
+          statuses[collection] = status;
+        }, () => {
+          statuses[collection] = 'failed';
+        })
+        .finally(() => running.delete(collection));
+
+      running.set(collection, task);
+    }
+
+    if (running.size > 0) {
+      await Promise.race(running.values());
+    }
+  }
+
+  return statuses;
+}
+
+module.exports = {
+  getDependencies,
+  collectDependencies,
+  sortByDependencies,
+  runInDependencyOrder
+};
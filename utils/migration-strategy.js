@@ -4,7 +4,8 @@
  */
 const MigrationTransformer = require('./migration-transformer');
 const ValidationConfig = require('./migration-validation-config');
-const { getOrCreateUUID, getUUID, mapIdsToUUIDs } = require('./uuid-mapper');
+const { getOrCreateUUID, getUUID, getListingKey, mapIdsToUUIDs } = require('./uuid-mapper');
+const { findRelated, filterRelated } = require('./related-index');
 const logger = require('./logger');
 
 /**
@@ -182,7 +183,7 @@ class MigrationStrategy {
       }
 
       // Generate UUID for the listing
-      const listingId = getOrCreateUUID('listings', listing.id);
+      const listingId = getOrCreateUUID('listings', getListingKey(type, listing.id));
 
       // Check required fields
       const requiredFields = ValidationConfig.VALIDATION_RULES.LISTINGS.REQUIRED_FIELDS[type] || [];
@@ -294,7 +295,7 @@ class MigrationStrategy {
       
       // Process business media if available in context
       const media = context.business_media || [];
-      const businessMedia = media.filter(item => item.business_id === business.id);
+      const businessMedia = filterRelated(media, 'business_id', business.id);
       
       // Default status
       const status = baseListing.status || 'active';
@@ -361,15 +362,15 @@ class MigrationStrategy {
         tags: [],
         
         // Premium/featured status
-        featured: business.is_premium === 1,
+        featured: MigrationTransformer.boolean(business.is_premium),
         
         // Display settings
         displaySettings: {
-          highlight: business.is_hot === 1,
-          badge: business.is_premium === 1 ? 'premium' : '',
+          highlight: MigrationTransformer.boolean(business.is_hot),
+          badge: MigrationTransformer.boolean(business.is_premium) ? 'premium' : '',
           pageOrder: business.page_order || 0,
           showContactInfo: true,
-          showAnalytics: business.is_premium === 1
+          showAnalytics: MigrationTransformer.boolean(business.is_premium)
         },
         
         // Business-specific details
@@ -513,11 +514,11 @@ class MigrationStrategy {
       
       // Process franchise media if available in context
       const media = context.franchise_media || [];
-      const franchiseMedia = media.filter(item => item.franchise_id === franchise.id);
+      const franchiseMedia = filterRelated(media, 'franchise_id', franchise.id);
       
       // Process franchise formats if available
       const formats = context.franchise_formats || [];
-      const franchiseFormats = formats.filter(format => format.franchise_id === franchise.id);
+      const franchiseFormats = filterRelated(formats, 'franchise_id', franchise.id);
       
       // Calculate investment range from formats
       let minInvestment = 0;
@@ -594,15 +595,15 @@ class MigrationStrategy {
         tags: [],
         
         // Premium/featured status
-        featured: franchise.is_premium === 1,
+        featured: MigrationTransformer.boolean(franchise.is_premium),
         
         // Display settings
         displaySettings: {
-          highlight: franchise.is_hot === 1,
-          badge: franchise.is_premium === 1 ? 'premium' : '',
+          highlight: MigrationTransformer.boolean(franchise.is_hot),
+          badge: MigrationTransformer.boolean(franchise.is_premium) ? 'premium' : '',
           pageOrder: franchise.page_order || 0,
           showContactInfo: true,
-          showAnalytics: franchise.is_premium === 1
+          showAnalytics: MigrationTransformer.boolean(franchise.is_premium)
         },
         
         // Franchise-specific details
@@ -634,10 +635,10 @@ class MigrationStrategy {
           terms: {
             contractDuration: {
               years: MigrationTransformer.number(franchise.term_duration_year, { defaultValue: 0 }),
-              renewalOption: franchise.is_term_renewable === 1
+              renewalOption: MigrationTransformer.boolean(franchise.is_term_renewable)
             },
             renewalTerms: {
-              available: franchise.is_term_renewable === 1
+              available: MigrationTransformer.boolean(franchise.is_term_renewable)
             },
             spaceRequirement: {
               minArea: franchiseFormats.length > 0 
@@ -715,14 +716,13 @@ class MigrationStrategy {
       const city = cityId && cityMap[cityId] ? cityMap[cityId] : null;
       
       // Process investor sub-industries
-      const investorSubIndustries = investor_sub_industries
-        .filter(item => item.investor_id === investor.id)
+      const investorSubIndustries = filterRelated(investor_sub_industries, 'investor_id', investor.id)
         .map(item => item.sub_industry_id)
         .filter(Boolean);
       
       // Get sub-industry data and corresponding industry IDs
       const subIndustryEntities = investorSubIndustries
-        .map(id => sub_industries.find(si => si.id === id))
+        .map(id => findRelated(sub_industries, 'id', id))
         .filter(Boolean);
       
       const industryIds = [...new Set(subIndustryEntities
@@ -730,8 +730,7 @@ class MigrationStrategy {
         .filter(Boolean))];
       
       // Process investor location preferences
-      const investorLocations = investor_location_preference
-        .filter(item => item.investor_id === investor.id)
+      const investorLocations = filterRelated(investor_location_preference, 'investor_id', investor.id)
         .map(item => {
           const locationCity = cityMap[item.city_id];
           return locationCity ? locationCity.name : '';
@@ -805,15 +804,15 @@ class MigrationStrategy {
         tags: [],
         
         // Premium/featured status
-        featured: investor.is_premium === 1,
+        featured: MigrationTransformer.boolean(investor.is_premium),
         
         // Display settings
         displaySettings: {
-          highlight: investor.is_hot === 1,
-          badge: investor.is_premium === 1 ? 'premium' : '',
+          highlight: MigrationTransformer.boolean(investor.is_hot),
+          badge: MigrationTransformer.boolean(investor.is_premium) ? 'premium' : '',
           pageOrder: investor.page_order || 0,
           showContactInfo: true,
-          showAnalytics: investor.is_premium === 1
+          showAnalytics: MigrationTransformer.boolean(investor.is_premium)
         },
         
         // Investor-specific details
@@ -903,7 +902,7 @@ class MigrationStrategy {
       const userId = getOrCreateUUID('users', user.id);
       
       // Find user's login history
-      const userLoginHistory = login_history.filter(log => log.user_id === user.id);
+      const userLoginHistory = filterRelated(login_history, 'user_id', user.id);
       
       // Get last login timestamp
       let lastLogin = null;
@@ -915,12 +914,12 @@ class MigrationStrategy {
       }
       
       // Find user's subscription plans
-      const userSubscriptionPlans = user_plans.filter(plan => plan.user_id === user.id);
+      const userSubscriptionPlans = filterRelated(user_plans, 'user_id', user.id);
       
       // Determine current plan if any
       let currentPlan = null;
       if (userSubscriptionPlans.length > 0) {
-        const activePlans = userSubscriptionPlans.filter(plan => plan.status === 1);
+        const activePlans = userSubscriptionPlans.filter(plan => MigrationTransformer.boolean(plan.status));
         if (activePlans.length > 0) {
           const mostRecentPlan = activePlans.sort((a, b) => {
             return new Date(b.plan_activate_date) - new Date(a.plan_activate_date);
@@ -929,7 +928,7 @@ class MigrationStrategy {
           currentPlan = {
             id: getUUID('plans', mostRecentPlan.plan_id),
             startDate: MigrationTransformer.date(mostRecentPlan.plan_activate_date),
-            status: mostRecentPlan.status === 1 ? 'active' : 'expired'
+            status: MigrationTransformer.boolean(mostRecentPlan.status) ? 'active' : 'expired'
           };
         }
       }
@@ -954,9 +953,9 @@ class MigrationStrategy {
         // Auth Info
         uid: userId,
         email: MigrationTransformer.email(user.email),
-        emailVerified: user.is_email_verified === 1,
+        emailVerified: MigrationTransformer.boolean(user.is_email_verified),
         phoneNumber: MigrationTransformer.phone(user.mobile),
-        phoneVerified: user.is_mobile_verified === 1,
+        phoneVerified: MigrationTransformer.boolean(user.is_mobile_verified),
         
         // Profile
         displayName: MigrationTransformer.text(
@@ -983,7 +982,7 @@ class MigrationStrategy {
         // Account status
         status: status,
         lastLogin: MigrationTransformer.date(lastLogin || user.joining_date) || new Date(),
-        accountCompleteness: user.signup_complete === 1 ? 100 : 50,
+        accountCompleteness: MigrationTransformer.boolean(user.signup_complete) ? 100 : 50,
         
         // Role & permissions
         role: userRole,
@@ -995,10 +994,10 @@ class MigrationStrategy {
         // Timestamps
         createdAt: MigrationTransformer.date(user.joining_date) || new Date(),
         updatedAt: MigrationTransformer.date(user.activate_date || user.joining_date) || new Date(),
-        emailVerifiedAt: user.is_email_verified === 1 
+        emailVerifiedAt: MigrationTransformer.boolean(user.is_email_verified) 
           ? MigrationTransformer.date(user.activate_date || user.joining_date)
           : null,
-        phoneVerifiedAt: user.is_mobile_verified === 1 
+        phoneVerifiedAt: MigrationTransformer.boolean(user.is_mobile_verified) 
           ? MigrationTransformer.date(user.activate_date || user.joining_date)
           : null,
         suspendedAt: user.block_date 
@@ -1026,8 +1025,7 @@ class MigrationStrategy {
       const planId = getOrCreateUUID('plans', plan.id);
       
       // Find plan features
-      const features = plan_features
-        .filter(feature => feature.plan_id === plan.id)
+      const features = filterRelated(plan_features, 'plan_id', plan.id)
         .map(feature => feature.features_name)
         .filter(Boolean);
       
@@ -1104,7 +1102,7 @@ class MigrationStrategy {
         
         // Availability
         availability: {
-          isPublic: plan.status === 1
+          isPublic: MigrationTransformer.boolean(plan.status)
         },
         
         // Permissions
@@ -1112,7 +1110,7 @@ class MigrationStrategy {
           canMessage: plan.send_limit > 0,
           canExport: planType === 'premium',
           canAccessAdvancedSearch: planType !== 'free',
-          showAnalytics: plan.show_stats === 1,
+          showAnalytics: MigrationTransformer.boolean(plan.show_stats),
           hideAds: planType === 'premium',
           priority: {
             support: planType === 'premium',
@@ -1121,7 +1119,7 @@ class MigrationStrategy {
         },
         
         // Status
-        status: plan.status === 1,
+        status: MigrationTransformer.boolean(plan.status),
         
         // Timestamps
         createdAt: new Date(),
@@ -1226,6 +1224,69 @@ class MigrationStrategy {
         }
       }
       
+      return {
+        isValid: errors.length === 0,
+        errors
+      };
+    },
+
+    /**
+     * Validate notification (inbox row) against schema
+     * @param {Object} notification - Notification data
+     * @returns {Object} - Validation result
+     */
+    notification: (notification) => {
+      const requiredFields = ValidationConfig.VALIDATION_RULES.NOTIFICATIONS.REQUIRED_FIELDS;
+      const errors = [];
+      
+      for (const field of requiredFields) {
+        if (notification[field] === undefined || notification[field] === null || notification[field] === '') {
+          errors.push(`Required field '${field}' is missing`);
+        }
+      }
+      
+      return {
+        isValid: errors.length === 0,
+        errors
+      };
+    },
+
+    /**
+     * Validate activity (user_history or post_activities row) against schema
+     * @param {Object} activity - Activity data
+     * @returns {Object} - Validation result
+     */
+    activity: (activity) => {
+      const requiredFields = ValidationConfig.VALIDATION_RULES.ACTIVITIES.REQUIRED_FIELDS;
+      const errors = [];
+      
+      for (const field of requiredFields) {
+        if (activity[field] === undefined || activity[field] === null || activity[field] === '') {
+          errors.push(`Required field '${field}' is missing`);
+        }
+      }
+      
+      return {
+        isValid: errors.length === 0,
+        errors
+      };
+    },
+
+    /**
+     * Validate content page (articles row) against schema
+     * @param {Object} article - Article data
+     * @returns {Object} - Validation result
+     */
+    contentPage: (article) => {
+      const requiredFields = ValidationConfig.VALIDATION_RULES.CONTENT_PAGES.REQUIRED_FIELDS;
+      const errors = [];
+      
+      for (const field of requiredFields) {
+        if (article[field] === undefined || article[field] === null || article[field] === '') {
+          errors.push(`Required field '${field}' is missing`);
+        }
+      }
+      
       return {
         isValid: errors.length === 0,
         errors
@@ -1260,7 +1321,7 @@ class MigrationStrategy {
 
   /**
    * Map status string to standardized status
-   * @param {string|number} status - Status from SQL
+   * @param {string|number|boolean} status - Status from SQL
    * @returns {string} - Standardized status
    */
   static mapStatus(status) {
@@ -1272,6 +1333,10 @@ class MigrationStrategy {
       return status === 1 ? 'active' : 'inactive';
     }
 
+    if (typeof status === 'boolean') {
+      return status ? 'active' : 'inactive';
+    }
+
     const statusLower = String(status).toLowerCase();
     
     if (['active', 'enabled', '1'].includes(statusLower)) {
@@ -6,6 +6,7 @@ const moment = require('moment');
 const _ = require('lodash');
 const { v4: uuidv4, v5: uuidv5 } = require('uuid');
 const logger = require('./logger');
+const { isInvalidDate } = require('./date-policy');
 
 // UUID namespace for deterministic UUID generation
 const UUID_NAMESPACE = '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
@@ -169,8 +170,8 @@ class MigrationTransformer {
       allowNull = true
     } = options;
 
-    // Handle null/undefined
-    if (value === null || value === undefined) {
+    // Handle null/undefined and MySQL zero dates (see date-policy)
+    if (value === null || value === undefined || isInvalidDate(value)) {
       return allowNull ? null : defaultValue;
     }
 
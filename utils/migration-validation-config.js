@@ -89,21 +89,46 @@ const VALIDATION_RULES = {
     MESSAGES: {
       TYPES: ['text', 'image', 'document', 'system'],
       STATUS: ['sent', 'delivered', 'read', 'deleted']
+    },
+  
+    // Notification-specific validation (source inbox rows)
+    NOTIFICATIONS: {
+      REQUIRED_FIELDS: ['id', 'user_id'],
+      TYPES: ['message', 'system']
+    },
+  
+    // Activity-specific validation (source user_history / post_activities rows)
+    ACTIVITIES: {
+      REQUIRED_FIELDS: ['id', 'user_id']
+    },
+  
+    // Content page validation (source articles rows)
+    CONTENT_PAGES: {
+      REQUIRED_FIELDS: ['id', 'title'],
+      STATUS: ['published', 'draft']
     }
   };
   
   // SQL to Firestore type mappings
   const TYPE_MAPPINGS = {
     // SQL types to JavaScript types
+    // tinyint and bit are booleans only at width 1 (see sql-type-coercion)
     SQL_TO_JS: {
       tinyint: 'boolean',
+      bit: 'boolean',
+      smallint: 'number',
+      mediumint: 'number',
       int: 'number',
-      bigint: 'number',
+      integer: 'number',
+      bigint: 'bigint',
       float: 'number',
       double: 'number',
-      decimal: 'number',
+      real: 'number',
+      decimal: 'decimal',
+      numeric: 'decimal',
       varchar: 'string',
       char: 'string',
+      tinytext: 'string',
       text: 'string',
       mediumtext: 'string',
       longtext: 'string',
@@ -115,17 +140,22 @@ const VALIDATION_RULES = {
       enum: 'string',
       set: 'array',
       json: 'object',
-      blob: 'buffer'
+      binary: 'buffer',
+      varbinary: 'buffer',
+      tinyblob: 'buffer',
+      blob: 'buffer',
+      mediumblob: 'buffer',
+      longblob: 'buffer'
     },
   
     // SQL to Firestore field type mappings
     SQL_TO_FIRESTORE: {
       tinyint: 'boolean',
       int: 'number',
-      bigint: 'number',
+      bigint: 'string',
       float: 'number',
       double: 'number',
-      decimal: 'number',
+      decimal: 'string',
       varchar: 'string',
       char: 'string',
       text: 'string',
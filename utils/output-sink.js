@@ -0,0 +1,283 @@
+/**
+ * Output sinks for migrated documents
+ * processBatch hands every batch it commits to the active sink, which writes it to Firestore,
+ * the Firestore emulator, or a local directory with one JSON Lines file per collection
+ */
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+const logger = require('./logger');
+const { initializeFirestore, writeBatch } = require('./firestore-service');
+
+const SINK_TYPES = ['firestore', 'emulator', 'jsonl', 'ndjson'];
+
+// Sink used by processBatch
+let activeSink = null;
+
+/**
+ * Serialise a field value to JSON without losing Firestore types
+ * Timestamps, references, geopoints, bytes and non-finite numbers become tagged objects
+ * @param {any} value - Field value
+ * @returns {any} - JSON-compatible value
+ */
+function serializeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return serializeValue(admin.firestore.Timestamp.fromDate(value));
+  }
+
+  if (value instanceof admin.firestore.Timestamp) {
+    return { __type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+  }
+
+  if (value instanceof admin.firestore.DocumentReference) {
+    return { __type: 'reference', path: value.path };
+  }
+
+  if (value instanceof admin.firestore.GeoPoint) {
+    return { __type: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { __type: 'bytes', base64: Buffer.from(value).toString('base64') };
+  }
+
+  if (typeof value === 'bigint') {
+    return { __type: 'bigint', value: value.toString() };
+  }
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return { __type: 'number', value: String(value) };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(serializeValue);
+  }
+
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+      // Firestore does not store undefined fields either
+      if (fieldValue !== undefined) {
+        result[key] = serializeValue(fieldValue);
+      }
+    }
+
+    // A map that happens to have a __type key is tagged so it is not read back as a special type
+    return '__type' in value ? { __type: 'map', value: result } : result;
+  }
+
+  return value;
+}
+
+/**
+ * Restore a field value written by serializeValue
+ * @param {any} value - JSON value
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance for references (paths are kept without one)
+ * @returns {any} - Field value with Firestore types
+ */
+function deserializeValue(value, db = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => deserializeValue(item, db));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const restoreMap = (map) => Object.fromEntries(
+    Object.entries(map).map(([key, fieldValue]) => [key, deserializeValue(fieldValue, db)])
+  );
+
+  switch (value.__type) {
+    case 'timestamp':
+      return new admin.firestore.Timestamp(value.seconds, value.nanoseconds);
+    case 'reference':
+      return db ? db.doc(value.path) : value.path;
+    case 'geopoint':
+      return new admin.firestore.GeoPoint(value.latitude, value.longitude);
+    case 'bytes':
+      return Buffer.from(value.base64, 'base64');
+    case 'bigint':
+      return BigInt(value.value);
+    case 'number':
+      return Number(value.value);
+    case 'map':
+      return restoreMap(value.value);
+    default:
+      return restoreMap(value);
+  }
+}
+
+/**
+ * Create a sink that writes batches to Firestore
+ * @param {Object} options - Sink options
+ * @param {Object} options.firestore - Connection settings passed to initializeFirestore
+ * @param {string} options.writeMode - Write mode for every collection (defaults to the configured modes)
+ * @returns {Object} - Output sink
+ */
+function createFirestoreSink(options = {}) {
+  const db = initializeFirestore(options.firestore);
+
+  return {
+    type: 'firestore',
+    db,
+    write: (operations) => writeBatch(operations, { writeMode: options.writeMode }),
+    close: async () => {}
+  };
+}
+
+/**
+ * Create a sink that writes batches to the Firestore emulator
+ * @param {Object} options - Sink options
+ * @param {Object} options.firestore - Connection settings passed to initializeFirestore
+ * @param {string} options.firestore.emulatorHost - Emulator host and port (defaults to FIRESTORE_EMULATOR_HOST)
+ * @param {string} options.writeMode - Write mode for every collection (defaults to the configured modes)
+ * @returns {Object} - Output sink
+ * @throws {Error} - If no emulator host is known
+ */
+function createEmulatorSink(options = {}) {
+  const emulatorHost = options.firestore?.emulatorHost || process.env.FIRESTORE_EMULATOR_HOST;
+  if (!emulatorHost) {
+    throw new Error('The emulator sink needs an emulator host (set FIRESTORE_EMULATOR_HOST)');
+  }
+
+  return {
+    ...createFirestoreSink({ ...options, firestore: { ...options.firestore, emulatorHost } }),
+    type: 'emulator'
+  };
+}
+
+/**
+ * Create a sink that appends documents to one JSON Lines file per collection
+ * Each line is {"id": ..., "data": ...} with the data serialised by serializeValue, plus an "op"
+ * for the deletes of a delta sync
+ * @param {Object} options - Sink options
+ * @param {string} options.directory - Output directory
+ * @param {string} options.extension - File extension ('.jsonl' or '.ndjson')
+ * @param {boolean} options.append - Keep the files of a previous run (resumed runs)
+ * @returns {Object} - Output sink
+ */
+function createJsonLinesSink(options = {}) {
+  const { directory, extension = '.jsonl', append = false } = options;
+  if (!directory) {
+    throw new Error('The JSON Lines sink needs an output directory');
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Files started by this run, with the number of documents written to each
+  const counts = {};
+
+  const getFilePath = (collection) => path.join(directory, `${collection.replace(/\//g, '__')}${extension}`);
+
+  return {
+    type: extension.slice(1),
+    db: null,
+    write: async (operations) => {
+      const linesByCollection = {};
+      for (const { collection, docId, data, type } of operations) {
+        if (!linesByCollection[collection]) {
+          linesByCollection[collection] = [];
+        }
+
+        // Deletes from a delta sync are recorded as lines with an op ('delete' or 'soft-delete')
+        const line = type === 'delete' || type === 'soft-delete'
+          ? { id: docId, op: type, ...(data && { data: serializeValue(data) }) }
+          : { id: docId, data: serializeValue(data) };
+        linesByCollection[collection].push(JSON.stringify(line));
+      }
+
+      // Synchronous writes keep the lines of concurrent batches from interleaving
+      for (const [collection, lines] of Object.entries(linesByCollection)) {
+        const filePath = getFilePath(collection);
+        const content = `${lines.join('\n')}\n`;
+
+        if (counts[collection] === undefined && !append) {
+          fs.writeFileSync(filePath, content);
+        } else {
+          fs.appendFileSync(filePath, content);
+        }
+        counts[collection] = (counts[collection] || 0) + lines.length;
+      }
+
+      // Mirror Firestore write results so checkpoints record a write time
+      const writeTime = admin.firestore.Timestamp.now();
+      return operations.map(() => ({ writeTime }));
+    },
+    close: async () => {
+      for (const [collection, count] of Object.entries(counts)) {
+        logger.info(`Wrote ${count} ${collection} documents to ${getFilePath(collection)}`);
+      }
+    }
+  };
+}
+
+/**
+ * Create an output sink
+ * @param {string} type - Sink type ('firestore', 'emulator', 'jsonl' or 'ndjson')
+ * @param {Object} options - Sink options (see the create functions)
+ * @returns {Object} - Output sink with db, write(operations) and close()
+ * @throws {Error} - If the type is unknown
+ */
+function createOutputSink(type, options = {}) {
+  switch (type) {
+    case 'firestore':
+      return createFirestoreSink(options);
+    case 'emulator':
+      return createEmulatorSink(options);
+    case 'jsonl':
+    case 'ndjson':
+      return createJsonLinesSink({ ...options, extension: `.${type}` });
+    default:
+      throw new Error(`Unknown output sink "${type}", expected one of ${SINK_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Set the sink processBatch writes to
+ * @param {Object} sink - Output sink
+ */
+function setOutputSink(sink) {
+  activeSink = sink;
+}
+
+/**
+ * Get the sink processBatch writes to (Firestore unless another sink was set)
+ * @returns {Object} - Output sink
+ */
+function getOutputSink() {
+  if (!activeSink) {
+    activeSink = createFirestoreSink();
+  }
+  return activeSink;
+}
+
+/**
+ * Read the documents of a JSON Lines file written by the JSON Lines sink
+ * @param {string} filePath - Path of the file
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance for references (optional)
+ * @returns {Array<{id: string, data: Object, op: string}>} - Documents in the order they were written (op only for deletes)
+ */
+function readJsonLines(filePath, db = null) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const { id, data, op } = JSON.parse(line);
+      return { id, data: deserializeValue(data, db), ...(op && { op }) };
+    });
+}
+
+module.exports = {
+  SINK_TYPES,
+  serializeValue,
+  deserializeValue,
+  createOutputSink,
+  setOutputSink,
+  getOutputSink,
+  readJsonLines
+};
@@ -0,0 +1,219 @@
+/**
+ * Guards runs that write to a Firestore project
+ * Such runs print their plan first, need --confirm <project-id> for anything but the emulator and
+ * hold a lock file, so two migrations never write to the same project at once
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+const { getWriteMode } = require('./write-modes');
+const { getCollectionConfig } = require('../config/mapping-config');
+const { FILE_PATHS } = require('../config/migration-config');
+
+const LOCKS_DIR = path.resolve(__dirname, '../config', FILE_PATHS.LOCKS_DIR);
+
+// Lock file held by this process
+let heldLock = null;
+let exitHandlersInstalled = false;
+
+/**
+ * Describe the Firestore target of a run
+ * @param {Object} connection - Connection settings (from resolveConnection)
+ * @returns {string} - Project, database and how it is reached
+ */
+function describeTarget(connection) {
+  const { databaseId, emulatorHost, credentials } = connection.firestore;
+  const via = emulatorHost
+    ? `emulator at ${emulatorHost}`
+    : `service account ${credentials || path.resolve(__dirname, '../config', FILE_PATHS.SERVICE_ACCOUNT)}`;
+
+  return `project ${connection.project || '(unknown)'}, database ${databaseId}, ${via}`;
+}
+
+/**
+ * Plan the writes of a run
+ * Estimates are the source rows of each collection (capped by the limit); rows of streamed
+ * tables are not counted
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array<string>} collections - Collections migrated by the run
+ * @param {Object} context - Run context
+ * @param {Object} context.tablesData - Tables loaded into memory
+ * @param {Array<string>} context.streamedTables - Tables left in the source for streaming
+ * @param {string} context.writeMode - Write mode for every collection (defaults to the configured modes)
+ * @param {number} context.limit - Documents per collection
+ * @returns {Promise<Array<Object>>} - {collection, existingDocuments, estimatedWrites, writeMode} per collection
+ *   (existingDocuments is null when Firestore could not be read, so dry runs still go ahead offline)
+ */
+async function planRun(db, collections, context = {}) {
+  const { tablesData = {}, streamedTables = [], writeMode = null, limit = null } = context;
+  const plan = [];
+  let countError = null;
+
+  for (const collectionName of collections) {
+    const config = getCollectionConfig(collectionName);
+    const sourceTables = config.sourceTables || [config.primaryTable];
+
+    let estimatedWrites = null;
+    if (!sourceTables.some(table => streamedTables.includes(table))) {
+      const rows = sourceTables.reduce((sum, table) => sum + (tablesData[table] || []).length, 0);
+      estimatedWrites = limit ? Math.min(rows, limit) : rows;
+    }
+
+    // After the first failure the remaining counts are not attempted (each one would time out)
+    let existingDocuments = null;
+    if (!countError) {
+      try {
+        const snapshot = await db.collection(config.collection).count().get();
+        existingDocuments = snapshot.data().count;
+      } catch (error) {
+        countError = error;
+        logger.warn(`Could not count existing documents, they are reported as unknown: ${error.message}`);
+      }
+    }
+
+    plan.push({
+      collection: collectionName,
+      existingDocuments,
+      estimatedWrites,
+      writeMode: getWriteMode(collectionName, writeMode).mode
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Log the plan of a run
+ * @param {string} target - Description of the target (from describeTarget)
+ * @param {Array<Object>} plan - Plan (from planRun)
+ */
+function logRunPlan(target, plan) {
+  logger.info(`Run plan for ${target}`);
+  for (const { collection, existingDocuments, estimatedWrites, writeMode } of plan) {
+    const writes = estimatedWrites === null ? 'unknown (streamed)' : `~${estimatedWrites}`;
+    const existing = existingDocuments === null ? 'unknown' : existingDocuments;
+    logger.info(`  ${collection} - existing documents: ${existing}, estimated writes: ${writes}, write mode: ${writeMode}`);
+  }
+}
+
+/**
+ * Make sure a run against a real project was confirmed with its project id
+ * @param {Object} connection - Connection settings (from resolveConnection)
+ * @param {string} confirm - Value of --confirm
+ * @throws {Error} - If the project is unknown or was not confirmed
+ */
+function checkConfirmation(connection, confirm) {
+  if (connection.firestore.emulatorHost) {
+    return;
+  }
+
+  if (!connection.project) {
+    throw new Error('Cannot tell which project this run writes to, set it with --project');
+  }
+
+  if (confirm !== connection.project) {
+    throw new Error(`This run writes to project ${connection.project}, check the plan and rerun with --confirm ${connection.project}`);
+  }
+}
+
+/**
+ * Check whether a process is running on this host
+ * @param {number} pid - Process id
+ * @returns {boolean} - True if the process exists
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Take the lock of the target project for this process
+ * A lock left behind by a process that is no longer running on this host is taken over;
+ * locks held from other hosts have to be removed by hand
+ * @param {Object} connection - Connection settings (from resolveConnection)
+ * @param {Object} options - Options
+ * @param {string} options.directory - Directory of the lock files (FILE_PATHS.LOCKS_DIR by default)
+ * @throws {Error} - If another migration holds the lock
+ */
+function acquireLock(connection, options = {}) {
+  const { directory = LOCKS_DIR } = options;
+  const project = connection.project || 'unknown';
+  const lockPath = path.join(directory, `${project.replace(/[^\w.-]/g, '_')}.lock`);
+  const lock = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    project,
+    startedAt: new Date().toISOString(),
+    command: process.argv.slice(2).join(' ')
+  };
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  try {
+    fs.writeFileSync(lockPath, JSON.stringify(lock, null, 2), { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+
+    let holder = {};
+    try {
+      holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (readError) {
+      // An unreadable lock is treated as held
+    }
+
+    if (holder.hostname !== os.hostname() || isProcessRunning(holder.pid)) {
+      throw new Error(`Another migration (pid ${holder.pid} on ${holder.hostname}, started ${holder.startedAt}) ` +
+        `is running against project ${project}. Remove ${lockPath} if it is no longer running`);
+    }
+
+    logger.warn(`Taking over the lock of project ${project} left by pid ${holder.pid}, which is no longer running`);
+    fs.unlinkSync(lockPath);
+    fs.writeFileSync(lockPath, JSON.stringify(lock, null, 2), { flag: 'wx' });
+  }
+
+  heldLock = lockPath;
+  logger.info(`Locked project ${project} (${lockPath})`);
+
+  // The lock goes away however the process ends
+  if (!exitHandlersInstalled) {
+    process.on('exit', releaseLock);
+    process.once('SIGINT', () => process.exit(130));
+    process.once('SIGTERM', () => process.exit(143));
+    exitHandlersInstalled = true;
+  }
+}
+
+/**
+ * Release the lock held by this process
+ */
+function releaseLock() {
+  if (!heldLock) {
+    return;
+  }
+
+  try {
+    const holder = JSON.parse(fs.readFileSync(heldLock, 'utf8'));
+    if (holder.pid === process.pid) {
+      fs.unlinkSync(heldLock);
+    }
+  } catch (error) {
+    // Already removed
+  }
+  heldLock = null;
+}
+
+module.exports = {
+  describeTarget,
+  planRun,
+  logRunPlan,
+  checkConfirmation,
+  acquireLock,
+  releaseLock
+};
@@ -0,0 +1,215 @@
+/**
+ * Referential integrity checks for source rows
+ * Every many-to-one foreign key declared in RELATIONSHIPS is resolved against the UUID
+ * mapping store before a row is transformed; orphans are counted per relationship and
+ * handled by the relationship's orphan policy
+ */
+const _ = require('lodash');
+const logger = require('./logger');
+const { getUUID, getListingCandidates } = require('./uuid-mapper');
+const { RELATIONSHIPS, ORPHAN_POLICY } = require('../config/migration-config');
+
+const POLICIES = ['drop', 'null', 'tombstone', 'abort'];
+
+// Number of orphaned source ids kept per relationship for the report
+const SAMPLE_SIZE = 10;
+
+// Checked foreign keys by collection
+const foreignKeysCache = {};
+
+// Orphans: { collection: { relationship: { target, foreignKey, policy, count, sampleIds } } }
+const orphans = {};
+
+/**
+ * Get the checked foreign keys of a collection
+ * @param {string} collection - Collection name
+ * @returns {Array<Object>} - Foreign keys (name, target, foreignKey, field, policy)
+ * @throws {Error} - If a relationship has an unknown policy or a tombstone policy without a field
+ */
+function getForeignKeys(collection) {
+  if (foreignKeysCache[collection]) {
+    return foreignKeysCache[collection];
+  }
+
+  const foreignKeys = Object.entries(RELATIONSHIPS[collection] || {})
+    .filter(([, relationship]) => relationship.type === 'many-to-one' && relationship.foreignKey)
+    .map(([name, relationship]) => {
+      const policy = relationship.onOrphan || ORPHAN_POLICY.DEFAULT;
+
+      if (!POLICIES.includes(policy)) {
+        throw new Error(`Unknown orphan policy "${policy}" for ${collection}.${name}`);
+      }
+      if (policy === 'tombstone' && !relationship.field) {
+        throw new Error(`Relationship ${collection}.${name} needs a field for the tombstone policy`);
+      }
+
+      return {
+        name,
+        target: relationship.collection || name,
+        foreignKey: relationship.foreignKey,
+        field: relationship.field || null,
+        policy
+      };
+    });
+
+  foreignKeysCache[collection] = foreignKeys;
+  return foreignKeys;
+}
+
+/**
+ * Check whether a foreign key value references nothing (legacy rows use 0 for "none")
+ * @param {any} value - Foreign key value
+ * @returns {boolean} - True if the value is not a reference
+ */
+function isEmptyReference(value) {
+  return value === null || value === undefined || value === '' || Number(value) === 0;
+}
+
+/**
+ * Check whether a foreign key value references a mapped row
+ * Listing ids are shared by several listing tables; which one a row means is decided by
+ * utils/listing-references, so any listing with the id counts here
+ * @param {string} target - Referenced collection
+ * @param {any} value - Foreign key value
+ * @returns {boolean} - True if the referenced row is mapped
+ */
+function isMappedReference(target, value) {
+  if (target === 'listings') {
+    return getListingCandidates(value).length > 0;
+  }
+  return Boolean(getUUID(target, value));
+}
+
+/**
+ * Count an orphaned foreign key
+ * @param {string} collection - Collection name
+ * @param {Object} foreignKey - Checked foreign key
+ * @param {any} sourceId - SQL id of the orphaned row
+ */
+function recordOrphan(collection, foreignKey, sourceId) {
+  if (!orphans[collection]) {
+    orphans[collection] = {};
+  }
+  if (!orphans[collection][foreignKey.name]) {
+    orphans[collection][foreignKey.name] = {
+      target: foreignKey.target,
+      foreignKey: foreignKey.foreignKey,
+      policy: foreignKey.policy,
+      count: 0,
+      sampleIds: []
+    };
+  }
+
+  const entry = orphans[collection][foreignKey.name];
+  entry.count++;
+  if (entry.sampleIds.length < SAMPLE_SIZE) {
+    entry.sampleIds.push(sourceId);
+  }
+}
+
+/**
+ * Check the foreign keys of a source row against the mapping store
+ * @param {Object} row - Source row
+ * @param {string} collection - Collection the row is migrated to
+ * @returns {{drop: boolean, orphans: Array<Object>}} - Whether to drop the row and its orphaned foreign keys
+ * @throws {Error} - If an orphaned foreign key has the 'abort' policy (error.abort is set)
+ */
+function checkReferences(row, collection) {
+  const found = [];
+
+  if (!row || typeof row !== 'object') {
+    return { drop: false, orphans: found };
+  }
+
+  for (const foreignKey of getForeignKeys(collection)) {
+    const value = row[foreignKey.foreignKey];
+    if (isEmptyReference(value) || isMappedReference(foreignKey.target, value)) {
+      continue;
+    }
+
+    recordOrphan(collection, foreignKey, row.id);
+
+    if (foreignKey.policy === 'abort') {
+      const error = new Error(
+        `Row ${row.id} references missing ${foreignKey.target} ${value} through ${collection}.${foreignKey.name} (orphan policy: abort)`
+      );
+      error.type = 'integrity';
+      error.abort = true;
+      throw error;
+    }
+
+    found.push({ ...foreignKey, value });
+  }
+
+  return {
+    drop: found.some(orphan => orphan.policy === 'drop'),
+    orphans: found
+  };
+}
+
+/**
+ * Get the tombstone reference for a missing row
+ * @param {any} sourceId - SQL id of the missing row
+ * @returns {string} - Tombstone reference
+ */
+function getTombstoneId(sourceId) {
+  return `${ORPHAN_POLICY.TOMBSTONE_PREFIX}${sourceId}`;
+}
+
+/**
+ * Write the orphan policies into a transformed document
+ * @param {Object} data - Document data
+ * @param {Array<Object>} rowOrphans - Orphaned foreign keys returned by checkReferences
+ * @returns {Object} - The document data
+ */
+function applyOrphanPolicies(data, rowOrphans) {
+  for (const orphan of rowOrphans) {
+    // Relationships without a field only report their orphans
+    if (!orphan.field) {
+      continue;
+    }
+
+    _.set(data, orphan.field, orphan.policy === 'tombstone' ? getTombstoneId(orphan.value) : null);
+  }
+
+  return data;
+}
+
+/**
+ * Get the orphan counts
+ * @returns {Object} - Orphans by collection and relationship
+ */
+function getIntegrityStats() {
+  return orphans;
+}
+
+/**
+ * Log the orphan counts
+ */
+function logIntegrityReport() {
+  const collections = Object.keys(orphans);
+  if (collections.length === 0) {
+    logger.info('Referential integrity: no orphaned foreign keys found');
+    return;
+  }
+
+  logger.info(`Referential integrity report (default orphan policy: ${ORPHAN_POLICY.DEFAULT})`);
+  for (const collection of collections) {
+    for (const [name, entry] of Object.entries(orphans[collection])) {
+      const more = entry.count > entry.sampleIds.length ? ', ...' : '';
+      logger.warn(
+        `  ${collection}.${name} -> ${entry.target} (${entry.foreignKey}) - ${entry.policy}: ${entry.count} ` +
+        `(source ids ${entry.sampleIds.join(', ')}${more})`
+      );
+    }
+  }
+}
+
+module.exports = {
+  getForeignKeys,
+  checkReferences,
+  applyOrphanPolicies,
+  getTombstoneId,
+  getIntegrityStats,
+  logIntegrityReport
+};
@@ -0,0 +1,86 @@
+/**
+ * Indexed lookups of related rows
+ * Transformers look up rows of other tables by a column, usually a foreign key. Instead of
+ * scanning the table for every row, each table is indexed by that column on first use; the
+ * index is kept with the table's rows, so every migration of a run shares it
+ */
+
+// Indexes by table rows: rows -> Map(column -> Map(key -> rows))
+const indexes = new WeakMap();
+
+/**
+ * Get the key a column value is indexed by
+ * Keys are strings, like the ids of uuid-mapper, so an INT foreign key finds the BIGINT key it
+ * points at (BIGINT values are strings or BigInts, see SOURCE_DATA.BIGINT_MODE)
+ * @param {any} value - Column value
+ * @returns {string|null} - Key, or null for null and undefined
+ */
+function getKey(value) {
+  return value === null || value === undefined ? null : String(value);
+}
+
+/**
+ * Get the index of a table by a column, building it on first use
+ * @param {Array<Object>} rows - Rows of a table loaded into memory
+ * @param {string} column - Column to index by
+ * @returns {Map<string|null, Array<Object>>} - Rows by key of the column value, in table order
+ * @throws {Error} - If the table was not loaded into memory (streamed tables cannot be indexed)
+ */
+function getIndex(rows, column) {
+  if (!Array.isArray(rows)) {
+    throw new Error(`Cannot index ${column} of a streamed table, load the table into memory`);
+  }
+
+  let columns = indexes.get(rows);
+  if (!columns) {
+    columns = new Map();
+    indexes.set(rows, columns);
+  }
+
+  let index = columns.get(column);
+  if (!index) {
+    index = new Map();
+    for (const row of rows) {
+      const key = getKey(row[column]);
+      const bucket = index.get(key);
+      if (bucket) {
+        bucket.push(row);
+      } else {
+        index.set(key, [row]);
+      }
+    }
+    columns.set(column, index);
+  }
+
+  return index;
+}
+
+/**
+ * Find the first row of a table with a column value (the indexed form of rows.find)
+ * @param {Array<Object>} rows - Rows of a table
+ * @param {string} column - Column to match
+ * @param {any} value - Value to match
+ * @returns {Object|null} - First matching row, or null
+ */
+function findRelated(rows, column, value) {
+  const bucket = getIndex(rows, column).get(getKey(value));
+  return bucket ? bucket[0] : null;
+}
+
+/**
+ * Find all rows of a table with a column value (the indexed form of rows.filter)
+ * @param {Array<Object>} rows - Rows of a table
+ * @param {string} column - Column to match
+ * @param {any} value - Value to match
+ * @returns {Array<Object>} - Matching rows in table order (a new array the caller may sort)
+ */
+function filterRelated(rows, column, value) {
+  const bucket = getIndex(rows, column).get(getKey(value));
+  return bucket ? bucket.slice() : [];
+}
+
+module.exports = {
+  getKey,
+  findRelated,
+  filterRelated
+};
@@ -4,76 +4,167 @@
 const fs = require('fs');
 const readline = require('readline');
 const logger = require('./logger');
+const { coerceValue } = require('./sql-type-coercion');
 
 /**
- * Parse SQL file and extract table data
+ * Stream rows from a SQL dump file without holding the whole dump in memory
  * @param {string} filePath - Path to SQL dump file
- * @returns {Promise<Object>} - Object containing tables and their data
+ * @param {Object} options - Streaming options
+ * @param {Array<string>} options.tables - Only yield rows of these tables (all tables if omitted)
+ * @param {Array<string>} options.excludeTables - Never yield rows of these tables
+ * @param {Function} options.onCreateTable - Called with the table name and schema for every included CREATE TABLE
+ * @param {boolean} options.coerceTypes - Coerce values by their CREATE TABLE column types (default true)
+ * @param {string} options.timezone - Timezone of DATETIME values in the dump (default SOURCE_DATA.TIMEZONE)
+ * @param {string} options.bigintMode - 'string' or 'bigint' for BIGINT columns (default SOURCE_DATA.BIGINT_MODE)
+ * @returns {AsyncGenerator<{table: string, row: Object}>} - Rows in dump order
  */
-async function parseSQLFile(filePath) {
-  const tablesData = {};
-  let currentTable = null;
-  let collectingInsert = false;
-  let insertStatement = '';
-  let columnNames = [];
+async function* streamSQLDump(filePath, options = {}) {
+  const { tables = null, excludeTables = [], onCreateTable = null, coerceTypes = true, timezone, bigintMode } = options;
+  const includeTable = (table) => (!tables || tables.includes(table)) && !excludeTables.includes(table);
+  
+  // Column definitions captured from CREATE TABLE, used when INSERTs omit the column list
+  const tableSchemas = {};
+  const warnedTables = new Set();
+  
+  let statementType = null; // 'create' or 'insert' while a statement is being collected
+  let statementTable = null;
+  let statement = '';
+  let skippingStatement = false;
+  let openQuote = null;
 
-  // Create a readline interface to process the file line by line
-  const fileStream = fs.createReadStream(filePath);
+  // Create a readline interface to process the file line by line; the dump is read as latin1,
+  // one character per byte, so binary literals keep their bytes (see decodeText)
+  const fileStream = fs.createReadStream(filePath, { encoding: 'latin1' });
   const rl = readline.createInterface({
     input: fileStream,
     crlfDelay: Infinity
   });
 
-  // Process the file line by line
-  for await (const line of rl) {
-    // Skip comments and empty lines
-    if (line.startsWith('--') || line.startsWith('/*') || line.trim() === '') {
-      continue;
-    }
+  try {
+    // Process the file line by line
+    for await (const line of rl) {
+      if (statementType) {
+        // Continue collecting multi-line statement (string literals may span lines)
+        if (!skippingStatement) {
+          statement += '\n' + line;
+        }
+      } else {
+        // Skip comments and empty lines
+        if (line.startsWith('--') || line.startsWith('/*') || line.trim() === '') {
+          continue;
+        }
 
-    // Check for CREATE TABLE statement
-    if (line.includes('CREATE TABLE')) {
-      const tableMatch = line.match(/CREATE TABLE\s+`(\w+)`/);
-      if (tableMatch) {
-        currentTable = tableMatch[1];
-        tablesData[currentTable] = [];
+        const createMatch = line.match(/CREATE TABLE\s+(?:IF NOT EXISTS\s+)?`(\w+)`/i);
+        const insertMatch = !createMatch && line.match(/INSERT\s+(?:IGNORE\s+)?INTO\s+`(\w+)`/i);
+        
+        if (createMatch) {
+          // Check for CREATE TABLE statement
+          statementType = 'create';
+          statementTable = createMatch[1];
+          skippingStatement = false;
+        } else if (insertMatch) {
+          // Start collecting INSERT statements
+          statementType = 'insert';
+          statementTable = insertMatch[1];
+          
+          // Statements of excluded tables are read past without being parsed
+          skippingStatement = !includeTable(statementTable);
+        } else {
+          continue;
+        }
+        
+        statement = skippingStatement ? '' : line;
+        openQuote = null;
       }
-      continue;
-    }
 
-    // Start collecting INSERT statements
-    if (line.includes('INSERT INTO') && currentTable) {
-      collectingInsert = true;
-      insertStatement = line;
+      // A ";" only ends the statement when it is outside a string literal
+      openQuote = trackQuoteState(line, openQuote);
+      if (!line.trimEnd().endsWith(';') || openQuote) {
+        continue;
+      }
       
-      // Extract column names if present in the INSERT statement
-      const columnMatch = line.match(/INSERT INTO\s+`\w+`\s+\(([^)]+)\)/);
-      if (columnMatch) {
-        columnNames = columnMatch[1].split(',').map(col => {
-          return col.trim().replace(/`/g, '');
+      if (statementType === 'create') {
+        const schema = parseCreateTable(decodeText(statement));
+        tableSchemas[statementTable] = schema;
+        
+        if (onCreateTable && includeTable(statementTable)) {
+          onCreateTable(statementTable, schema);
+        }
+      } else if (!skippingStatement) {
+        // Prefer the INSERT's own column list, then the CREATE TABLE columns
+        const schema = tableSchemas[statementTable];
+        const columnNames = extractInsertColumns(statement) ||
+          (schema ? schema.columns.map(column => column.name) : []);
+        
+        if (columnNames.length === 0 && !warnedTables.has(statementTable)) {
+          warnedTables.add(statementTable);
+          logger.warn(`No column definitions found for table "${statementTable}", rows will be keyed by position`);
+        }
+        
+        // Column definitions drive type coercion; columns missing from the schema keep lexer values
+        const columns = coerceTypes && schema
+          ? columnNames.map(name => schema.columns.find(column => column.name === name))
+          : [];
+        
+        const rows = extractInsertRows(statement, columnNames, {
+          table: statementTable,
+          warnedTables,
+          columns,
+          timezone,
+          bigintMode
         });
+        
+        for (const row of rows) {
+          yield { table: statementTable, row };
+        }
       }
       
-      // If the INSERT statement is complete, process it
-      if (line.endsWith(';')) {
-        processInsertStatement(insertStatement, currentTable, columnNames, tablesData);
-        collectingInsert = false;
-        insertStatement = '';
-      }
-      continue;
+      statementType = null;
+      statementTable = null;
+      statement = '';
+      skippingStatement = false;
     }
+  } finally {
+    // Release the file handle even when the consumer stops early
+    rl.close();
+    fileStream.destroy();
+  }
+}
 
-    // Continue collecting multi-line INSERT statement
-    if (collectingInsert) {
-      insertStatement += ' ' + line;
-      
-      // If the INSERT statement is complete, process it
-      if (line.endsWith(';')) {
-        processInsertStatement(insertStatement, currentTable, columnNames, tablesData);
-        collectingInsert = false;
-        insertStatement = '';
-      }
+/**
+ * Stream the rows of a single table from a SQL dump file
+ * @param {string} filePath - Path to SQL dump file
+ * @param {string} table - Table name
+ * @param {Object} options - Parsing options (see streamSQLDump)
+ * @returns {AsyncGenerator<Object>} - Rows of the table in dump order
+ */
+async function* streamTableRows(filePath, table, options = {}) {
+  for await (const { row } of streamSQLDump(filePath, { ...options, tables: [table] })) {
+    yield row;
+  }
+}
+
+/**
+ * Parse SQL file and extract table data
+ * @param {string} filePath - Path to SQL dump file
+ * @param {Object} options - Parsing options (see streamSQLDump)
+ * @returns {Promise<Object>} - Object containing tables and their data
+ */
+async function parseSQLFile(filePath, options = {}) {
+  const tablesData = {};
+  
+  const rows = streamSQLDump(filePath, {
+    ...options,
+    onCreateTable: (table) => {
+      tablesData[table] = [];
     }
+  });
+  
+  for await (const { table, row } of rows) {
+    if (!tablesData[table]) {
+      tablesData[table] = [];
+    }
+    tablesData[table].push(row);
   }
 
   logger.info(`Parsed ${Object.keys(tablesData).length} tables from SQL file`);
@@ -81,124 +172,400 @@ async function parseSQLFile(filePath) {
 }
 
 /**
- * Process an INSERT statement and extract data
+ * Extract the column list of an INSERT statement
+ * @param {string} insertStatement - The SQL INSERT statement
+ * @returns {Array<string>|null} - Column names, or null if the statement has no column list
+ */
+function extractInsertColumns(insertStatement) {
+  const columnMatch = insertStatement.match(/^\s*INSERT\s+(?:IGNORE\s+)?INTO\s+`?\w+`?\s*\(([^)]+)\)\s*VALUES/i);
+  if (!columnMatch) {
+    return null;
+  }
+  
+  return columnMatch[1].split(',').map(col => {
+    return decodeText(col.trim().replace(/`/g, ''));
+  });
+}
+
+/**
+ * Extract the rows of an INSERT statement as objects keyed by column name
  * @param {string} insertStatement - The SQL INSERT statement
- * @param {string} tableName - The current table name
  * @param {Array<string>} columnNames - Column names for the table
- * @param {Object} tablesData - Object to store the extracted data
+ * @param {Object} options - Extraction options
+ * @param {string} options.table - Table name, used in warnings
+ * @param {Set<string>} options.warnedTables - Tables already warned about, to warn once per table
+ * @param {Array<Object>} options.columns - Column definitions aligned with columnNames, used for type coercion
+ * @param {string} options.timezone - Timezone of DATETIME values
+ * @param {string} options.bigintMode - 'string' or 'bigint' for BIGINT columns
+ * @returns {Array<Object>} - Extracted rows
  */
-function processInsertStatement(insertStatement, tableName, columnNames, tablesData) {
-  // Extract values from INSERT statement
-  const valuesMatch = insertStatement.match(/VALUES\s+(\([^;]+)/i);
-  if (!valuesMatch) return;
+function extractInsertRows(insertStatement, columnNames, options = {}) {
+  const { table = 'unknown', warnedTables = new Set(), columns = [], timezone, bigintMode } = options;
+  const tableRows = [];
+  
+  // Locate the start of the VALUES list (the column list never contains strings)
+  const headerMatch = insertStatement.match(/^\s*INSERT\s+(?:IGNORE\s+)?INTO\s+`?\w+`?\s*(?:\([^)]*\))?\s*VALUES\s*/i);
+  if (!headerMatch) return tableRows;
 
-  let valuesStr = valuesMatch[1];
-  // Remove trailing comma and semicolon
-  valuesStr = valuesStr.replace(/,\s*;?$/, '');
+  const rows = parseValuesList(insertStatement, headerMatch[0].length, (literal, index) => (
+    columns[index] ? coerceValue(literal, columns[index], { table, timezone, bigintMode }) : literal.value
+  ));
 
-  // Split values into rows (handling proper parsing of values with commas in them)
-  const rows = [];
-  let current = '';
-  let parenthesisLevel = 0;
-  let inString = false;
-  
-  for (let i = 0; i < valuesStr.length; i++) {
-    const char = valuesStr[i];
+  // Process each row
+  for (const rowValues of rows) {
+    if (rowValues.length === 0) {
+      continue;
+    }
     
-    // Handle string literals
-    if (char === "'" && (i === 0 || valuesStr[i-1] !== '\\')) {
-      inString = !inString;
+    if (columnNames.length > 0 && rowValues.length !== columnNames.length && !warnedTables.has(table)) {
+      warnedTables.add(table);
+      logger.warn(`Table "${table}" has ${columnNames.length} columns but a row has ${rowValues.length} values`);
     }
     
-    // Track parenthesis level
-    if (char === '(' && !inString) {
-      parenthesisLevel++;
-      if (parenthesisLevel === 1) {
-        current = '';
-        continue;
-      }
-    } else if (char === ')' && !inString) {
-      parenthesisLevel--;
-      if (parenthesisLevel === 0) {
-        rows.push(current);
-        continue;
-      }
+    // Key values by column name, falling back to position when the column is unknown
+    const rowObject = {};
+    for (let i = 0; i < rowValues.length; i++) {
+      rowObject[i < columnNames.length ? columnNames[i] : `column${i + 1}`] = rowValues[i];
     }
+    tableRows.push(rowObject);
+  }
+  
+  return tableRows;
+}
+
+/**
+ * Parse the column definitions of a CREATE TABLE statement
+ * @param {string} createStatement - The SQL CREATE TABLE statement
+ * @returns {{columns: Array<Object>}} - Table schema
+ */
+function parseCreateTable(createStatement) {
+  const open = createStatement.indexOf('(');
+  const close = open === -1 ? -1 : findClosingParen(createStatement, open);
+  if (close === -1) {
+    return { columns: [] };
+  }
+  
+  // Column definitions start with a quoted name; keys and constraints do not
+  const columns = splitTopLevel(createStatement.slice(open + 1, close))
+    .map(definition => definition.trim())
+    .filter(definition => definition.startsWith('`'))
+    .map(parseColumnDefinition)
+    .filter(Boolean);
+  
+  return { columns };
+}
+
+/**
+ * Parse a single column definition of a CREATE TABLE statement
+ * @param {string} definition - Column definition, e.g. "`price` decimal(10,2) unsigned NOT NULL"
+ * @returns {Object|null} - Column name, type and attributes
+ */
+function parseColumnDefinition(definition) {
+  const match = definition.match(/^`([^`]+)`\s+(\w+)\s*(\(((?:[^()'"]|'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.)*")*)\))?([\s\S]*)$/);
+  if (!match) {
+    return null;
+  }
+  
+  const [, name, type, , args = null, attributes] = match;
+  
+  return {
+    name,
+    type: type.toLowerCase(),
+    args,
+    unsigned: /\bunsigned\b/i.test(attributes),
+    nullable: !/\bNOT\s+NULL\b/i.test(attributes),
+    definition
+  };
+}
+
+/**
+ * Find the parenthesis closing the one at a given index
+ * @param {string} sql - SQL text
+ * @param {number} open - Index of the opening parenthesis
+ * @returns {number} - Index of the closing parenthesis, or -1
+ */
+function findClosingParen(sql, open) {
+  let depth = 0;
+  let quote = null;
+  
+  for (let i = open; i < sql.length; i++) {
+    const char = sql[i];
     
-    // Track row separation
-    if (char === ',' && parenthesisLevel === 0 && !inString) {
-      continue;
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
     }
+  }
+  
+  return -1;
+}
+
+/**
+ * Split SQL text on commas that are not nested in parentheses or quotes
+ * @param {string} sql - SQL text
+ * @returns {Array<string>} - Parts
+ */
+function splitTopLevel(sql) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let partStart = 0;
+  
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
     
-    // Add character to current value
-    if (parenthesisLevel > 0) {
-      current += char;
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(sql.slice(partStart, i));
+      partStart = i + 1;
     }
   }
+  
+  parts.push(sql.slice(partStart));
+  return parts;
+}
 
-  // Process each row
-  for (const row of rows) {
-    const rowValues = parseRowValues(row);
+/**
+ * Decode the tuples of a VALUES list into rows of JavaScript values
+ * @param {string} sql - SQL text containing the VALUES list
+ * @param {number} start - Index of the first tuple
+ * @param {Function} decode - Maps a literal ({value, token}) and its position in the tuple to a row value
+ * @returns {Array<Array<any>>} - Decoded rows
+ */
+function parseValuesList(sql, start = 0, decode = literal => literal.value) {
+  const rows = [];
+  let i = skipWhitespace(sql, start);
+  
+  while (i < sql.length && sql[i] === '(') {
+    const row = [];
+    i = skipWhitespace(sql, i + 1);
     
-    if (rowValues.length > 0) {
-      // If we have column names, create an object with column names as keys
-      if (columnNames.length > 0) {
-        const rowObject = {};
-        for (let i = 0; i < Math.min(columnNames.length, rowValues.length); i++) {
-          rowObject[columnNames[i]] = rowValues[i];
+    // Empty tuple
+    if (sql[i] === ')') {
+      rows.push(row);
+      i = skipWhitespace(sql, i + 1);
+    } else {
+      while (i < sql.length) {
+        const literal = readValue(sql, i);
+        row.push(decode(literal, row.length));
+        i = skipWhitespace(sql, literal.end);
+        
+        if (sql[i] === ',') {
+          i = skipWhitespace(sql, i + 1);
+          continue;
         }
-        tablesData[tableName].push(rowObject);
-      } else {
-        // Otherwise, just add the array of values
-        tablesData[tableName].push(rowValues);
+        
+        if (sql[i] === ')') {
+          i++;
+          break;
+        }
+        
+        throw new Error(`Unexpected character "${sql[i] || 'end of statement'}" at position ${i} of INSERT statement`);
       }
+      rows.push(row);
+      i = skipWhitespace(sql, i);
+    }
+    
+    // Tuples are separated by commas; anything else (";" or a trailing clause) ends the list
+    if (sql[i] !== ',') {
+      break;
+    }
+    i = skipWhitespace(sql, i + 1);
+  }
+  
+  return rows;
+}
+
+/**
+ * Skip whitespace characters
+ * @param {string} sql - SQL text
+ * @param {number} i - Current index
+ * @returns {number} - Index of the next non-whitespace character
+ */
+function skipWhitespace(sql, i) {
+  while (i < sql.length && /\s/.test(sql[i])) {
+    i++;
+  }
+  return i;
+}
+
+// Escape sequences recognised inside MySQL string literals
+const ESCAPE_SEQUENCES = {
+  '0': '\0',
+  "'": "'",
+  '"': '"',
+  'b': '\b',
+  'n': '\n',
+  'r': '\r',
+  't': '\t',
+  'Z': '\x1a',
+  '\\': '\\',
+  // \% and \_ keep their backslash (they only matter in LIKE patterns)
+  '%': '\\%',
+  '_': '\\_'
+};
+
+/**
+ * Decode text read from the dump as latin1 into the UTF-8 text it holds
+ * @param {string} text - Text with one character per byte of the dump
+ * @returns {string} - Decoded text
+ */
+function decodeText(text) {
+  return /[\x80-\xff]/.test(text) ? Buffer.from(text, 'latin1').toString('utf8') : text;
+}
+
+/**
+ * Read a single value of a VALUES tuple
+ * @param {string} sql - SQL text (one character per byte of the dump)
+ * @param {number} start - Index where the value starts
+ * @returns {{value: any, end: number, token: string, raw: string}} - Decoded value, the index after
+ *   it, for unquoted values the raw token and for quoted values their unescaped bytes as latin1
+ */
+function readValue(sql, start) {
+  const char = sql[start];
+  
+  // Quoted string literal (binary columns read its bytes from raw)
+  if (char === "'" || char === '"') {
+    const literal = readQuotedString(sql, start);
+    return { value: decodeText(literal.value), end: literal.end, raw: literal.value };
+  }
+  
+  // Character set introducer, e.g. _binary '...' or _utf8mb4'...'
+  const introducerMatch = char === '_' && sql.slice(start, start + 64).match(/^_(\w+)\s*(?=['"]|0x|[xX]')/);
+  if (introducerMatch) {
+    const literal = readValue(sql, start + introducerMatch[0].length);
+    if (introducerMatch[1].toLowerCase() === 'binary' && literal.raw !== undefined) {
+      return { value: Buffer.from(literal.raw, 'latin1'), end: literal.end };
     }
+    return literal;
+  }
+  
+  // Hexadecimal literal: 0x4D7953514C or X'4D7953514C'
+  const hexMatch = sql.slice(start, start + 2).toLowerCase() === '0x'
+    ? sql.slice(start).match(/^0x([0-9a-fA-F]*)/)
+    : sql.slice(start).match(/^[xX]'([0-9a-fA-F]*)'/);
+  if (hexMatch) {
+    return { value: Buffer.from(hexMatch[1], 'hex'), end: start + hexMatch[0].length };
+  }
+  
+  // Bit-value literal: b'0101' or 0b0101
+  const bitMatch = sql.slice(start).match(/^(?:[bB]'([01]*)'|0b([01]+))/);
+  if (bitMatch) {
+    return { value: parseBits(bitMatch[1] ?? bitMatch[2]), end: start + bitMatch[0].length };
   }
+  
+  // Bare token (NULL, number, keyword) ends at the next separator
+  let end = start;
+  while (end < sql.length && sql[end] !== ',' && sql[end] !== ')') {
+    end++;
+  }
+  
+  const token = sql.slice(start, end).trim();
+  return { value: parseValue(token), end, token };
 }
 
 /**
- * Parse values from a row in an INSERT statement
- * @param {string} rowStr - String containing row values
- * @returns {Array<any>} - Array of parsed values
+ * Read and unescape a quoted MySQL string literal
+ * @param {string} sql - SQL text (one character per byte of the dump)
+ * @param {number} start - Index of the opening quote
+ * @returns {{value: string, end: number}} - Unescaped bytes as latin1 and the index after the closing quote
  */
-function parseRowValues(rowStr) {
-  const values = [];
-  let current = '';
-  let inString = false;
+function readQuotedString(sql, start) {
+  const quote = sql[start];
+  let value = '';
+  let i = start + 1;
   
-  for (let i = 0; i < rowStr.length; i++) {
-    const char = rowStr[i];
+  while (i < sql.length) {
+    const char = sql[i];
     
-    // Handle string literals
-    if (char === "'" && (i === 0 || rowStr[i-1] !== '\\')) {
-      inString = !inString;
-      current += char;
+    if (char === '\\' && i + 1 < sql.length) {
+      const next = sql[i + 1];
+      value += ESCAPE_SEQUENCES[next] !== undefined ? ESCAPE_SEQUENCES[next] : next;
+      i += 2;
       continue;
     }
     
-    // Handle value separation
-    if (char === ',' && !inString) {
-      values.push(parseValue(current.trim()));
-      current = '';
-      continue;
+    if (char === quote) {
+      // A doubled quote stands for one literal quote
+      if (sql[i + 1] === quote) {
+        value += quote;
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
     }
     
-    // Add character to current value
-    current += char;
+    value += char;
+    i++;
   }
   
-  // Add the last value
-  if (current.trim()) {
-    values.push(parseValue(current.trim()));
+  throw new Error(`Unterminated string literal starting at position ${start} of INSERT statement`);
+}
+
+/**
+ * Convert a bit-value literal to a number (or BigInt beyond 53 bits)
+ * @param {string} bits - Binary digits
+ * @returns {number|BigInt} - Bit value
+ */
+function parseBits(bits) {
+  if (bits === '') {
+    return 0;
+  }
+  
+  return bits.replace(/^0+/, '').length > 53 ? BigInt(`0b${bits}`) : parseInt(bits, 2);
+}
+
+/**
+ * Track whether a chunk of SQL text ends inside a string literal
+ * @param {string} text - SQL text following the previous chunk
+ * @param {string|null} openQuote - Quote character left open by the previous chunk
+ * @returns {string|null} - Quote character still open at the end of the text
+ */
+function trackQuoteState(text, openQuote = null) {
+  let quote = openQuote;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        // A doubled quote closes and reopens the string, leaving it open
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    }
   }
   
-  return values;
+  return quote;
 }
 
 /**
- * Parse a single value from the SQL data
+ * Parse a single unquoted value from the SQL data
  * @param {string} valueStr - The string representation of the value
- * @returns {any} - Parsed value (string, number, boolean, null)
+ * @returns {any} - Parsed value (number, boolean, null or the raw token)
  */
 function parseValue(valueStr) {
   // Handle NULL values
@@ -206,13 +573,8 @@ function parseValue(valueStr) {
     return null;
   }
   
-  // Handle string values
-  if (valueStr.startsWith("'") && valueStr.endsWith("'")) {
-    return valueStr.substring(1, valueStr.length - 1).replace(/\\'/g, "'");
-  }
-  
   // Handle numeric values
-  if (!isNaN(valueStr)) {
+  if (valueStr !== '' && !isNaN(valueStr)) {
     return Number(valueStr);
   }
   
@@ -225,5 +587,8 @@ function parseValue(valueStr) {
 }
 
 module.exports = {
-  parseSQLFile
+  parseSQLFile,
+  streamSQLDump,
+  streamTableRows,
+  parseColumnDefinition
 };
\ No newline at end of file
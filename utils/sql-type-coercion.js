@@ -0,0 +1,221 @@
+/**
+ * Type-aware coercion of SQL dump values driven by CREATE TABLE column types
+ */
+const logger = require('./logger');
+const { TYPE_MAPPINGS } = require('./migration-validation-config');
+const { SOURCE_DATA } = require('../config/migration-config');
+
+// DATETIME / TIMESTAMP / DATE literal, e.g. 2024-03-01 10:15:00.123456
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,6}))?)?$/;
+
+// One day in milliseconds (DST transitions are further apart than that)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns already warned about, to warn once per column
+const warnedColumns = new Set();
+
+// Intl formatters per IANA timezone
+const timezoneFormatters = {};
+
+/**
+ * Get the JavaScript kind a column's values are coerced to
+ * @param {Object} column - Column definition from parseCreateTable
+ * @returns {string} - One of the TYPE_MAPPINGS.SQL_TO_JS kinds
+ */
+function getValueKind(column) {
+  // tinyint(1) and bit(1) are MySQL's booleans; wider ones are plain numbers
+  if (column.type === 'tinyint' || column.type === 'bit') {
+    return column.args === '1' ? 'boolean' : 'number';
+  }
+
+  return TYPE_MAPPINGS.SQL_TO_JS[column.type] || 'unknown';
+}
+
+/**
+ * Coerce a decoded SQL literal according to its column definition
+ * @param {Object} literal - Literal from the value lexer
+ * @param {any} literal.value - Decoded value
+ * @param {string} [literal.token] - Raw text of an unquoted value
+ * @param {string} [literal.raw] - Bytes of a quoted value as latin1
+ * @param {Object} column - Column definition from parseCreateTable
+ * @param {Object} options - Coercion options
+ * @param {string} options.table - Table name, used in warnings
+ * @param {string} options.timezone - Timezone the source DATETIME values were written in
+ * @param {string} options.bigintMode - 'string' or 'bigint'
+ * @returns {any} - Coerced value
+ */
+function coerceValue(literal, column, options = {}) {
+  const {
+    table = 'unknown',
+    timezone = SOURCE_DATA.TIMEZONE,
+    bigintMode = SOURCE_DATA.BIGINT_MODE
+  } = options;
+  const { value, token, raw } = literal;
+
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  // Prefer the raw token so numeric text is never rounded through a Number
+  const text = token !== undefined ? token : (Buffer.isBuffer(value) ? value.toString('utf8') : String(value));
+
+  switch (getValueKind(column)) {
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const number = Buffer.isBuffer(value) ? value.readUIntBE(0, Math.min(value.length, 6)) : Number(text);
+      if (number === 0 || number === 1) {
+        return number === 1;
+      }
+      warnColumn(table, column, `holds ${text}, which is not a boolean; keeping it as a number`);
+      return isNaN(number) ? value : number;
+    }
+
+    case 'number': {
+      if (typeof value === 'number') {
+        return value;
+      }
+      const number = Number(text);
+      return text.trim() === '' || isNaN(number) ? value : number;
+    }
+
+    case 'bigint':
+      if (bigintMode === 'bigint' && /^-?\d+$/.test(text)) {
+        return BigInt(text);
+      }
+      return text;
+
+    case 'decimal':
+      // Decimal strings keep every digit; they are parsed where arithmetic is needed
+      return text;
+
+    case 'date':
+      return typeof value === 'string' ? parseSourceDateTime(value, timezone) : value;
+
+    case 'object':
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        warnColumn(table, column, `holds invalid JSON; keeping it as a string`);
+        return text;
+      }
+
+    case 'array':
+      return text === '' ? [] : text.split(',');
+
+    case 'buffer':
+      if (Buffer.isBuffer(value)) {
+        return value;
+      }
+      return Buffer.from(raw !== undefined ? raw : text, 'latin1');
+
+    case 'string':
+      return text;
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parse a MySQL DATETIME / TIMESTAMP / DATE value written in the source timezone
+ * @param {string} value - Date string from the dump
+ * @param {string} timezone - IANA name (e.g. 'Asia/Kolkata'), 'UTC' or a fixed offset (e.g. '+05:30')
+ * @returns {Date|string} - Date, or the original string when it is not a valid calendar date
+ */
+function parseSourceDateTime(value, timezone = SOURCE_DATA.TIMEZONE) {
+  const match = value.match(DATE_TIME_PATTERN);
+  if (!match) {
+    return value;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0'] = match;
+  const wallClock = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour),
+    Number(minute),
+    Number(second),
+    Math.floor(Number(fraction.padEnd(6, '0')) / 1000)
+  );
+
+  // Reject zero dates and out-of-range parts (e.g. 2024-02-30), which Date.UTC would roll over
+  const check = new Date(wallClock);
+  if (check.getUTCFullYear() !== Number(year) ||
+      check.getUTCMonth() !== Number(month) - 1 ||
+      check.getUTCDate() !== Number(day)) {
+    return value;
+  }
+
+  // Convert wall-clock time to UTC with the offsets on either side of a nearby DST transition:
+  // a time the clocks pass twice takes the earlier instant, and a time they skip moves forward
+  const offsets = [wallClock - DAY_MS, wallClock + DAY_MS].map(ms => getTimezoneOffset(ms, timezone));
+  const instants = offsets
+    .map(offset => wallClock - offset)
+    .filter(utc => getTimezoneOffset(utc, timezone) === wallClock - utc);
+
+  return new Date(instants.length > 0 ? Math.min(...instants) : wallClock - offsets[0]);
+}
+
+/**
+ * Get a timezone's offset from UTC at a given instant
+ * @param {number} utcMs - Instant in milliseconds since the epoch
+ * @param {string} timezone - IANA name, 'UTC' or a fixed offset
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(utcMs, timezone) {
+  if (!timezone || timezone === 'UTC' || timezone === 'Z') {
+    return 0;
+  }
+
+  const fixedOffset = timezone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (fixedOffset) {
+    const minutes = Number(fixedOffset[2]) * 60 + Number(fixedOffset[3]);
+    return (fixedOffset[1] === '-' ? -minutes : minutes) * 60000;
+  }
+
+  if (!timezoneFormatters[timezone]) {
+    timezoneFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  const parts = {};
+  for (const part of timezoneFormatters[timezone].formatToParts(new Date(utcMs))) {
+    parts[part.type] = Number(part.value);
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (utcMs - (((utcMs % 1000) + 1000) % 1000));
+}
+
+/**
+ * Log a warning about a column once per run
+ * @param {string} table - Table name
+ * @param {Object} column - Column definition
+ * @param {string} message - Warning message
+ */
+function warnColumn(table, column, message) {
+  const key = `${table}.${column.name}`;
+  if (warnedColumns.has(key)) {
+    return;
+  }
+
+  warnedColumns.add(key);
+  logger.warn(`Column ${key} (${column.type}${column.args ? `(${column.args})` : ''}) ${message}`);
+}
+
+module.exports = {
+  getValueKind,
+  coerceValue,
+  parseSourceDateTime
+};
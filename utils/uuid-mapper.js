@@ -16,13 +16,15 @@ const idMappings = {
   businesses: {},
   franchise: {},
   investors: {},
-  listings: {}, // Consolidated businesses, franchises, investors, etc.
+  listings: {}, // Consolidated businesses, franchises, investors, etc. keyed by type and SQL id (e.g. 'business:5')
   plans: {},
   reviews: {},
   subscriptions: {},
   transactions: {},
   chatrooms: {},
   messages: {},
+  notifications: {},
+  contentPages: {},
   industries: {},
   sub_industries: {},
   cities: {},
@@ -36,6 +38,61 @@ const idMappings = {
 // Keep track of reverse mappings for lookups by UUID
 const reverseIdMappings = {};
 
+// Listing tables and the listing type of their rows; the tables have overlapping ids, so the
+// consolidated listings mapping keys every listing by its type as well (see getListingKey)
+const LISTING_ENTITY_TYPES = {
+  businesses: 'business',
+  franchise: 'franchise',
+  investors: 'investor',
+  startups: 'startup',
+  digital_assets: 'digital_asset'
+};
+
+/**
+ * Get the key of a listing in the consolidated listings mapping
+ * @param {string} type - Listing type (business, franchise, investor, etc.)
+ * @param {number|string} oldId - The old SQL ID in the table of that type
+ * @returns {string} - Typed key, e.g. 'business:5'
+ */
+function getListingKey(type, oldId) {
+  return `${type}:${oldId}`;
+}
+
+/**
+ * Store a listing table mapping in the consolidated listings mapping
+ * @param {string} entity - Listing table entity (e.g. 'businesses')
+ * @param {string} id - The old SQL ID
+ * @param {string} uuid - The UUID
+ * @param {boolean} updateReverse - Update reverse mappings
+ */
+function setListingMapping(entity, id, uuid, updateReverse) {
+  const key = getListingKey(LISTING_ENTITY_TYPES[entity], id);
+  idMappings.listings[key] = uuid;
+  
+  if (updateReverse) {
+    if (!reverseIdMappings.listings) {
+      reverseIdMappings.listings = {};
+    }
+    reverseIdMappings.listings[uuid] = key;
+  }
+}
+
+/**
+ * Get the listings of every type that use an SQL id
+ * @param {number|string} oldId - The old SQL ID
+ * @returns {Array<{type: string, key: string, uuid: string}>} - Mapped listings with that id
+ */
+function getListingCandidates(oldId) {
+  if (!oldId || oldId === 0) {
+    return [];
+  }
+  
+  return Object.values(LISTING_ENTITY_TYPES)
+    .map(type => ({ type, key: getListingKey(type, oldId) }))
+    .filter(({ key }) => idMappings.listings?.[key])
+    .map(candidate => ({ ...candidate, uuid: idMappings.listings[candidate.key] }));
+}
+
 /**
  * Get or create a UUID for a given entity using deterministic generation
  * @param {string} entity - The entity type (e.g., 'users', 'businesses')
@@ -97,16 +154,8 @@ function getOrCreateUUID(entity, oldId, options = {}) {
   idMappings._meta.totalMappings++;
   
   // Special case for listings: If entity is a listing type, also map to consolidated listings
-  const listingEntities = ['businesses', 'franchise', 'investors', 'startups', 'digital_assets'];
-  if (listingEntities.includes(entity)) {
-    idMappings.listings[id] = newUuid;
-    
-    if (updateReverse) {
-      if (!reverseIdMappings.listings) {
-        reverseIdMappings.listings = {};
-      }
-      reverseIdMappings.listings[newUuid] = id;
-    }
+  if (LISTING_ENTITY_TYPES[entity]) {
+    setListingMapping(entity, id, newUuid, updateReverse);
   }
   
   return newUuid;
@@ -131,9 +180,15 @@ function getUUID(entity, oldId) {
   }
   
   // For listing types, check consolidated listings mapping
-  const listingEntities = ['businesses', 'franchise', 'investors', 'startups', 'digital_assets'];
-  if (listingEntities.includes(entity) && idMappings.listings?.[id]) {
-    return idMappings.listings[id];
+  if (LISTING_ENTITY_TYPES[entity]) {
+    return idMappings.listings?.[getListingKey(LISTING_ENTITY_TYPES[entity], id)] || null;
+  }
+  
+  // A bare SQL id only identifies a listing when a single listing type uses it
+  // (references with a type column are resolved by utils/listing-references)
+  if (entity === 'listings' && !id.includes(':')) {
+    const candidates = getListingCandidates(id);
+    return candidates.length === 1 ? candidates[0].uuid : null;
   }
   
   return null;
@@ -156,8 +211,7 @@ function getOriginalId(entity, uuid) {
   
   // For consolidated listings, check specific entity types
   if (entity === 'listings') {
-    const listingEntities = ['businesses', 'franchise', 'investors', 'startups', 'digital_assets'];
-    for (const listingEntity of listingEntities) {
+    for (const listingEntity of Object.keys(LISTING_ENTITY_TYPES)) {
       if (reverseIdMappings[listingEntity]?.[uuid]) {
         return reverseIdMappings[listingEntity][uuid];
       }
@@ -202,16 +256,8 @@ function setUUID(entity, oldId, uuid, options = {}) {
   idMappings._meta.totalMappings++;
   
   // Special case for listings
-  const listingEntities = ['businesses', 'franchise', 'investors', 'startups', 'digital_assets'];
-  if (listingEntities.includes(entity)) {
-    idMappings.listings[id] = uuid;
-    
-    if (updateReverse) {
-      if (!reverseIdMappings.listings) {
-        reverseIdMappings.listings = {};
-      }
-      reverseIdMappings.listings[uuid] = id;
-    }
+  if (LISTING_ENTITY_TYPES[entity]) {
+    setListingMapping(entity, id, uuid, updateReverse);
   }
 }
 
@@ -333,6 +379,13 @@ function loadMappingsFromFile(filePath) {
       // Merge loaded mappings with existing mappings
       Object.assign(idMappings, loadedMappings);
       
+      // Listings mapped by bare SQL id (before typed keys) cannot tell the listing tables apart
+      const untypedListings = Object.keys(idMappings.listings || {}).filter(key => !key.includes(':'));
+      if (untypedListings.length > 0) {
+        logger.warn(`Ignoring ${untypedListings.length} listing mappings without a listing type, migrate listings again`);
+        untypedListings.forEach(key => delete idMappings.listings[key]);
+      }
+      
       // Rebuild reverse mappings
       Object.keys(idMappings).forEach(entity => {
         if (entity === '_meta') return;
@@ -383,6 +436,8 @@ function getMappingStats() {
 module.exports = {
   getOrCreateUUID,
   getUUID,
+  getListingKey,
+  getListingCandidates,
   getOriginalId,
   setUUID,
   mapIdsToUUIDs,
@@ -0,0 +1,166 @@
+/**
+ * Write modes for rerunning the migration against a database that is already in use
+ * Decides per document whether it is replaced, merged or left alone, and counts the
+ * outcomes per collection so they can be reported at the end of a run
+ */
+const _ = require('lodash');
+const admin = require('firebase-admin');
+const logger = require('./logger');
+const { hashContent } = require('./content-hash');
+const { getCollectionConfig } = require('../config/mapping-config');
+const { WRITE_MODE } = require('../config/migration-config');
+
+const WRITE_MODES = ['overwrite', 'create-only', 'merge', 'update-if-unchanged-since-migration'];
+
+// Outcome counts: { collection: { outcome: count } }
+const counts = {};
+
+/**
+ * Resolve the write mode of a collection
+ * @param {string} collection - Collection name
+ * @param {string} override - Write mode for every collection (e.g. from the command line)
+ * @returns {{mode: string, mergeFields: Array<string>|null}} - Write mode and merge field mask
+ * @throws {Error} - If the mode is unknown
+ */
+function getWriteMode(collection, override = null) {
+  const config = getCollectionConfig(collection) || {};
+  const mode = override || config.writeMode || WRITE_MODE.DEFAULT;
+
+  if (!WRITE_MODES.includes(mode)) {
+    throw new Error(`Unknown write mode "${mode}" for ${collection}, expected one of ${WRITE_MODES.join(', ')}`);
+  }
+
+  return { mode, mergeFields: config.mergeFields || null };
+}
+
+/**
+ * Check whether a mode needs the stored documents before writing
+ * @param {string} mode - Write mode
+ * @param {Array<string>|null} mergeFields - Merge field mask
+ * @returns {boolean} - True if the stored documents must be read
+ */
+function needsSnapshots(mode, mergeFields) {
+  return mode === 'create-only' ||
+    mode === 'update-if-unchanged-since-migration' ||
+    (mode === 'merge' && Array.isArray(mergeFields));
+}
+
+/**
+ * Count a write outcome (once the batch it belongs to is committed)
+ * @param {string} collection - Collection name
+ * @param {string} outcome - Outcome
+ */
+function countOutcome(collection, outcome) {
+  if (!counts[collection]) {
+    counts[collection] = {};
+  }
+  counts[collection][outcome] = (counts[collection][outcome] || 0) + 1;
+}
+
+/**
+ * Hash the content of a document of a collection
+ * The stored content hash and the collection's volatileFields are left out
+ * @param {string} collection - Collection name
+ * @param {Object} data - Document data
+ * @returns {string} - Content hash
+ */
+function hashDocument(collection, data) {
+  const { volatileFields = [] } = getCollectionConfig(collection) || {};
+  return hashContent(data, [WRITE_MODE.HASH_FIELD, ...volatileFields]);
+}
+
+/**
+ * Plan the write of a document
+ * Written documents carry the hash of their content in WRITE_MODE.HASH_FIELD so a later
+ * 'update-if-unchanged-since-migration' run can tell whether the app has modified them since
+ * @param {Object} operation - Document operation ({collection, docId, data})
+ * @param {Object} writeMode - Resolved write mode ({mode, mergeFields})
+ * @param {FirebaseFirestore.DocumentSnapshot} snapshot - Stored document (only for modes that read it)
+ * @returns {Object} - {action: 'set'|'create'|'merge'|'update'|'skip', data, options, precondition, outcome}
+ */
+function planWrite(operation, writeMode, snapshot = null) {
+  const { collection, data } = operation;
+  const { mode, mergeFields } = writeMode;
+  const contentHash = hashDocument(collection, data);
+  const hashedData = { ...data, [WRITE_MODE.HASH_FIELD]: contentHash };
+
+  let plan;
+  if (mode === 'overwrite' || (snapshot && !snapshot.exists && mode !== 'create-only')) {
+    // New documents are written in full whatever the mode
+    plan = { action: 'set', data: hashedData, outcome: snapshot && !snapshot.exists ? 'created' : 'overwritten' };
+  } else if (mode === 'create-only') {
+    // create() fails the batch if the document appeared since it was read, instead of clobbering it
+    plan = snapshot.exists
+      ? { action: 'skip', outcome: 'skipped (exists)' }
+      : { action: 'create', data: hashedData, outcome: 'created' };
+  } else if (mode === 'merge') {
+    // The stored hash is left alone: the merged document no longer matches any migrated content
+    const fields = mergeFields ? mergeFields.filter(field => _.has(data, field)) : null;
+    plan = fields && fields.length === 0
+      ? { action: 'skip', outcome: 'skipped (no merge fields)' }
+      : { action: 'merge', data, options: fields ? { mergeFields: fields } : { merge: true }, outcome: 'merged' };
+  } else {
+    const stored = snapshot.data();
+    const storedHash = stored[WRITE_MODE.HASH_FIELD];
+
+    if (!storedHash || hashDocument(collection, stored) !== storedHash) {
+      plan = { action: 'skip', outcome: 'skipped (modified since migration)' };
+    } else if (storedHash === contentHash) {
+      plan = { action: 'skip', outcome: 'skipped (identical)' };
+    } else {
+      // Fields the new content no longer has are deleted so the result equals a full overwrite;
+      // the update time precondition fails the batch if the app changed the document meanwhile
+      const updateData = { ...hashedData };
+      for (const field of Object.keys(stored)) {
+        if (!(field in hashedData)) {
+          updateData[field] = admin.firestore.FieldValue.delete();
+        }
+      }
+      plan = {
+        action: 'update',
+        data: updateData,
+        precondition: { lastUpdateTime: snapshot.updateTime },
+        outcome: 'updated'
+      };
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Get the outcome counts of every collection
+ * @returns {Object} - Outcome counts by collection
+ */
+function getWriteModeStats() {
+  return _.cloneDeep(counts);
+}
+
+/**
+ * Log the outcome counts of every collection
+ */
+function logWriteModeReport() {
+  const collections = Object.keys(counts);
+  if (collections.length === 0) {
+    return;
+  }
+
+  logger.info(`Write mode report (default mode: ${WRITE_MODE.DEFAULT})`);
+  for (const collection of collections) {
+    const summary = Object.entries(counts[collection])
+      .map(([outcome, count]) => `${outcome}: ${count}`)
+      .join(', ');
+    logger.info(`  ${collection} - ${summary}`);
+  }
+}
+
+module.exports = {
+  WRITE_MODES,
+  getWriteMode,
+  needsSnapshots,
+  hashDocument,
+  planWrite,
+  countOutcome,
+  getWriteModeStats,
+  logWriteModeReport
+};
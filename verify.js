@@ -0,0 +1,275 @@
+/**
+ * Post-migration verification
+ * Re-runs every migration as a dry run and compares the documents it would write with
+ * what is stored in Firestore, reporting missing, extra and divergent documents by SQL id
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const logger = require('./utils/logger');
+const { initializeFirestore, getFirestore } = require('./utils/firestore-service');
+const { canonicalize } = require('./utils/content-hash');
+const { createDataSource } = require('./utils/data-source');
+const { CONNECTION_OPTIONS, resolveConnection } = require('./utils/connection-settings');
+const { loadMigrationData } = require('./utils/migration-data');
+const { sortByDependencies } = require('./utils/migration-graph');
+const { loadMappingsFromFile, getOriginalId } = require('./utils/uuid-mapper');
+const { getCollectionConfig, getAllCollectionConfigs } = require('./config/mapping-config');
+const { FILE_PATHS, STREAMED_TABLES, SOURCE_DATA, WRITE_MODE } = require('./config/migration-config');
+
+// Documents read per getAll() call
+const READ_CHUNK_SIZE = 300;
+
+// Migration modules by collection
+const migrations = {
+  users: require('./migrations/users-migration'),
+  listings: require('./migrations/listings-migration'),
+  plans: require('./migrations/plans-migration'),
+  reviews: require('./migrations/reviews-migration'),
+  subscriptions: require('./migrations/subscriptions-migration'),
+  transactions: require('./migrations/transactions-migration'),
+  messages: require('./migrations/messages-migration'),
+  chatrooms: require('./migrations/chatrooms-migration'),
+  notifications: require('./migrations/notifications-migration'),
+  activities: require('./migrations/activities-migration'),
+  contentPages: require('./migrations/content-pages-migration')
+};
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .options(CONNECTION_OPTIONS)
+  .option('collection', {
+    alias: 'c',
+    description: 'Only verify this collection',
+    type: 'string'
+  })
+  .option('ignoreFields', {
+    description: 'Top-level document fields left out of the checksums, besides the volatileFields of the collection',
+    type: 'array',
+    default: []
+  })
+  .option('stream', {
+    alias: 's',
+    description: 'Stream large tables from the source instead of loading them into memory',
+    type: 'boolean',
+    default: false
+  })
+  .option('timezone', {
+    description: 'Timezone the SQL DATETIME values were written in',
+    type: 'string',
+    default: SOURCE_DATA.TIMEZONE
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Path of the JSON report',
+    type: 'string',
+    default: path.resolve(__dirname, 'config', FILE_PATHS.VERIFICATION_REPORT)
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+/**
+ * Compute a checksum for every top-level field of a document
+ * @param {Object} data - Document data
+ * @param {Array<string>} ignoreFields - Fields to leave out
+ * @returns {Object} - Checksums by field name
+ */
+function checksumFields(data, ignoreFields) {
+  const checksums = {};
+
+  for (const [field, value] of Object.entries(data || {})) {
+    if (value === undefined || ignoreFields.includes(field)) {
+      continue;
+    }
+
+    checksums[field] = crypto
+      .createHash('sha1')
+      .update(JSON.stringify(canonicalize(value)))
+      .digest('hex');
+  }
+
+  return checksums;
+}
+
+/**
+ * List the fields whose checksums differ between expected and stored data
+ * @param {Object} expected - Expected checksums by field
+ * @param {Object} actual - Stored checksums by field
+ * @returns {Array<string>} - Divergent field names
+ */
+function diffChecksums(expected, actual) {
+  const fields = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...fields].filter(field => expected[field] !== actual[field]).sort();
+}
+
+/**
+ * Count the source rows of a collection
+ * @param {Object} config - Collection configuration
+ * @param {Object} context - Source context
+ * @returns {Promise<number>} - Number of source rows
+ */
+async function countSourceRows(config, context) {
+  const { source, tablesData, streamedTables } = context;
+  const sourceTables = config.sourceTables || [config.primaryTable];
+  let count = 0;
+
+  for (const table of sourceTables) {
+    if (streamedTables.includes(table)) {
+      // Streamed tables are counted with an extra pass over the source
+      for await (const _row of source.streamTable(table)) {
+        count++;
+      }
+    } else {
+      count += (tablesData[table] || []).length;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Verify a single collection
+ * @param {string} collectionName - Collection name
+ * @param {Object} context - Source context
+ * @returns {Promise<Object>} - Verification result
+ */
+async function verifyCollection(collectionName, context) {
+  const db = getFirestore();
+  const config = getCollectionConfig(collectionName);
+  // The content hash is stored by the migration itself and never part of the expected data,
+  // volatile fields are set from the time of the run
+  const ignoreFields = [...argv.ignoreFields.map(String), WRITE_MODE.HASH_FIELD, ...(config.volatileFields || [])];
+
+  logger.info(`Verifying ${collectionName}...`);
+
+  // Expected documents, from a dry run of the migration
+  const expected = new Map();
+  const migrationData = await loadMigrationData(collectionName, config, context);
+  const result = await migrations[collectionName].migrate(db, migrationData, {
+    dryRun: true,
+    onOperations: (operations) => {
+      for (const op of operations) {
+        if (op.collection === collectionName) {
+          expected.set(op.docId, checksumFields(op.data, ignoreFields));
+        }
+      }
+    }
+  });
+
+  const toReport = (docId) => ({ docId, sourceId: getOriginalId(collectionName, docId) });
+
+  // Documents stored in Firestore that the migration would not write
+  const storedRefs = await db.collection(collectionName).listDocuments();
+  const extra = storedRefs
+    .filter(ref => !expected.has(ref.id))
+    .map(ref => toReport(ref.id));
+
+  // Expected documents that are missing or differ
+  const missing = [];
+  const divergent = [];
+  const expectedIds = [...expected.keys()];
+
+  for (let i = 0; i < expectedIds.length; i += READ_CHUNK_SIZE) {
+    const refs = expectedIds
+      .slice(i, i + READ_CHUNK_SIZE)
+      .map(docId => db.collection(collectionName).doc(docId));
+    const snapshots = await db.getAll(...refs);
+
+    for (const snapshot of snapshots) {
+      if (!snapshot.exists) {
+        missing.push(toReport(snapshot.id));
+        continue;
+      }
+
+      const fields = diffChecksums(expected.get(snapshot.id), checksumFields(snapshot.data(), ignoreFields));
+      if (fields.length > 0) {
+        divergent.push({ ...toReport(snapshot.id), fields });
+      }
+    }
+  }
+
+  return {
+    collection: collectionName,
+    sourceRows: await countSourceRows(config, context),
+    expectedDocuments: expected.size,
+    storedDocuments: storedRefs.length,
+    transformErrors: result.errors.length,
+    missing,
+    extra,
+    divergent
+  };
+}
+
+// Main verification function
+async function runVerification() {
+  try {
+    logger.info('Starting migration verification');
+
+    const connection = resolveConnection(argv);
+    initializeFirestore(connection.firestore);
+
+    const source = createDataSource(connection.source, connection.sourceOptions);
+
+    const streamedTables = argv.stream ? STREAMED_TABLES : [];
+    const tablesData = await source.loadTables({ excludeTables: streamedTables });
+    const context = { source, tablesData, streamedTables };
+
+    // Persisted mappings resolve references to collections that are not verified in this run
+    loadMappingsFromFile(path.resolve(__dirname, 'config', FILE_PATHS.ID_MAPPINGS));
+
+    const allCollections = Object.keys(getAllCollectionConfigs()).filter(name => migrations[name]);
+    if (argv.collection && !migrations[argv.collection]) {
+      throw new Error(`Invalid collection: ${argv.collection}`);
+    }
+
+    const collections = sortByDependencies(argv.collection ? [argv.collection] : allCollections);
+    const results = [];
+
+    for (const collectionName of collections) {
+      results.push(await verifyCollection(collectionName, context));
+    }
+
+    // Summary
+    let failed = false;
+    for (const result of results) {
+      const problems = result.missing.length + result.extra.length + result.divergent.length;
+      const summary = `${result.collection}: ${result.sourceRows} source rows, ${result.expectedDocuments} expected, ` +
+        `${result.storedDocuments} stored, ${result.missing.length} missing, ${result.extra.length} extra, ` +
+        `${result.divergent.length} divergent, ${result.transformErrors} transform errors`;
+
+      if (problems > 0) {
+        failed = true;
+        logger.error(summary);
+      } else {
+        logger.success(summary);
+      }
+    }
+
+    fs.mkdirSync(path.dirname(argv.output), { recursive: true });
+    fs.writeFileSync(argv.output, JSON.stringify({
+      verifiedAt: new Date().toISOString(),
+      ignoreFields: argv.ignoreFields,
+      collections: results
+    }, null, 2));
+    logger.info(`Verification report written to ${argv.output}`);
+    await source.close();
+
+    if (failed) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    logger.error(`Verification failed: ${error.message}`);
+    if (error.stack) {
+      logger.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+// Run the verification
+runVerification();